@@ -0,0 +1,119 @@
+// backend/benchmarks/spatialIndex.bench.js
+// Compares the spatial index against the previous linear scan on a synthetic data set.
+// Usage: npm run bench [-- bays queries]
+const { SpatialIndex, haversine } = require("../src/services/spatialIndex");
+const { AREAS, DEFAULT_RADIUS } = require("../src/config/constants");
+
+const BAY_COUNT = parseInt(process.argv[2] || 20000);
+const QUERY_COUNT = parseInt(process.argv[3] || 1000);
+const K = 10;
+
+// Small deterministic PRNG so runs are comparable
+let seed = 42;
+const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+};
+
+// Bays spread over greater Melbourne, denser around the CBD like the real sensors
+const generateBays = (count) =>
+    Array.from({ length: count }, (_, i) => {
+        const spread = random() < 0.7 ? 0.03 : 0.15;
+        return {
+            bay_id: String(i),
+            status: random() > 0.6 ? "Present" : "Unoccupied",
+            lat: String(-37.8136 + (random() - 0.5) * spread),
+            lon: String(144.9631 + (random() - 0.5) * spread),
+        };
+    });
+
+const generateQueries = (count) =>
+    Array.from({ length: count }, () => ({
+        lat: -37.8136 + (random() - 0.5) * 0.05,
+        lon: 144.9631 + (random() - 0.5) * 0.05,
+    }));
+
+// The implementation getNearbySpots used before the index
+const linearRadius = (data, lat, lon, radius) =>
+    data
+        .map((spot) => ({
+            record: spot,
+            distance: haversine(lat, lon, parseFloat(spot.lat), parseFloat(spot.lon)),
+        }))
+        .filter(({ distance }) => distance <= radius)
+        .sort((a, b) => a.distance - b.distance);
+
+const linearBounds = (data, { minLat, maxLat, minLon, maxLon }) =>
+    data.filter((spot) => {
+        const lat = parseFloat(spot.lat);
+        const lon = parseFloat(spot.lon);
+        return lat > minLat && lat < maxLat && lon > minLon && lon < maxLon;
+    });
+
+const time = (label, fn) => {
+    // Warm up the JIT before measuring
+    for (let i = 0; i < Math.min(50, QUERY_COUNT); i++) {
+        fn(i);
+    }
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < QUERY_COUNT; i++) {
+        fn(i);
+    }
+    const totalMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    return { label, totalMs, perQueryMs: totalMs / QUERY_COUNT };
+};
+
+const run = () => {
+    const bays = generateBays(BAY_COUNT);
+    const queries = generateQueries(QUERY_COUNT);
+    const areas = Object.values(AREAS).map((area) => area.bounds);
+
+    const buildStart = process.hrtime.bigint();
+    const index = new SpatialIndex();
+    index.rebuild(bays);
+    const buildMs = Number(process.hrtime.bigint() - buildStart) / 1e6;
+
+    // Sanity check: both approaches must agree
+    queries.slice(0, 20).forEach(({ lat, lon }) => {
+        const expected = linearRadius(bays, lat, lon, DEFAULT_RADIUS).length;
+        const actual = index.withinRadius(lat, lon, DEFAULT_RADIUS).length;
+        if (expected !== actual) {
+            throw new Error(`Index mismatch: expected ${expected} bays, got ${actual}`);
+        }
+    });
+
+    const pairs = [
+        [
+            time(`linear radius ${DEFAULT_RADIUS}m`, (i) =>
+                linearRadius(bays, queries[i].lat, queries[i].lon, DEFAULT_RADIUS)
+            ),
+            time(`index radius ${DEFAULT_RADIUS}m`, (i) =>
+                index.withinRadius(queries[i].lat, queries[i].lon, DEFAULT_RADIUS)
+            ),
+        ],
+        [
+            time(`linear ${K}-nearest`, (i) =>
+                linearRadius(bays, queries[i].lat, queries[i].lon, Infinity).slice(0, K)
+            ),
+            time(`index ${K}-nearest`, (i) => index.nearest(queries[i].lat, queries[i].lon, K)),
+        ],
+        [
+            time("linear area bounds", (i) => linearBounds(bays, areas[i % areas.length])),
+            time("index area bounds", (i) => index.withinBounds(areas[i % areas.length])),
+        ],
+    ];
+
+    console.log(`\nSpatial index benchmark: ${BAY_COUNT} bays, ${QUERY_COUNT} queries each`);
+    console.log(`Index build: ${buildMs.toFixed(1)}ms (${index.cells.size} cells)\n`);
+
+    pairs.forEach(([linear, indexed]) => {
+        [linear, indexed].forEach(({ label, perQueryMs }) => {
+            console.log(`  ${label.padEnd(24)} ${perQueryMs.toFixed(3).padStart(9)} ms/query`);
+        });
+        console.log(`  ${"speedup".padEnd(24)} ${(linear.totalMs / indexed.totalMs).toFixed(1)}x\n`);
+    });
+};
+
+run();
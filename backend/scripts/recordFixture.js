@@ -0,0 +1,53 @@
+// backend/scripts/recordFixture.js
+// Captures the rendered Opendatasoft table page as an offline test fixture, for when the
+// real page changes. Scripts are stripped so the fixture renders exactly what was captured.
+// The page is loaded and read by PuppeteerDataSource, with the configured SCRAPE_SELECTORS,
+// SCRAPE_TIMEOUTS and SCRAPE_COLUMN_MAPPING.
+// Usage: npm run record:fixture [-- name [url]]
+const fs = require("fs");
+const path = require("path");
+const PuppeteerDataSource = require("../src/services/dataSources/puppeteerDataSource");
+const { mapTableRows } = require("../src/services/dataSources/tableColumns");
+
+const FIXTURES_DIR = path.join(__dirname, "../tests/fixtures/opendatasoft");
+
+const name = process.argv[2] || `recorded-${new Date().toISOString().slice(0, 10)}`;
+
+async function recordFixture() {
+    const source = new PuppeteerDataSource({ url: process.argv[3] });
+
+    try {
+        const browser = await source.initBrowser();
+        const page = await browser.newPage();
+
+        console.log(`Loading ${source.url}...`);
+        await source.openTable(page);
+
+        const html = await page.evaluate(() => {
+            document.querySelectorAll("script, noscript, link[rel=preload]").forEach((node) => {
+                node.remove();
+            });
+            return "<!DOCTYPE html>\n" + document.documentElement.outerHTML;
+        });
+
+        // Read the capture as a scrape would, to check it is usable
+        const table = await source.extractTable(page);
+
+        const file = path.join(FIXTURES_DIR, `${name}.html`);
+        fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+        fs.writeFileSync(file, html);
+
+        console.log(`Saved ${path.relative(process.cwd(), file)}`);
+        console.log("Headers:", table.headers.filter(Boolean).join(", "));
+
+        const { report } = mapTableRows(table.headers, table.rows, source.columnMapping);
+        console.log("Mapping report:", JSON.stringify(report));
+    } finally {
+        await source.cleanup();
+    }
+}
+
+recordFixture().catch((error) => {
+    console.error("Recording failed:", error.message);
+    process.exit(1);
+});
@@ -1,15 +1,44 @@
+// Check the configuration before anything reads it; the logger itself is configured by it
+try {
+    require("./src/config/config");
+} catch (error) {
+    if (error.name !== "ConfigError") {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
+
 const app = require("./src/app");
 const scrapingScheduler = require("./src/jobs/scrapingScheduler");
 const parkingScraperService = require("./src/services/parkingScraperService");
+const streamService = require("./src/services/streamService");
+const restrictionService = require("./src/services/restrictionService");
+const apiKeyService = require("./src/services/apiKeyService");
+const { createLogger } = require("./src/utils/logger");
+const { PORT, NODE_ENV } = require("./src/config/constants");
+
+const log = createLogger("server");
 
-const PORT = process.env.PORT || 5000;
+// A fresh deploy has auth on but no keys, which would answer every API request with a 401
+if (apiKeyService.isLockedOut()) {
+    log.warn("No ADMIN_API_KEY or enabled API key, every API request will be refused", {
+        fix: "Set ADMIN_API_KEY, or API_AUTH_ENABLED=false for local development",
+    });
+}
 
 // Start the server
 const server = app.listen(PORT, () => {
-    console.log(`🚗 Melbourne Parking API (Web Scraping) running on port ${PORT}`);
-    console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
-    console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
-    console.log(`🔄 Scraping updates: Every ${process.env.SCRAPE_INTERVAL_MINUTES || 2} minutes`);
+    log.info("Melbourne Parking API (Web Scraping) running", {
+        port: PORT,
+        environment: NODE_ENV,
+        healthCheck: `http://localhost:${PORT}/api/health`,
+    });
+
+    // Load parking restrictions; bays are served without them if this fails
+    restrictionService.load().catch((error) => {
+        log.error("Failed to load parking restrictions", { error });
+    });
 
     // Start the scraping scheduler
     scrapingScheduler.start();
@@ -17,10 +46,13 @@ const server = app.listen(PORT, () => {
 
 // Graceful shutdown
 process.on("SIGTERM", async () => {
-    console.log("SIGTERM signal received: closing HTTP server");
+    log.info("SIGTERM signal received: closing HTTP server");
+
+    // Open event streams would otherwise keep the server from closing
+    streamService.closeAll();
 
     server.close(() => {
-        console.log("HTTP server closed");
+        log.info("HTTP server closed");
     });
 
     // Stop the scraping scheduler
@@ -29,6 +61,9 @@ process.on("SIGTERM", async () => {
     // Clean up the scraper service
     await parkingScraperService.cleanup();
 
+    // Keep the latest API key usage counters
+    await apiKeyService.flush();
+
     process.exit(0);
 });
 
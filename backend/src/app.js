@@ -1,17 +1,19 @@
 const express = require("express");
 const cors = require("cors");
-const dotenv = require("dotenv");
-
-// Load environment variables
-dotenv.config();
+const { CORS_ORIGIN } = require("./config/constants");
+const scrapingScheduler = require("./jobs/scrapingScheduler");
 
 // Import routes
 const parkingRoutes = require("./routes/parking");
 const healthRoutes = require("./routes/health");
+const areaRoutes = require("./routes/areas");
+const adminRoutes = require("./routes/admin");
+const metricsRoutes = require("./routes/metrics");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
-const logger = require("./middleware/logger");
+const requestLogger = require("./middleware/requestLogger");
+const { apiKeyAuth } = require("./middleware/apiKeyAuth");
 
 // Create Express application
 const app = express();
@@ -19,36 +21,75 @@ const app = express();
 // Basic middleware
 app.use(
     cors({
-        origin: process.env.CORS_ORIGIN || "*",
+        origin: CORS_ORIGIN,
         credentials: true,
+        // Let browser clients read revalidation, provenance, rate limit and request ID headers
+        exposedHeaders: [
+            "ETag",
+            "Last-Modified",
+            "Retry-After",
+            "X-Data-Source",
+            "X-Data-Age",
+            "X-RateLimit-Limit",
+            "X-RateLimit-Remaining",
+            "X-RateLimit-Reset",
+            "X-RateLimit-Quota-Limit",
+            "X-RateLimit-Quota-Remaining",
+            "X-RateLimit-Quota-Reset",
+            "X-Request-Id",
+        ],
     })
 );
-app.use(express.json());
+app.use(express.json({ limit: "1mb" })); // Room for detailed area polygons
 app.use(express.urlencoded({ extended: true }));
 
 // Custom middleware
-app.use(logger);
+app.use(requestLogger);
 
-// API Routes
-app.use("/api/parking", parkingRoutes);
+// Public API routes
 app.use("/api/health", healthRoutes);
 
+// Prometheus scrape target, outside /api so it needs no API key
+app.use("/metrics", metricsRoutes);
+
+// Every other API route needs an API key and counts against its limits
+app.use("/api", apiKeyAuth);
+app.use("/api/parking", parkingRoutes);
+app.use("/api/areas", areaRoutes);
+app.use("/api/admin", adminRoutes);
+
 // Root endpoint
 app.get("/", (req, res) => {
     res.json({
         message: "Melbourne Parking API (Web Scraping)",
         version: "2.0.0",
         dataSource: "web-scraping",
-        updateFrequency: `Every ${process.env.SCRAPE_INTERVAL_MINUTES || 2} minutes`,
+        updateFrequency: `Runs ${scrapingScheduler.describeSchedule()}`,
+        authentication: "X-API-Key header (?apiKey= for the event stream)",
         endpoints: {
             health: "/api/health",
+            metrics: "/metrics (Prometheus text format)",
+            adminKeys: "/api/admin/keys",
+            adminScheduler: "/api/admin/scheduler (run, pause, resume, schedule, runs)",
+            adminCache: "/api/admin/cache (DELETE to clear, POST /warm)",
+            adminConfig: "/api/admin/config",
+            areas: "/api/areas",
             parking: {
                 all: "/api/parking/all",
+                changes: "/api/parking/all?sinceVersion=N",
                 available: "/api/parking/available",
                 nearby: "/api/parking/nearby?lat=X&lon=Y&radius=Z",
                 area: "/api/parking/area/:areaName",
+                areaQuery: "POST /api/parking/area/query (GeoJSON Polygon/MultiPolygon)",
                 bay: "/api/parking/bay/:bayId",
                 stats: "/api/parking/stats",
+                sensorHealth: "/api/parking/sensors/health",
+                clusters: "/api/parking/clusters?bbox=minLon,minLat,maxLon,maxLat&zoom=N",
+                export: "/api/parking/export?format=csv|ndjson",
+                events: "/api/parking/events?since=<cursor>",
+                stream: "/api/parking/stream?area=NAME|zone=N|lat=X&lon=Y&radius=Z",
+                bayHistory: "/api/parking/history/bay/:bayId?from=&to=",
+                areaHistory: "/api/parking/history/area/:areaName?from=&to=",
             },
         },
     });
@@ -0,0 +1,417 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Load .env before anything reads the environment
+dotenv.config();
+
+const LOG_LEVEL_NAMES = ["silent", "error", "warn", "info", "debug"];
+
+/**
+ * Invalid configuration; the server refuses to start
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One message per invalid setting
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parsers for each setting type. Environment variables arrive as strings, config file
+ * values as JSON, so each parser accepts both.
+ */
+const TYPES = {
+    string: (value) => {
+        if (typeof value !== "string" || value.trim() === "") {
+            throw new Error("must be a non-empty string");
+        }
+        return value;
+    },
+    integer: (value) => {
+        const number = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? +value : value;
+        if (!Number.isInteger(number)) {
+            throw new Error("must be an integer");
+        }
+        return number;
+    },
+    number: (value) => {
+        const number = typeof value === "string" && value.trim() !== "" ? +value : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+            throw new Error("must be a number");
+        }
+        return number;
+    },
+    boolean: (value) => {
+        if (value === true || value === "true") {
+            return true;
+        }
+        if (value === false || value === "false") {
+            return false;
+        }
+        throw new Error('must be "true" or "false"');
+    },
+    url: (value) => {
+        const text = TYPES.string(value);
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            throw new Error("must be a URL");
+        }
+        if (!["http:", "https:"].includes(url.protocol)) {
+            throw new Error("must be an http or https URL");
+        }
+        return text;
+    },
+    // Relative paths are resolved against the working directory
+    path: (value) => path.resolve(TYPES.string(value)),
+    json: (value) => {
+        if (typeof value !== "string") {
+            return value;
+        }
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new Error("must be valid JSON");
+        }
+    },
+};
+
+/**
+ * Check a JSON object of known keys, each passing `check`
+ * @returns {string|null} - The problem, if any
+ */
+const objectOf = (keys, check) => (value) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return "must be a JSON object";
+    }
+    for (const [key, entry] of Object.entries(value)) {
+        if (keys && !keys.includes(key)) {
+            return `has unknown key "${key}" (known: ${keys.join(", ")})`;
+        }
+        const problem = check(entry);
+        if (problem) {
+            return `${key} ${problem}`;
+        }
+    }
+    return null;
+};
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+const MINUTE = 60 * 1000;
+
+// Table header (or list of accepted headers) for each raw record field of the scrapers
+const SCRAPE_COLUMN_DEFAULTS = {
+    lastupdated: "Lastupdated",
+    status_timestamp: "Status_Timestamp",
+    zone_number: "Zone_Number",
+    status: "Status_Description",
+    bay_id: "KerbsideID",
+    location: "Location",
+};
+// Page waits in ms and CSS selectors of the table widget
+const SCRAPE_TIMEOUT_DEFAULTS = {
+    navigation: 30000,
+    table: 15000,
+    rows: 10000,
+    settle: 3000,
+    scroll: 2000,
+    finalScroll: 3000,
+};
+const SCRAPE_SELECTOR_DEFAULTS = {
+    table: ".odswidget-table__internal-table",
+    headerRow: ".odswidget-table__internal-header-table thead tr",
+    row: ".odswidget-table__internal-table-row",
+    cell: "td.odswidget-table__cell",
+    scrollContainer: ".odswidget-table__records",
+};
+
+/**
+ * Every setting, read from (in increasing precedence) its default, the config file and the
+ * environment variable of the same name (`env` when it differs).
+ * Spec: { type, default, min, max, values (allowed), nullable, secret, check(value) }
+ * JSON objects with `merge` only override some keys of their default.
+ */
+const CONFIG_SCHEMA = {
+    // Server
+    // Unset means production: development mode sends error details and stack traces
+    NODE_ENV: {
+        type: "string",
+        default: "production",
+        values: ["development", "production", "test"],
+    },
+    PORT: { type: "integer", default: 5000, min: 1, max: 65535 },
+    CORS_ORIGIN: { type: "string", default: "*" },
+
+    // Scraping
+    DATA_SOURCE: { type: "string", default: "puppeteer", values: ["puppeteer", "opendatasoft"] },
+    SCRAPE_URL: {
+        type: "url",
+        default:
+            "https://data.melbourne.vic.gov.au/explore/dataset/on-street-parking-bay-sensors/table/",
+    },
+    // At least SCRAPE_MIN_INTERVAL, the shortest interval the admin routes accept
+    SCRAPE_INTERVAL_MINUTES: { type: "number", default: 2, min: 0.5, max: 24 * 60 },
+    // Set when the portal renames columns, e.g. { "bay_id": ["KerbsideID", "Kerbside ID"] }
+    SCRAPE_COLUMN_MAPPING: {
+        type: "json",
+        default: SCRAPE_COLUMN_DEFAULTS,
+        merge: true,
+        check: objectOf(null, (entry) =>
+            isNonEmptyString(entry) ||
+            (Array.isArray(entry) && entry.length > 0 && entry.every(isNonEmptyString))
+                ? null
+                : "must be a header name or a list of header names"
+        ),
+    },
+    // e.g. { "navigation": 60000 } on a slow connection
+    SCRAPE_TIMEOUTS: {
+        type: "json",
+        default: SCRAPE_TIMEOUT_DEFAULTS,
+        merge: true,
+        check: objectOf(Object.keys(SCRAPE_TIMEOUT_DEFAULTS), (entry) =>
+            Number.isInteger(entry) && entry >= 0 && entry <= 5 * MINUTE
+                ? null
+                : "must be a whole number of ms from 0 to 300000"
+        ),
+    },
+    // For when the portal's markup changes
+    SCRAPE_SELECTORS: {
+        type: "json",
+        default: SCRAPE_SELECTOR_DEFAULTS,
+        merge: true,
+        check: objectOf(Object.keys(SCRAPE_SELECTOR_DEFAULTS), (entry) =>
+            isNonEmptyString(entry) ? null : "must be a CSS selector"
+        ),
+    },
+    SCRAPE_MAX_SCROLL_ATTEMPTS: { type: "integer", default: 15, min: 1, max: 200 },
+    SCRAPE_HEADLESS: { type: "boolean", default: true, env: "ENABLE_HEADLESS" },
+    ODS_API_URL: { type: "url", default: "https://data.melbourne.vic.gov.au/api/explore/v2.1" },
+    ODS_DATASET: { type: "string", default: "on-street-parking-bay-sensors" },
+    ODS_PAGE_SIZE: { type: "integer", default: 100, min: 1, max: 100 }, // Explore API maximum
+    ODS_TIMEOUT_MS: { type: "integer", default: 15000, min: 1000, max: 5 * MINUTE },
+
+    // Scheduler circuit breaker
+    SCRAPE_FAILURE_THRESHOLD: { type: "integer", default: 5, min: 1, max: 100 },
+    SCRAPE_BREAKER_RESET_MINUTES: { type: "number", default: 15, min: 1, max: 24 * 60 },
+
+    // Fallback data
+    MAX_DATA_AGE_MINUTES: { type: "number", default: 30, min: 1, max: 7 * 24 * 60 },
+    ENABLE_MOCK_DATA: { type: "boolean", default: false },
+    SNAPSHOT_RETENTION: { type: "integer", default: 10, min: 1, max: 1000 },
+
+    // Scrape history
+    HISTORY_DIR: { type: "path", default: path.join(__dirname, "../../data/history") },
+    HISTORY_RETENTION_DAYS: { type: "integer", default: 30, min: 1, max: 3650 },
+    HISTORY_COMPACT_AFTER_DAYS: { type: "integer", default: 7, min: 1, max: 3650 },
+    HISTORY_COMPACT_INTERVAL_MINUTES: { type: "integer", default: 15, min: 1, max: 24 * 60 },
+
+    // Event feed and sensor health
+    EVENT_BUFFER_SIZE: { type: "integer", default: 10000, min: 1, max: 1000000 },
+    SENSOR_STALE_HOURS: { type: "integer", default: 6, min: 1, max: 24 * 365 },
+    SENSOR_STUCK_HOURS: { type: "integer", default: 48, min: 1, max: 24 * 365 },
+    SENSOR_FLAP_TRANSITIONS: { type: "integer", default: 8, min: 2, max: 1000 },
+
+    // Parking restrictions
+    RESTRICTIONS_SOURCE: {
+        type: "string",
+        default: "none",
+        values: ["none", "file", "opendatasoft"],
+    },
+    RESTRICTIONS_FILE: { type: "path", default: null, nullable: true },
+
+    // API keys
+    API_AUTH_ENABLED: { type: "boolean", default: true },
+    API_KEYS_FILE: { type: "path", default: path.join(__dirname, "../../data/apiKeys.json") },
+    ADMIN_API_KEY: {
+        type: "string",
+        default: null,
+        nullable: true,
+        secret: true,
+    },
+    API_KEY_DEFAULT_RATE: { type: "number", default: 5, min: 0.01, max: 10000 },
+    API_KEY_DEFAULT_BURST: { type: "integer", default: 20, min: 1, max: 100000 },
+    API_KEY_DEFAULT_DAILY_QUOTA: { type: "integer", default: 10000, min: 1, max: 1e9 },
+
+    // Areas
+    AREAS_FILE: { type: "path", default: path.join(__dirname, "../../data/areas.json") },
+
+    // Logging
+    LOG_LEVEL: {
+        type: "string",
+        default: (config) => (config.NODE_ENV === "test" ? "silent" : "info"),
+        values: LOG_LEVEL_NAMES,
+    },
+    LOG_LEVELS: {
+        type: "string",
+        default: "",
+        check: (value) =>
+            value
+                .split(",")
+                .map((entry) => entry.trim())
+                .filter(Boolean)
+                .every((entry) => {
+                    const [module, level] = entry.split("=");
+                    return isNonEmptyString(module) && LOG_LEVEL_NAMES.includes(level);
+                })
+                ? null
+                : `must be a list of module=level, with levels ${LOG_LEVEL_NAMES.join(", ")}`,
+    },
+};
+
+/**
+ * Checks across settings, run once every setting is valid on its own
+ */
+const CONFIG_CHECKS = [
+    (config) =>
+        config.HISTORY_COMPACT_AFTER_DAYS > config.HISTORY_RETENTION_DAYS
+            ? "HISTORY_COMPACT_AFTER_DAYS must not exceed HISTORY_RETENTION_DAYS"
+            : null,
+    (config) =>
+        config.RESTRICTIONS_SOURCE === "file" && !config.RESTRICTIONS_FILE
+            ? 'RESTRICTIONS_FILE is required when RESTRICTIONS_SOURCE is "file"'
+            : null,
+];
+
+/**
+ * Parse and check one value
+ * @throws {Error} - Describing what the value must be
+ */
+const parseSetting = (spec, raw) => {
+    if (raw === null && spec.nullable) {
+        return null;
+    }
+
+    const value = TYPES[spec.type](raw);
+
+    if (spec.values && !spec.values.includes(value)) {
+        throw new Error(`must be one of ${spec.values.join(", ")}`);
+    }
+    if (spec.min !== undefined && value < spec.min) {
+        throw new Error(`must be at least ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+        throw new Error(`must be at most ${spec.max}`);
+    }
+
+    const problem = spec.check ? spec.check(value) : null;
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    return spec.merge ? { ...spec.default, ...value } : value;
+};
+
+/**
+ * Read the config file, a JSON object of settings by name
+ * @returns {object}
+ */
+const readConfigFile = (file, problems) => {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        problems.push(`CONFIG_FILE ${file} could not be read: ${error.message}`);
+        return {};
+    }
+
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+        problems.push(`CONFIG_FILE ${file} must hold a JSON object`);
+        return {};
+    }
+
+    Object.keys(values)
+        .filter((key) => !(key in CONFIG_SCHEMA))
+        .forEach((key) => problems.push(`CONFIG_FILE ${file} has unknown setting ${key}`));
+
+    return values;
+};
+
+/**
+ * Load the configuration from the defaults, the optional CONFIG_FILE and the environment
+ * @param {object} env - Environment variables
+ * @returns {object} - { values, sources: { name: default | file | env }, file }
+ * @throws {ConfigError} - Listing every invalid setting
+ */
+const loadConfig = (env = process.env) => {
+    const problems = [];
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+    const fileValues = file ? readConfigFile(file, problems) : {};
+    const values = {};
+    const sources = {};
+
+    Object.entries(CONFIG_SCHEMA).forEach(([name, spec]) => {
+        const envName = spec.env || name;
+        let raw;
+
+        // An empty variable (e.g. "ADMIN_API_KEY=" in .env) counts as unset
+        if (env[envName] !== undefined && env[envName] !== "") {
+            raw = env[envName];
+            sources[name] = "env";
+        } else if (name in fileValues) {
+            raw = fileValues[name];
+            sources[name] = "file";
+        } else {
+            values[name] = typeof spec.default === "function" ? spec.default(values) : spec.default;
+            sources[name] = "default";
+            return;
+        }
+
+        try {
+            values[name] = parseSetting(spec, raw);
+        } catch (error) {
+            const where = sources[name] === "env" ? envName : `${name} in CONFIG_FILE`;
+            problems.push(
+                spec.secret
+                    ? `${where} ${error.message}`
+                    : `${where} ${error.message} (got ${JSON.stringify(raw)})`
+            );
+        }
+    });
+
+    if (problems.length === 0) {
+        CONFIG_CHECKS.forEach((check) => {
+            const problem = check(values);
+            if (problem) {
+                problems.push(problem);
+            }
+        });
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    return { values: Object.freeze(values), sources, file };
+};
+
+/**
+ * The configuration with secrets replaced, as shown by /api/admin/config
+ */
+const redactConfig = ({ values, sources, file }) => ({
+    file,
+    values: Object.fromEntries(
+        Object.entries(values).map(([name, value]) => [
+            name,
+            CONFIG_SCHEMA[name].secret && value !== null ? "[redacted]" : value,
+        ])
+    ),
+    sources,
+});
+
+// Loaded once at startup; an invalid setting stops the process here
+const loaded = loadConfig();
+
+module.exports = {
+    config: loaded.values,
+    loaded,
+    loadConfig,
+    redactConfig,
+    ConfigError,
+};
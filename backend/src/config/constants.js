@@ -1,18 +1,109 @@
+const { config } = require("./config");
+
+// Settings come from the validated config (defaults, CONFIG_FILE, environment), see config.js
 module.exports = {
+    // Server configuration
+    NODE_ENV: config.NODE_ENV,
+    PORT: config.PORT,
+    CORS_ORIGIN: config.CORS_ORIGIN,
+
     // Scraping configuration
-    SCRAPE_URL:
-        "https://data.melbourne.vic.gov.au/explore/dataset/on-street-parking-bay-sensors/table/",
-    SCRAPE_INTERVAL: parseInt(2) * 60 * 1000, // Convert to milliseconds
+    SCRAPE_URL: config.SCRAPE_URL,
+    SCRAPE_INTERVAL: config.SCRAPE_INTERVAL_MINUTES * 60 * 1000, // In ms
+    SCRAPE_MIN_INTERVAL: 30 * 1000, // Shortest interval the admin routes accept
+    SCHEDULER_RUN_HISTORY: 100, // Scrape runs kept for /api/admin/scheduler/runs
+    // Table header (or list of accepted headers) for each raw record field; override with a
+    // JSON object in SCRAPE_COLUMN_MAPPING when the portal renames columns
+    SCRAPE_COLUMN_MAPPING: config.SCRAPE_COLUMN_MAPPING,
+    // Page waits in ms and table widget selectors of the Puppeteer data source
+    SCRAPE_TIMEOUTS: config.SCRAPE_TIMEOUTS,
+    SCRAPE_SELECTORS: config.SCRAPE_SELECTORS,
+    SCRAPE_MAX_SCROLL_ATTEMPTS: config.SCRAPE_MAX_SCROLL_ATTEMPTS,
+    SCRAPE_HEADLESS: config.SCRAPE_HEADLESS, // ENABLE_HEADLESS=false shows the browser
+
+    // Data source configuration ("puppeteer" or "opendatasoft")
+    DATA_SOURCE: config.DATA_SOURCE,
+    ODS_API_URL: config.ODS_API_URL,
+    ODS_DATASET: config.ODS_DATASET,
+    ODS_PAGE_SIZE: config.ODS_PAGE_SIZE, // At most 100, the Explore API maximum
+    ODS_TIMEOUT: config.ODS_TIMEOUT_MS,
+
+    // Scheduler backoff and circuit breaker
+    SCRAPE_FAILURE_THRESHOLD: config.SCRAPE_FAILURE_THRESHOLD, // Opens breaker
+    SCRAPE_BACKOFF_BASE: 30 * 1000, // First retry delay, doubled per consecutive failure
+    SCRAPE_BACKOFF_MAX: 10 * 60 * 1000,
+    SCRAPE_BACKOFF_JITTER: 0.2, // ±20%
+    SCRAPE_BREAKER_RESET: config.SCRAPE_BREAKER_RESET_MINUTES * 60 * 1000,
+
+    // Fallback when a scrape fails: serve the last real scrape up to MAX_DATA_AGE, then 503.
+    // Random mock data is only served when ENABLE_MOCK_DATA=true (local development).
+    MAX_DATA_AGE: config.MAX_DATA_AGE_MINUTES * 60 * 1000,
+    ENABLE_MOCK_DATA: config.ENABLE_MOCK_DATA,
+
+    // Snapshots kept for /all?sinceVersion= deltas; older versions get the full list again
+    SNAPSHOT_RETENTION: config.SNAPSHOT_RETENTION,
+
+    // Scrape history configuration
+    HISTORY_DIR: config.HISTORY_DIR,
+    HISTORY_RETENTION_DAYS: config.HISTORY_RETENTION_DAYS,
+    HISTORY_COMPACT_AFTER_DAYS: config.HISTORY_COMPACT_AFTER_DAYS,
+    HISTORY_COMPACT_INTERVAL_MINUTES: config.HISTORY_COMPACT_INTERVAL_MINUTES,
+    HISTORY_DEFAULT_WINDOW: 24 * 60 * 60 * 1000, // 24 hours when no range is given
+
+    // Status-change event feed configuration
+    EVENT_BUFFER_SIZE: config.EVENT_BUFFER_SIZE,
+    EVENTS_DEFAULT_LIMIT: 500,
+    EVENTS_MAX_LIMIT: 5000,
+
+    // Sensor health thresholds
+    SENSOR_STALE_HOURS: config.SENSOR_STALE_HOURS, // No report for this long
+    SENSOR_STUCK_HOURS: config.SENSOR_STUCK_HOURS, // Same status this long
+    SENSOR_FLAP_TRANSITIONS: config.SENSOR_FLAP_TRANSITIONS, // Per hour
+
+    // Live update stream configuration
+    SSE_HEARTBEAT_INTERVAL: 15000, // Keep idle connections open through proxies
+    SSE_RETRY_DELAY: 5000, // Reconnect delay suggested to clients
 
-    // Cache configuration
-    CACHE_DURATION: parseInt(process.env.CACHE_DURATION || 120000), // 2 minutes default
+    // Spatial index grid cell size in degrees (~200m around Melbourne)
+    SPATIAL_INDEX_CELL_SIZE: 0.002,
+
+    // Map clustering configuration
+    CLUSTER_CELL_PIXELS: 60, // Screen-space size of a cluster cell
+    CLUSTER_MAX_ZOOM: 17, // From this zoom on individual bays are returned
+    CLUSTER_CACHE_TTL: 10 * 60 * 1000,
+
+    // Parking restrictions (sign plates) configuration
+    // RESTRICTIONS_SOURCE: "file" (CSV or JSON at RESTRICTIONS_FILE), "opendatasoft" or "none"
+    RESTRICTIONS_SOURCE: config.RESTRICTIONS_SOURCE,
+    RESTRICTIONS_FILE: config.RESTRICTIONS_FILE,
+    RESTRICTIONS_DATASET: "sign-plates-located-in-each-parking-zone",
+    TIMEZONE: "Australia/Melbourne",
 
     // API configuration
     DEFAULT_RADIUS: 500, // Default search radius in meters
-    MAX_RESULTS_PER_PAGE: 50,
-    DEFAULT_LIMIT: 5000,
+    MAX_RESULTS_PER_PAGE: 5000, // Largest page a list route returns
+    DEFAULT_LIMIT: 50, // Page size of a cursor sent without a limit
+
+    // API keys, stored hashed in API_KEYS_FILE and managed through /api/admin/keys with
+    // ADMIN_API_KEY. API_AUTH_ENABLED=false serves the API without keys (local development).
+    API_AUTH_ENABLED: config.API_AUTH_ENABLED,
+    API_KEYS_FILE: config.API_KEYS_FILE,
+    ADMIN_API_KEY: config.ADMIN_API_KEY,
+    API_KEY_DEFAULT_RATE: config.API_KEY_DEFAULT_RATE, // Requests/second
+    API_KEY_DEFAULT_BURST: config.API_KEY_DEFAULT_BURST, // Bucket size
+    API_KEY_DEFAULT_DAILY_QUOTA: config.API_KEY_DEFAULT_DAILY_QUOTA,
+    API_KEY_USAGE_SAVE_DELAY: 10000, // Usage counters reach the disk at most this often
+
+    // Logging: JSON lines on stdout. LOG_LEVELS overrides the level per module, e.g.
+    // "scraper=debug,http=warn"; a module also covers its sub-modules (scraper.puppeteer).
+    LOG_LEVEL: config.LOG_LEVEL,
+    LOG_LEVELS: config.LOG_LEVELS,
+
+    // Named area registry, seeded with AREAS below
+    AREAS_FILE: config.AREAS_FILE,
+    MAX_AREA_SPAN_DEGREES: 0.5, // Roughly 50km, well beyond any precinct
 
-    // Melbourne area definitions
+    // Default Melbourne area definitions
     AREAS: {
         cbd: {
             name: "Melbourne CBD",
@@ -66,4 +157,19 @@ module.exports = {
         PRESENT: "Present",
         UNOCCUPIED: "Unoccupied",
     },
+
+    // Provenance of the data behind a response
+    DATA_PROVENANCE: {
+        LIVE: "live",
+        LAST_KNOWN_GOOD: "last-known-good",
+        MOCK: "mock",
+    },
+
+    // Sensor health classes, see sensorHealthService
+    SENSOR_HEALTH: {
+        HEALTHY: "healthy",
+        STALE: "stale",
+        STUCK: "stuck",
+        FLAPPING: "flapping",
+    },
 };
@@ -0,0 +1,328 @@
+const apiKeyService = require("../services/apiKeyService");
+const cacheService = require("../services/cacheService");
+const parkingScraperService = require("../services/parkingScraperService");
+const scrapingScheduler = require("../jobs/scrapingScheduler");
+const { loaded, redactConfig } = require("../config/config");
+const { CLUSTER_MAX_ZOOM, SCHEDULER_RUN_HISTORY } = require("../config/constants");
+
+/**
+ * Admin controller handles API key management, the scraping scheduler, the cache and the
+ * configuration
+ */
+class AdminController {
+    /**
+     * List API keys with their limits and usage counters
+     * GET /api/admin/keys
+     */
+    async listKeys(req, res, next) {
+        try {
+            const keys = apiKeyService.list();
+            res.json({
+                success: true,
+                count: keys.length,
+                data: keys,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single API key
+     * GET /api/admin/keys/:id
+     */
+    async getKey(req, res, next) {
+        try {
+            const apiKey = apiKeyService.get(req.params.id);
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    success: false,
+                    error: "API key not found",
+                });
+            }
+
+            res.json({
+                success: true,
+                data: apiKey,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create an API key; the key is only ever returned here
+     * POST /api/admin/keys
+     * Body: { name, rateLimit (requests/second), burst, dailyQuota | null, admin }
+     */
+    async createKey(req, res, next) {
+        try {
+            const result = await apiKeyService.create(req.body || {});
+
+            if (result.errors) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: "Invalid API key settings",
+                    fields: result.errors,
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                key: result.key,
+                data: result.apiKey,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update an API key's name, limits or flags
+     * PUT /api/admin/keys/:id
+     * Body: any of { name, rateLimit, burst, dailyQuota, admin, disabled }
+     */
+    async updateKey(req, res, next) {
+        try {
+            const result = await apiKeyService.update(req.params.id, req.body || {});
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: "API key not found",
+                });
+            }
+
+            if (result.errors) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: "Invalid API key settings",
+                    fields: result.errors,
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result.apiKey,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke an API key
+     * DELETE /api/admin/keys/:id
+     */
+    async deleteKey(req, res, next) {
+        try {
+            const removed = await apiKeyService.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: "API key not found",
+                });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get scheduler status
+     * GET /api/admin/scheduler
+     */
+    async getScheduler(req, res, next) {
+        try {
+            res.json({
+                success: true,
+                data: scrapingScheduler.getStatus(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Scrape now, joining a scrape already in progress; ignores the failure backoff
+     * POST /api/admin/scheduler/run?wait=true
+     * Answers 202 right away unless wait=true, then with the finished run
+     */
+    async runScheduler(req, res, next) {
+        try {
+            const running = scrapingScheduler.runNow("manual");
+
+            if (req.query.wait !== "true") {
+                return res.status(202).json({
+                    success: true,
+                    data: scrapingScheduler.getStatus(),
+                });
+            }
+
+            await running;
+            res.json({
+                success: true,
+                data: scrapingScheduler.getStatus().lastRun,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Pause scheduled scrapes
+     * POST /api/admin/scheduler/pause
+     */
+    async pauseScheduler(req, res, next) {
+        try {
+            scrapingScheduler.pause();
+            res.json({
+                success: true,
+                data: scrapingScheduler.getStatus(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Resume scheduled scrapes
+     * POST /api/admin/scheduler/resume
+     */
+    async resumeScheduler(req, res, next) {
+        try {
+            scrapingScheduler.resume();
+            res.json({
+                success: true,
+                data: scrapingScheduler.getStatus(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Change the scrape interval or switch to a cron pattern
+     * PUT /api/admin/scheduler/schedule
+     * Body: { intervalMinutes } or { cron: "minute hour day-of-month month day-of-week" }
+     */
+    async updateSchedule(req, res, next) {
+        try {
+            const { intervalMinutes, cron } = req.body || {};
+
+            try {
+                scrapingScheduler.setSchedule({
+                    interval:
+                        intervalMinutes === undefined ? null : Number(intervalMinutes) * 60000,
+                    cron: cron === undefined ? null : cron,
+                });
+            } catch (scheduleError) {
+                return res.status(400).json({
+                    success: false,
+                    error: scheduleError.message,
+                });
+            }
+
+            res.json({
+                success: true,
+                data: scrapingScheduler.getStatus(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the most recent scrape runs, newest first
+     * GET /api/admin/scheduler/runs?limit=N
+     */
+    async getSchedulerRuns(req, res, next) {
+        try {
+            const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+
+            if (isNaN(limit) || limit < 1 || limit > SCHEDULER_RUN_HISTORY) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Limit must be between 1 and ${SCHEDULER_RUN_HISTORY}`,
+                });
+            }
+
+            const runs = scrapingScheduler.getRuns(limit);
+            res.json({
+                success: true,
+                count: runs.length,
+                data: runs,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Clear the cache
+     * DELETE /api/admin/cache
+     */
+    async clearCache(req, res, next) {
+        try {
+            const cleared = cacheService.getStats().totalEntries;
+            cacheService.clear();
+
+            res.json({
+                success: true,
+                cleared,
+                cache: cacheService.getStats(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Precompute map clusters of the current snapshot
+     * POST /api/admin/cache/warm
+     * Body: { zooms: [n, ...] } - Defaults to every clustered zoom level
+     */
+    async warmCache(req, res, next) {
+        try {
+            const clustered = Array.from({ length: CLUSTER_MAX_ZOOM }, (_, zoom) => zoom);
+            const zooms = (req.body && req.body.zooms) || clustered;
+
+            if (!Array.isArray(zooms) || !zooms.every((zoom) => clustered.includes(zoom))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `zooms must be a list of zoom levels from 0 to ${CLUSTER_MAX_ZOOM - 1}`,
+                });
+            }
+
+            const warmed = parkingScraperService.warmClusters(zooms);
+            res.json({
+                success: true,
+                data: warmed,
+                cache: cacheService.getStats(),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the effective configuration, with where each setting came from; secrets redacted
+     * GET /api/admin/config
+     */
+    async getConfig(req, res, next) {
+        try {
+            res.json({
+                success: true,
+                data: redactConfig(loaded),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new AdminController();
@@ -0,0 +1,128 @@
+const areaService = require("../services/areaService");
+
+/**
+ * Area controller handles CRUD requests for the named area registry
+ */
+class AreaController {
+    /**
+     * List all areas
+     * GET /api/areas
+     */
+    async listAreas(req, res, next) {
+        try {
+            const areas = areaService.list();
+            res.json({
+                success: true,
+                count: areas.length,
+                data: areas,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get a single area
+     * GET /api/areas/:id
+     */
+    async getArea(req, res, next) {
+        try {
+            const area = areaService.get(req.params.id);
+
+            if (!area) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Area not found",
+                });
+            }
+
+            res.json({
+                success: true,
+                data: area,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create an area
+     * POST /api/areas
+     * Body: { id, name, bounds: { minLat, maxLat, minLon, maxLon } | geometry, allowOverlap }
+     */
+    async createArea(req, res, next) {
+        try {
+            const result = await areaService.create(req.body || {});
+
+            if (result.errors) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: "Invalid area",
+                    fields: result.errors,
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                data: result.area,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Update an area's name and/or shape
+     * PUT /api/areas/:id
+     */
+    async updateArea(req, res, next) {
+        try {
+            const result = await areaService.update(req.params.id, req.body || {});
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Area not found",
+                });
+            }
+
+            if (result.errors) {
+                return res.status(result.status).json({
+                    success: false,
+                    error: "Invalid area",
+                    fields: result.errors,
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result.area,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Delete an area
+     * DELETE /api/areas/:id
+     */
+    async deleteArea(req, res, next) {
+        try {
+            const removed = await areaService.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Area not found",
+                });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new AreaController();
@@ -1,5 +1,91 @@
 const parkingScraperService = require("../services/parkingScraperService");
-const { AREAS, DEFAULT_RADIUS } = require("../config/constants");
+const historyStore = require("../services/historyStore");
+const eventFeed = require("../services/eventFeed");
+const streamService = require("../services/streamService");
+const areaService = require("../services/areaService");
+const restrictionService = require("../services/restrictionService");
+const { wantsGeoJSON, sendFeatureCollection } = require("../utils/geojson");
+const {
+    parseListQuery,
+    parseFields,
+    sortSpots,
+    projectSpot,
+    isStaleCursor,
+    paginate,
+} = require("../utils/listQuery");
+const { EXPORT_FORMATS, exportFilename, streamExport } = require("../utils/export");
+const { validatePolygonGeometry } = require("../utils/geometry");
+const { parseSpotFilter, parseBbox } = require("../utils/spotFilter");
+const {
+    DEFAULT_RADIUS,
+    HISTORY_DEFAULT_WINDOW,
+    EVENTS_DEFAULT_LIMIT,
+    EVENTS_MAX_LIMIT,
+} = require("../config/constants");
+
+/**
+ * Parse the optional from/to query parameters of history routes
+ * Defaults to the last HISTORY_DEFAULT_WINDOW milliseconds
+ */
+const parseTimeRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - HISTORY_DEFAULT_WINDOW);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: "Invalid from or to date" };
+    }
+
+    if (from > to) {
+        return { error: "from must be before to" };
+    }
+
+    return { from, to };
+};
+
+// GeoJSON features need these fields whatever the projection
+const GEOJSON_FIELDS = ["bayId", "location"];
+
+/**
+ * Sort, paginate and project spots, then send them as JSON or GeoJSON
+ * @param {object} list - Output of parseListQuery
+ * @param {object[]} spots - Transformed spots
+ * @param {object} envelope - Fields sent alongside the spots
+ * @param {object} options - { key: property holding the spots, total: matching spot count }
+ */
+const sendSpots = (req, res, list, spots, envelope, { key = "spots", total } = {}) => {
+    const { version } = parkingScraperService.getSnapshot();
+
+    if (isStaleCursor(list, version)) {
+        return res.status(400).json({
+            success: false,
+            error: "Cursor belongs to an earlier snapshot, request the first page again",
+            version,
+        });
+    }
+
+    const { items, pagination } = paginate(sortSpots(spots, list.sort), list, req, {
+        version,
+        total,
+    });
+
+    if (wantsGeoJSON(req)) {
+        return sendFeatureCollection(
+            res,
+            items.map((spot) => projectSpot(spot, list.fields, GEOJSON_FIELDS)),
+            { count: items.length, ...envelope, pagination }
+        );
+    }
+
+    res.json({
+        success: true,
+        ...envelope,
+        count: items.length,
+        pagination,
+        [key]: items.map((spot) => projectSpot(spot, list.fields)),
+    });
+};
 
 /**
  * Parking controller handles all parking-related HTTP requests
@@ -7,18 +93,65 @@ const { AREAS, DEFAULT_RADIUS } = require("../config/constants");
 class ParkingController {
     /**
      * Get all parking data
-     * GET /api/parking/all
+     * GET /api/parking/all?limit=N&cursor=C&sort=field&fields=a,b
+     * GET /api/parking/all?sinceVersion=N&fields=a,b - Only bays added, changed or removed
+     * since snapshot version N, unpaginated
+     * Also accepts the spot filters of parseSpotFilter
      */
     async getAllParking(req, res, next) {
         try {
-            const result = await parkingScraperService.getAllParkingData();
-            res.json({
-                success: true,
-                source: "web-scraping",
-                count: result.data.length,
-                lastUpdated: parkingScraperService.lastScrapeTime,
-                data: result.data,
-            });
+            const list = parseListQuery(req.query);
+
+            if (list.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: list.error,
+                });
+            }
+
+            const filter = parseSpotFilter(req.query);
+
+            if (req.query.sinceVersion !== undefined) {
+                if (!/^\d+$/.test(req.query.sinceVersion)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "sinceVersion must be a non-negative integer",
+                    });
+                }
+
+                const sinceVersion = parseInt(req.query.sinceVersion);
+
+                const { added, changed, removed, ...delta } = parkingScraperService.getChangesSince(
+                    sinceVersion,
+                    filter
+                );
+
+                return res.json({
+                    success: true,
+                    source: "web-scraping",
+                    lastUpdated: parkingScraperService.lastScrapeTime,
+                    ...parkingScraperService.getProvenance(),
+                    ...delta,
+                    added: added.map((spot) => projectSpot(spot, list.fields, ["bayId"])),
+                    changed: changed.map((spot) => projectSpot(spot, list.fields, ["bayId"])),
+                    removed,
+                });
+            }
+            const result = parkingScraperService.getAllParkingData();
+            const records = filter ? result.data.filter(filter) : result.data;
+
+            sendSpots(
+                req,
+                res,
+                list,
+                parkingScraperService.transformSpotData(records),
+                {
+                    source: "web-scraping",
+                    lastUpdated: parkingScraperService.lastScrapeTime,
+                    ...parkingScraperService.getProvenance(),
+                },
+                { key: "data" }
+            );
         } catch (error) {
             next(error);
         }
@@ -26,16 +159,28 @@ class ParkingController {
 
     /**
      * Get available parking spots
-     * GET /api/parking/available
+     * GET /api/parking/available?limit=N&cursor=C&sort=field&fields=a,b
+     * Also accepts the spot filters of parseSpotFilter
      */
     async getAvailable(req, res, next) {
         try {
-            const result = await parkingScraperService.getAvailableSpots();
-            res.json({
-                success: true,
+            const list = parseListQuery(req.query);
+
+            if (list.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: list.error,
+                });
+            }
+
+            const filter = parseSpotFilter(req.query);
+            const { spots, ...summary } = parkingScraperService.getAvailableSpots(filter);
+
+            sendSpots(req, res, list, spots, {
                 source: "web-scraping",
                 lastUpdated: parkingScraperService.lastScrapeTime,
-                ...result,
+                ...parkingScraperService.getProvenance(),
+                ...summary,
             });
         } catch (error) {
             next(error);
@@ -43,12 +188,14 @@ class ParkingController {
     }
 
     /**
-     * Get parking spots near a location
-     * GET /api/parking/nearby?lat=X&lon=Y&radius=Z
+     * Get parking spots near a location, nearest first unless sorted otherwise
+     * GET /api/parking/nearby?lat=X&lon=Y&radius=Z&availableOnly=true&duration=MIN
+     *     &limit=N&cursor=C&sort=field&fields=a,b
+     * Also accepts the spot filters of parseSpotFilter
      */
     async getNearby(req, res, next) {
         try {
-            const { lat, lon, radius = DEFAULT_RADIUS } = req.query;
+            const { lat, lon, radius = DEFAULT_RADIUS, availableOnly, duration } = req.query;
 
             if (!lat || !lon) {
                 return res.status(400).json({
@@ -75,17 +222,64 @@ class ParkingController {
                 });
             }
 
-            const result = await parkingScraperService.getNearbySpots(
+            const list = parseListQuery(req.query, { allowDistance: true });
+
+            if (list.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: list.error,
+                });
+            }
+
+            const stayMinutes = duration ? parseInt(duration) : null;
+
+            if (duration && (isNaN(stayMinutes) || stayMinutes < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Duration must be a positive number of minutes",
+                });
+            }
+
+            // Without sign plates every bay would fail the legal stay check
+            if (stayMinutes && restrictionService.getStats().zones === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Restriction data is not loaded, duration is unavailable",
+                });
+            }
+
+            const filter = parseSpotFilter(req.query);
+
+            // In distance order only the bays up to this page, plus one to detect a next
+            // page, are needed
+            const nearestFirst =
+                list.limit !== null &&
+                (!list.sort || (list.sort.field === "distance" && !list.sort.descending));
+            const { spots, ...summary } = parkingScraperService.getNearbySpots(
                 latitude,
                 longitude,
-                searchRadius
+                searchRadius,
+                {
+                    limit: nearestFirst ? list.offset + list.limit + 1 : null,
+                    availableOnly: availableOnly === "true",
+                    duration: stayMinutes,
+                    filter,
+                }
+            );
+
+            sendSpots(
+                req,
+                res,
+                list,
+                spots,
+                {
+                    source: "web-scraping",
+                    lastUpdated: parkingScraperService.lastScrapeTime,
+                    ...parkingScraperService.getProvenance(),
+                    ...summary,
+                },
+                { total: nearestFirst ? null : spots.length }
             );
-            res.json({
-                success: true,
-                source: "web-scraping",
-                lastUpdated: parkingScraperService.lastScrapeTime,
-                ...result,
-            });
         } catch (error) {
             next(error);
         }
@@ -93,28 +287,83 @@ class ParkingController {
 
     /**
      * Get parking in a specific area
-     * GET /api/parking/area/:areaName
+     * GET /api/parking/area/:areaName?limit=N&cursor=C&sort=field&fields=a,b
+     * Also accepts the spot filters of parseSpotFilter
      */
     async getByArea(req, res, next) {
         try {
             const { areaName } = req.params;
-            const area = AREAS[areaName.toLowerCase()];
+            const area = areaService.get(areaName);
 
             if (!area) {
                 return res.status(404).json({
                     success: false,
                     error: "Area not found",
-                    availableAreas: Object.keys(AREAS),
+                    availableAreas: areaService.ids(),
                 });
             }
 
-            const result = await parkingScraperService.getAreaSpots(area.bounds);
-            res.json({
-                success: true,
+            const list = parseListQuery(req.query);
+
+            if (list.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: list.error,
+                });
+            }
+
+            const filter = parseSpotFilter(req.query);
+            const { spots, ...summary } = parkingScraperService.getAreaSpots(area, filter);
+
+            sendSpots(req, res, list, spots, {
                 source: "web-scraping",
                 area: area.name,
                 lastUpdated: parkingScraperService.lastScrapeTime,
-                ...result,
+                ...parkingScraperService.getProvenance(),
+                ...summary,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get parking inside a GeoJSON Polygon or MultiPolygon
+     * POST /api/parking/area/query?limit=N&cursor=C&sort=field&fields=a,b
+     * Also accepts the spot filters of parseSpotFilter
+     * Body: a Polygon/MultiPolygon geometry, or a Feature wrapping one
+     */
+    async queryArea(req, res, next) {
+        try {
+            const body = req.body || {};
+            const geometry = body.type === "Feature" ? body.geometry : body;
+            const geometryError = validatePolygonGeometry(geometry);
+
+            if (geometryError) {
+                return res.status(400).json({
+                    success: false,
+                    error: geometryError,
+                });
+            }
+
+            const list = parseListQuery(req.query);
+
+            if (list.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: list.error,
+                });
+            }
+
+            const filter = parseSpotFilter(req.query);
+            const { spots, ...summary } = parkingScraperService.getPolygonSpots(geometry, filter);
+
+            sendSpots(req, res, list, spots, {
+                source: "web-scraping",
+                geometryType: geometry.type,
+                lastUpdated: parkingScraperService.lastScrapeTime,
+                ...parkingScraperService.getProvenance(),
+                ...summary,
             });
         } catch (error) {
             next(error);
@@ -123,7 +372,7 @@ class ParkingController {
 
     /**
      * Get specific parking bay information
-     * GET /api/parking/bay/:bayId
+     * GET /api/parking/bay/:bayId?fields=a,b
      */
     async getBayInfo(req, res, next) {
         try {
@@ -136,7 +385,16 @@ class ParkingController {
                 });
             }
 
-            const bayInfo = await parkingScraperService.getBayInfo(bayId);
+            const projection = parseFields(req.query.fields);
+
+            if (projection.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: projection.error,
+                });
+            }
+
+            const bayInfo = parkingScraperService.getBayInfo(bayId);
 
             if (!bayInfo) {
                 return res.status(404).json({
@@ -145,11 +403,352 @@ class ParkingController {
                 });
             }
 
+            if (wantsGeoJSON(req)) {
+                const spot = projectSpot(bayInfo, projection.fields, GEOJSON_FIELDS);
+                return sendFeatureCollection(res, [spot], {
+                    count: 1,
+                    lastUpdated: parkingScraperService.lastScrapeTime,
+                    ...parkingScraperService.getProvenance(),
+                    source: "web-scraping",
+                });
+            }
+
+            res.json({
+                success: true,
+                source: "web-scraping",
+                lastUpdated: parkingScraperService.lastScrapeTime,
+                ...parkingScraperService.getProvenance(),
+                data: projectSpot(bayInfo, projection.fields),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get bay clusters for a map viewport
+     * GET /api/parking/clusters?bbox=minLon,minLat,maxLon,maxLat&zoom=N
+     */
+    async getClusters(req, res, next) {
+        try {
+            const { bbox, zoom } = req.query;
+
+            if (!bbox || zoom === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: "bbox and zoom are required",
+                });
+            }
+
+            const viewport = parseBbox(bbox);
+            const zoomLevel = parseInt(zoom);
+
+            if (!viewport) {
+                return res.status(400).json({
+                    success: false,
+                    error: "bbox must be minLon,minLat,maxLon,maxLat",
+                });
+            }
+
+            if (isNaN(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Zoom must be an integer between 0 and 22",
+                });
+            }
+
+            const result = parkingScraperService.getClusters(viewport, zoomLevel);
+            res.json({
+                success: true,
+                source: "web-scraping",
+                lastUpdated: parkingScraperService.lastScrapeTime,
+                ...parkingScraperService.getProvenance(),
+                ...result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Stream parking data as a file download
+     * GET /api/parking/export?format=csv|ndjson&area=NAME&lat=X&lon=Y&radius=Z&availableOnly=true
+     * Also accepts the spot filters of parseSpotFilter
+     */
+    async exportParking(req, res, next) {
+        try {
+            const { format = "csv", area: areaName, lat, lon, availableOnly } = req.query;
+            const filters = {
+                availableOnly: availableOnly === "true",
+                filter: parseSpotFilter(req.query),
+            };
+
+            // Own keys only: ?format=toString must not reach Object.prototype
+            if (typeof format !== "string" || !Object.hasOwn(EXPORT_FORMATS, format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+                });
+            }
+
+            if (areaName) {
+                const area = areaService.get(areaName);
+
+                if (!area) {
+                    return res.status(404).json({
+                        success: false,
+                        error: "Area not found",
+                        availableAreas: areaService.ids(),
+                    });
+                }
+
+                filters.area = area;
+            }
+
+            if (lat || lon) {
+                const latitude = parseFloat(lat);
+                const longitude = parseFloat(lon);
+                const searchRadius = parseInt(req.query.radius || DEFAULT_RADIUS);
+
+                if (isNaN(latitude) || isNaN(longitude)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Invalid latitude or longitude",
+                    });
+                }
+
+                if (isNaN(searchRadius) || searchRadius > 5000) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Radius cannot exceed 5000 meters",
+                    });
+                }
+
+                filters.center = { lat: latitude, lon: longitude };
+                filters.radius = searchRadius;
+            }
+
+            const records = parkingScraperService.getFilteredRecords(filters);
+            const filename = exportFilename(format, parkingScraperService.lastScrapeTime);
+            const { dataSource, dataAge } = parkingScraperService.getProvenance();
+
+            // The file body has no envelope, so provenance travels in headers
+            res.set({
+                "Content-Type": EXPORT_FORMATS[format].contentType,
+                "Content-Disposition": `attachment; filename="${filename}"`,
+                "X-Data-Source": dataSource,
+                "X-Data-Age": String(dataAge),
+            });
+
+            const clock = restrictionService.clockAt();
+            await streamExport(
+                res,
+                records,
+                (record) => parkingScraperService.transformSingleSpot(record, clock),
+                format
+            );
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the status timeline of a bay
+     * GET /api/parking/history/bay/:bayId?from=&to=
+     */
+    async getBayHistory(req, res, next) {
+        try {
+            const { bayId } = req.params;
+            const range = parseTimeRange(req.query);
+
+            if (range.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: range.error,
+                });
+            }
+
+            const timeline = await historyStore.getBayTimeline(bayId, range.from, range.to);
+            res.json({
+                success: true,
+                bayId,
+                from: range.from.toISOString(),
+                to: range.to.toISOString(),
+                count: timeline.length,
+                data: timeline,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get the occupancy timeline of an area
+     * GET /api/parking/history/area/:areaName?from=&to=
+     */
+    async getAreaHistory(req, res, next) {
+        try {
+            const { areaName } = req.params;
+            const area = areaService.get(areaName);
+
+            if (!area) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Area not found",
+                    availableAreas: areaService.ids(),
+                });
+            }
+
+            const range = parseTimeRange(req.query);
+
+            if (range.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: range.error,
+                });
+            }
+
+            const timeline = await historyStore.getAreaTimeline(
+                (lat, lon) => areaService.contains(area, lat, lon),
+                range.from,
+                range.to
+            );
+            res.json({
+                success: true,
+                area: area.name,
+                from: range.from.toISOString(),
+                to: range.to.toISOString(),
+                count: timeline.length,
+                data: timeline,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get bay status-change events after a cursor
+     * GET /api/parking/events?since=<cursor>&limit=N
+     * Responds with reset: true and no events when the cursor is unknown, see getEventsSince
+     */
+    async getEvents(req, res, next) {
+        try {
+            const { since, limit = EVENTS_DEFAULT_LIMIT } = req.query;
+            const pageSize = parseInt(limit);
+
+            if (isNaN(pageSize) || pageSize < 1 || pageSize > EVENTS_MAX_LIMIT) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Limit must be between 1 and ${EVENTS_MAX_LIMIT}`,
+                });
+            }
+
+            const result = eventFeed.getEventsSince(since || null, pageSize);
+            res.json({
+                success: true,
+                count: result.events.length,
+                nextCursor: result.nextCursor,
+                hasMore: result.hasMore,
+                truncated: result.truncated,
+                // Unknown cursor, e.g. from before a restart: reload the full state, then
+                // continue from nextCursor
+                reset: result.reset,
+                data: result.events,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Stream bay status changes as Server-Sent Events
+     * GET /api/parking/stream?area=NAME|zone=N,M|lat=X&lon=Y&radius=Z
+     */
+    streamUpdates(req, res, next) {
+        try {
+            const { area: areaName, zone, lat, lon, radius = DEFAULT_RADIUS } = req.query;
+            const filter = {};
+
+            if (areaName) {
+                const area = areaService.get(areaName);
+
+                if (!area) {
+                    return res.status(404).json({
+                        success: false,
+                        error: "Area not found",
+                        availableAreas: areaService.ids(),
+                    });
+                }
+
+                filter.area = area;
+            }
+
+            if (zone) {
+                // ?zone=7001,7002 and ?zone=7001&zone=7002 are the same list
+                const values = [].concat(zone);
+
+                if (!values.every((value) => typeof value === "string")) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Zone must be a zone number or a list of them",
+                    });
+                }
+
+                filter.zones = values
+                    .flatMap((value) => value.split(","))
+                    .map((value) => value.trim())
+                    .filter(Boolean);
+            }
+
+            if (lat || lon) {
+                const latitude = parseFloat(lat);
+                const longitude = parseFloat(lon);
+                const searchRadius = parseInt(radius);
+
+                if (isNaN(latitude) || isNaN(longitude)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Invalid latitude or longitude",
+                    });
+                }
+
+                if (isNaN(searchRadius) || searchRadius > 5000) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Radius cannot exceed 5000 meters",
+                    });
+                }
+
+                filter.center = { lat: latitude, lon: longitude };
+                filter.radius = searchRadius;
+            }
+
+            // Browsers send Last-Event-ID on reconnect, the query param helps other clients.
+            // An ID the feed does not know gets a reset event rather than an error: EventSource
+            // stops reconnecting after an HTTP error.
+            const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+
+            streamService.addClient(res, filter, lastEventId);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get sensor health counts per zone
+     * GET /api/parking/sensors/health
+     * Also accepts the spot filters of parseSpotFilter
+     */
+    async getSensorHealth(req, res, next) {
+        try {
+            const filter = parseSpotFilter(req.query);
+            const report = parkingScraperService.getSensorHealth(filter);
             res.json({
                 success: true,
                 source: "web-scraping",
                 lastUpdated: parkingScraperService.lastScrapeTime,
-                data: bayInfo,
+                ...parkingScraperService.getProvenance(),
+                ...report,
             });
         } catch (error) {
             next(error);
@@ -159,13 +758,16 @@ class ParkingController {
     /**
      * Get parking statistics
      * GET /api/parking/stats
+     * Also accepts the spot filters of parseSpotFilter, e.g. sensorHealth=healthy
      */
     async getStatistics(req, res, next) {
         try {
-            const stats = await parkingScraperService.getStatistics();
+            const filter = parseSpotFilter(req.query);
+            const stats = parkingScraperService.getStatistics(filter);
             res.json({
                 success: true,
                 source: "web-scraping",
+                ...parkingScraperService.getProvenance(),
                 data: stats,
             });
         } catch (error) {
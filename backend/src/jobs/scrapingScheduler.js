@@ -1,95 +1,349 @@
-const cron = require("node-cron");
+const crypto = require("crypto");
+const nodeCron = require("node-cron");
 const parkingScraperService = require("../services/parkingScraperService");
+const eventFeed = require("../services/eventFeed");
+const streamService = require("../services/streamService");
+const metricsService = require("../services/metricsService");
+const { CircuitBreaker } = require("../utils/circuitBreaker");
+const { createLogger, runWithContext } = require("../utils/logger");
+const {
+    SCRAPE_INTERVAL,
+    SCRAPE_MIN_INTERVAL,
+    SCHEDULER_RUN_HISTORY,
+    SCRAPE_FAILURE_THRESHOLD,
+    SCRAPE_BACKOFF_BASE,
+    SCRAPE_BACKOFF_MAX,
+    SCRAPE_BACKOFF_JITTER,
+    SCRAPE_BREAKER_RESET,
+    DATA_PROVENANCE,
+} = require("../config/constants");
+
+const log = createLogger("scheduler");
+
+// Longest delay setTimeout accepts; it fires almost at once for anything longer
+const MAX_TIMEOUT = 2 ** 31 - 1;
 
 class ScrapingScheduler {
     constructor() {
-        this.job = null;
+        this.timer = null;
+        this.active = false;
+        this.nextRunAt = null;
+        this.paused = false;
+        // Runs every `interval` ms, or at the times of the `cron` task when a pattern is set.
+        // The task is never started: it only computes the times, the scheduler's own timer
+        // runs the scrapes so that pause and backoff work the same in both modes.
+        this.interval = SCRAPE_INTERVAL;
+        this.cron = null;
         this.isRunning = false;
+        this.inFlight = null;
         this.scrapeCount = 0;
         this.errorCount = 0;
         this.lastError = null;
+        // Most recent runs, oldest first
+        this.runs = [];
+        this.runSequence = 0;
+
+        // Consecutive failures back off exponentially, then open the breaker
+        this.breaker = new CircuitBreaker({
+            failureThreshold: SCRAPE_FAILURE_THRESHOLD,
+            resetTimeout: SCRAPE_BREAKER_RESET,
+            baseDelay: SCRAPE_BACKOFF_BASE,
+            maxDelay: SCRAPE_BACKOFF_MAX,
+            jitter: SCRAPE_BACKOFF_JITTER,
+            onStateChange: (from, to) => {
+                log.warn("Circuit breaker state changed", { from, to });
+            },
+        });
     }
 
     /**
      * Start the scraping job
      */
     start() {
-        const intervalMinutes = 2;
+        this.active = true;
 
-        // Create cron pattern (every N minutes)
-        const cronPattern = `*/${intervalMinutes} * * * *`;
+        log.info(`Scraping scheduler started - will run ${this.describeSchedule()}`);
 
-        // Schedule the job
-        this.job = cron.schedule(cronPattern, async () => {
-            await this.executeScrape();
-        });
+        // Run immediately on start
+        this.runNow("startup");
+    }
 
-        console.log(`Scraping scheduler started - will run every ${intervalMinutes} minutes`);
+    describeSchedule() {
+        return this.cron
+            ? `on cron "${this.cron.getPattern()}"`
+            : `every ${this.interval / 60000} minutes`;
+    }
 
-        // Run immediately on start
-        this.runNow();
+    /**
+     * Delay until the next regular run
+     * @returns {number|null} - null when the cron pattern never matches again
+     */
+    regularDelay() {
+        if (!this.cron) {
+            return this.interval;
+        }
+
+        const [next] = this.cron.getNextRuns(1);
+        return next ? next.getTime() - Date.now() : null;
+    }
+
+    /**
+     * Schedule the next run: the regular interval or cron time while healthy, the backoff
+     * or breaker delay after failures. Nothing is scheduled while paused.
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+
+        if (!this.active || this.paused) {
+            return;
+        }
+
+        const delay =
+            this.breaker.consecutiveFailures === 0
+                ? this.regularDelay()
+                : this.breaker.delayUntilNextAttempt();
+
+        if (delay === null) {
+            log.warn(`Cron "${this.cron.getPattern()}" has no upcoming run`);
+            return;
+        }
+
+        this.nextRunAt = Date.now() + delay;
+        this.armTimer();
+    }
+
+    /**
+     * Run at nextRunAt; waits longer than MAX_TIMEOUT (e.g. a monthly cron) re-arm the timer
+     * until the time is reached
+     */
+    armTimer() {
+        const remaining = this.nextRunAt - Date.now();
+
+        this.timer =
+            remaining > MAX_TIMEOUT
+                ? setTimeout(() => this.armTimer(), MAX_TIMEOUT)
+                : setTimeout(() => this.runNow("schedule"), Math.max(remaining, 0));
+    }
+
+    /**
+     * Stop scheduled runs until resume(); manual runs still work
+     */
+    pause() {
+        this.paused = true;
+        this.scheduleNext();
+        log.info("Paused");
+    }
+
+    /**
+     * Schedule runs again after pause()
+     */
+    resume() {
+        this.paused = false;
+        this.scheduleNext();
+        log.info("Resumed");
+    }
+
+    /**
+     * Change when regular runs happen
+     * @param {object} schedule - { interval } in ms, or { cron } pattern
+     * @throws {Error} - When the interval is too short or the cron pattern invalid
+     */
+    setSchedule({ interval = null, cron = null }) {
+        if ((interval === null) === (cron === null)) {
+            throw new Error("Give either an interval or a cron pattern");
+        }
+
+        let task = null;
+        if (cron !== null) {
+            // node-cron also takes a leading seconds field, which the admin route does not offer
+            if (String(cron).trim().split(/\s+/).length !== 5 || !nodeCron.validate(cron)) {
+                throw new Error(
+                    `Invalid cron pattern "${cron}" (use 5 fields: minute hour day-of-month month day-of-week)`
+                );
+            }
+            task = nodeCron.createTask(cron, () => this.runNow("schedule"));
+        } else if (!Number.isFinite(interval) || interval < SCRAPE_MIN_INTERVAL) {
+            throw new Error(`Interval must be at least ${SCRAPE_MIN_INTERVAL / 1000} seconds`);
+        } else {
+            this.interval = interval;
+        }
+
+        if (this.cron) {
+            this.cron.destroy();
+        }
+        this.cron = task;
+
+        log.info(`Schedule changed - will run ${this.describeSchedule()}`);
+        this.scheduleNext();
     }
 
     /**
      * Execute a scrape operation
+     * The scheduler is the only caller of scrapeParkingData; a run requested while one is in
+     * progress (e.g. a manual refresh) waits for that run instead of starting another.
+     * @param {string} trigger - startup | schedule | manual; manual runs ignore the backoff
      */
-    async executeScrape() {
-        if (this.isRunning) {
-            console.log("[Scraping Job] Previous scrape still running, skipping...");
+    executeScrape(trigger = "manual") {
+        if (!this.inFlight) {
+            this.inFlight = this.scrape(trigger).finally(() => {
+                this.inFlight = null;
+            });
+        }
+        return this.inFlight;
+    }
+
+    /**
+     * Record a run and perform it with its scrapeId on every line logged meanwhile,
+     * including by the scraper service and the data source
+     */
+    scrape(trigger) {
+        const run = this.recordRun(trigger, Date.now());
+        return runWithContext({ scrapeId: run.scrapeId }, () => this.perform(run));
+    }
+
+    /**
+     * Scrape, publish the snapshot to the event feed and live streams, and track failures
+     */
+    async perform(run) {
+        const startTime = Date.parse(run.startedAt);
+
+        if (run.trigger !== "manual" && !this.breaker.canAttempt()) {
+            log.info("Circuit breaker open, skipping");
+            this.finishRun(run, { outcome: "skipped" });
             return;
         }
 
         this.isRunning = true;
-        const startTime = Date.now();
 
-        console.log(`[Scraping Job] Starting scheduled scrape #${this.scrapeCount + 1}...`);
+        log.info(`Starting scrape #${this.scrapeCount + 1}`, { trigger: run.trigger });
 
         try {
-            await parkingScraperService.scrapeParkingData();
+            const snapshot = await parkingScraperService.scrapeParkingData();
+
+            // Falling back to last-known-good or mock data means the source failed
+            if (snapshot.provenance !== DATA_PROVENANCE.LIVE) {
+                throw new Error(parkingScraperService.lastFailure.reason);
+            }
+
+            const events = eventFeed.ingest(snapshot.records, snapshot.scrapedAt);
+            if (events.length > 0) {
+                log.info("Detected bay status changes", { events: events.length });
+            }
+
+            // Push the changes to live stream subscribers
+            streamService.broadcast({
+                events,
+                scrapedAt: snapshot.scrapedAt,
+            });
 
             const duration = Date.now() - startTime;
+            const report = parkingScraperService.lastScrapeReport;
             this.scrapeCount++;
+            this.breaker.recordSuccess();
+            this.finishRun(run, {
+                outcome: "success",
+                snapshotVersion: snapshot.version,
+                records: snapshot.records.length,
+                skippedRows: report ? report.skipped : null,
+            });
 
-            console.log(
-                `[Scraping Job] Scrape #${this.scrapeCount} completed successfully in ${duration}ms`
-            );
+            log.info(`Scrape #${this.scrapeCount} completed`, {
+                durationMs: duration,
+                snapshotVersion: snapshot.version,
+                records: snapshot.records.length,
+                skippedRows: report ? report.skipped : null,
+            });
         } catch (error) {
             this.errorCount++;
+            this.breaker.recordFailure();
             this.lastError = {
                 message: error.message,
                 timestamp: new Date().toISOString(),
             };
 
-            console.error(
-                `[Scraping Job] Scrape failed (error #${this.errorCount}):`,
-                error.message
-            );
+            // The source's error, rather than the 503 or the fallback it led to
+            const failure = parkingScraperService.lastFailure;
+            this.finishRun(run, {
+                outcome: "failed",
+                error: error.message,
+                errorType: (failure && failure.type) || error.name,
+            });
 
-            // If too many consecutive errors, consider stopping
-            if (this.errorCount > 5) {
-                console.error(
-                    "[Scraping Job] Too many consecutive errors, consider checking the scraper"
-                );
-            }
+            log.error("Scrape failed", {
+                consecutiveFailures: this.breaker.consecutiveFailures,
+                error,
+            });
         } finally {
             this.isRunning = false;
         }
     }
 
     /**
-     * Run scraping immediately
+     * Add a run to the history
      */
-    async runNow() {
-        await this.executeScrape();
+    recordRun(trigger, startTime) {
+        const run = {
+            id: ++this.runSequence,
+            // Correlation ID on every log line of the run
+            scrapeId: crypto.randomUUID(),
+            trigger,
+            startedAt: new Date(startTime).toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            outcome: "running",
+            snapshotVersion: null,
+            records: null,
+            skippedRows: null,
+            error: null,
+            errorType: null,
+        };
+
+        this.runs.push(run);
+        if (this.runs.length > SCHEDULER_RUN_HISTORY) {
+            this.runs.shift();
+        }
+
+        return run;
+    }
+
+    finishRun(run, result) {
+        const finishedAt = Date.now();
+
+        Object.assign(run, result, {
+            finishedAt: new Date(finishedAt).toISOString(),
+            durationMs: finishedAt - Date.parse(run.startedAt),
+        });
+        metricsService.observeScrape(run);
+    }
+
+    /**
+     * Most recent runs, newest first
+     */
+    getRuns(limit = SCHEDULER_RUN_HISTORY) {
+        return this.runs.slice(-limit).reverse();
+    }
+
+    /**
+     * Run scraping immediately, then schedule the next run while started
+     * @param {string} trigger - See executeScrape
+     */
+    async runNow(trigger = "manual") {
+        await this.executeScrape(trigger);
+        this.scheduleNext();
     }
 
     /**
      * Stop the scraping job
      */
     stop() {
-        if (this.job) {
-            this.job.stop();
-            console.log("Scraping scheduler stopped");
+        const wasScheduled = Boolean(this.timer);
+        this.active = false;
+        this.scheduleNext();
+
+        if (wasScheduled) {
+            log.info("Scraping scheduler stopped");
         }
     }
 
@@ -98,11 +352,18 @@ class ScrapingScheduler {
      */
     getStatus() {
         return {
+            active: this.active,
+            paused: this.paused,
+            interval: this.interval,
+            cron: this.cron ? this.cron.getPattern() : null,
             isRunning: this.isRunning,
             scrapeCount: this.scrapeCount,
             errorCount: this.errorCount,
+            consecutiveFailures: this.breaker.consecutiveFailures,
             lastError: this.lastError,
-            nextRun: this.job ? this.job.nextDates(1)[0] : null,
+            nextRun: this.nextRunAt ? new Date(this.nextRunAt).toISOString() : null,
+            circuitBreaker: this.breaker.getState(),
+            lastRun: this.runs.length > 0 ? this.runs[this.runs.length - 1] : null,
         };
     }
 }
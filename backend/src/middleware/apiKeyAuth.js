@@ -0,0 +1,77 @@
+const apiKeyService = require("../services/apiKeyService");
+const { AuthenticationError, ForbiddenError, RateLimitError } = require("../utils/errors");
+
+// EventSource cannot set headers, so only the live stream may pass its key as ?apiKey=
+const QUERY_KEY_ROUTE = "/api/parking/stream";
+
+/**
+ * Read the API key of a request from its headers, or its query on the live stream
+ * Keys in URLs end up in logs and browser history, so other routes ignore ?apiKey=
+ */
+const presentedKey = (req) => {
+    const authorization = req.get("Authorization") || "";
+
+    if (req.get("X-API-Key")) {
+        return req.get("X-API-Key");
+    }
+    if (authorization.startsWith("Bearer ")) {
+        return authorization.slice("Bearer ".length).trim();
+    }
+    const onStream = req.method === "GET" && `${req.baseUrl}${req.path}` === QUERY_KEY_ROUTE;
+    return onStream && typeof req.query.apiKey === "string" ? req.query.apiKey : null;
+};
+
+/**
+ * Require a valid API key and count the request against its rate limit and daily quota
+ * Sets X-RateLimit-* headers; over the limit the request fails with a 429 and Retry-After
+ */
+const apiKeyAuth = (req, res, next) => {
+    if (!apiKeyService.enabled) {
+        return next();
+    }
+
+    const key = presentedKey(req);
+    if (!key) {
+        return next(new AuthenticationError("API key required (X-API-Key header)"));
+    }
+
+    const apiKey = apiKeyService.authenticate(key);
+    if (!apiKey) {
+        return next(new AuthenticationError("Invalid or disabled API key"));
+    }
+
+    const result = apiKeyService.consume(apiKey);
+    res.set(result.headers);
+
+    if (!result.allowed) {
+        return next(
+            new RateLimitError(
+                result.reason === "quota" ? "Daily quota exceeded" : "Rate limit exceeded",
+                result.retryAfter
+            )
+        );
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
+/**
+ * Require an admin key: ADMIN_API_KEY or a key created with admin: true
+ * Also applies when API_AUTH_ENABLED is off, so keys are never managed anonymously
+ */
+const requireAdmin = (req, res, next) => {
+    const apiKey = req.apiKey || apiKeyService.authenticate(presentedKey(req));
+
+    if (!apiKey) {
+        return next(new AuthenticationError("Admin API key required"));
+    }
+    if (!apiKey.admin) {
+        return next(new ForbiddenError("This API key cannot use admin routes"));
+    }
+
+    req.apiKey = apiKey;
+    next();
+};
+
+module.exports = { apiKeyAuth, requireAdmin };
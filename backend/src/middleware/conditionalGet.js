@@ -0,0 +1,49 @@
+const parkingScraperService = require("../services/parkingScraperService");
+const { wantsGeoJSON } = require("../utils/geojson");
+const { filterDependsOnTime } = require("../utils/spotFilter");
+
+// Snapshot versions restart at 1 with the process, so ETags also carry the start time
+const BOOT_ID = Date.now().toString(36);
+
+/**
+ * Conditional GET for responses built from the parking snapshot
+ * Sets an ETag from the snapshot version, the last time its spots changed with the clock
+ * (see getChangedAt) and the representation (JSON or GeoJSON), and Last-Modified from that
+ * time, and answers If-None-Match / If-Modified-Since with 304 before the handler does any work
+ */
+const conditionalGet = (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+        return next();
+    }
+
+    // The snapshot version cannot validate answers that also depend on the time of the
+    // request: relative and clock-based filters, and the legal stay of ?duration=
+    if (filterDependsOnTime(req.query) || req.query.duration !== undefined) {
+        return next();
+    }
+
+    let snapshot;
+    let changedAt;
+    try {
+        snapshot = parkingScraperService.getSnapshot();
+        changedAt = parkingScraperService.getChangedAt();
+    } catch (error) {
+        // Nothing to validate against; the handler answers with the 503
+        return next();
+    }
+
+    const representation = wantsGeoJSON(req) ? "geojson" : "json";
+    res.set(
+        "ETag",
+        `W/"${BOOT_ID}-${snapshot.version}-${changedAt.toString(36)}-${representation}"`
+    );
+    res.set("Last-Modified", new Date(changedAt).toUTCString());
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    next();
+};
+
+module.exports = conditionalGet;
@@ -1,23 +1,30 @@
+const { createLogger } = require("../utils/logger");
+const { NODE_ENV } = require("../config/constants");
+
+const log = createLogger("http.errors");
+
 /**
  * Global error handling middleware
  * Catches and formats all errors consistently
  */
 const errorHandler = (err, req, res, next) => {
-    // Log error details for debugging
-    console.error("Error:", {
-        message: err.message,
-        stack: err.stack,
-        path: req.path,
-        method: req.method,
-        timestamp: new Date().toISOString(),
-        body: req.body,
-        query: req.query,
-        params: req.params,
-    });
-
     // Default error status code
     const statusCode = err.statusCode || 500;
 
+    // Client errors are expected; only server errors are logged with their stack
+    const details = {
+        requestId: req.id,
+        method: req.method,
+        path: req.path,
+        status: statusCode,
+        params: req.params,
+    };
+    if (statusCode >= 500) {
+        log.error(err.message, { ...details, error: err, body: req.body });
+    } else {
+        log.warn(err.message, details);
+    }
+
     // Prepare error response
     const errorResponse = {
         success: false,
@@ -28,7 +35,7 @@ const errorHandler = (err, req, res, next) => {
     };
 
     // Add additional error details in development
-    if (process.env.NODE_ENV === "development") {
+    if (NODE_ENV === "development") {
         errorResponse.error.stack = err.stack;
         errorResponse.error.details = err.details || null;
     }
@@ -43,6 +50,10 @@ const errorHandler = (err, req, res, next) => {
         errorResponse.error.message = "Web scraping error - please try again later";
     }
 
+    if (err.retryAfter) {
+        res.set("Retry-After", String(err.retryAfter));
+    }
+
     res.status(statusCode).json(errorResponse);
 };
 
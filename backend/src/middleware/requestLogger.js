@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const metricsService = require("../services/metricsService");
+const { createLogger, runWithContext } = require("../utils/logger");
+
+const log = createLogger("http");
+
+// Request IDs passed in by a proxy or client are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Query parameters as logged; API keys passed as ?apiKey= are not written to the log
+ */
+const loggedQuery = (query) =>
+    Object.keys(query).length > 0
+        ? { ...query, ...(query.apiKey !== undefined && { apiKey: "[redacted]" }) }
+        : undefined;
+
+/**
+ * Request logging middleware
+ * Gives each request an X-Request-Id (the caller's, or a new one), echoes it in the
+ * response and adds it to every line logged while handling the request. Logs one line per
+ * finished request with its timing, which also feeds the latency metrics.
+ */
+const requestLogger = (req, res, next) => {
+    const start = Date.now();
+    const incoming = req.get("X-Request-Id");
+
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    res.on("finish", () => {
+        const duration = Date.now() - start;
+
+        log.info("Request completed", {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            query: loggedQuery(req.query),
+            status: res.statusCode,
+            durationMs: duration,
+        });
+
+        metricsService.observeRequest(req, res, duration);
+    });
+
+    runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestLogger;
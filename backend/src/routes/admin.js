@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/adminController");
+const { requireAdmin } = require("../middleware/apiKeyAuth");
+
+/**
+ * Admin routes, for ADMIN_API_KEY and keys created with admin: true
+ */
+
+router.use(requireAdmin);
+
+// List API keys with usage counters
+router.get("/keys", adminController.listKeys);
+
+// Create an API key
+router.post("/keys", adminController.createKey);
+
+// Get a single API key
+router.get("/keys/:id", adminController.getKey);
+
+// Update an API key
+router.put("/keys/:id", adminController.updateKey);
+
+// Revoke an API key
+router.delete("/keys/:id", adminController.deleteKey);
+
+// Get scheduler status
+router.get("/scheduler", adminController.getScheduler);
+
+// Scrape now
+router.post("/scheduler/run", adminController.runScheduler);
+
+// Pause and resume scheduled scrapes
+router.post("/scheduler/pause", adminController.pauseScheduler);
+router.post("/scheduler/resume", adminController.resumeScheduler);
+
+// Change the interval or cron pattern
+router.put("/scheduler/schedule", adminController.updateSchedule);
+
+// Get recent scrape runs
+router.get("/scheduler/runs", adminController.getSchedulerRuns);
+
+// Clear or warm the cache
+router.delete("/cache", adminController.clearCache);
+router.post("/cache/warm", adminController.warmCache);
+
+// Get the effective configuration, secrets redacted
+router.get("/config", adminController.getConfig);
+
+module.exports = router;
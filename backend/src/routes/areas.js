@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const areaController = require("../controllers/areaController");
+const { requireAdmin } = require("../middleware/apiKeyAuth");
+
+/**
+ * Named area routes
+ * Any API key can read areas; changing them needs an admin key
+ */
+
+// List all areas
+router.get("/", areaController.listAreas);
+
+// Create an area
+router.post("/", requireAdmin, areaController.createArea);
+
+// Get a single area
+router.get("/:id", areaController.getArea);
+
+// Update an area
+router.put("/:id", requireAdmin, areaController.updateArea);
+
+// Delete an area
+router.delete("/:id", requireAdmin, areaController.deleteArea);
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require("express");
 const router = express.Router();
 const cacheService = require("../services/cacheService");
 const parkingScraperService = require("../services/parkingScraperService");
+const restrictionService = require("../services/restrictionService");
+const scrapingScheduler = require("../jobs/scrapingScheduler");
+const { NODE_ENV } = require("../config/constants");
 
 /**
  * Health check endpoint
@@ -14,22 +17,30 @@ router.get("/", (req, res) => {
         status: "OK",
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        environment: process.env.NODE_ENV || "development",
+        environment: NODE_ENV,
         scraper: {
+            dataSource: parkingScraperService.dataSource.name,
+            provenance: parkingScraperService.provenance,
+            dataAge: parkingScraperService.getProvenance().dataAge,
+            maxDataAge: `${parkingScraperService.maxDataAge / 1000} seconds`,
+            mockDataEnabled: parkingScraperService.mockDataEnabled,
+            lastFailure: parkingScraperService.lastFailure,
+            lastScrapeReport: parkingScraperService.lastScrapeReport,
             isInitialized: parkingScraperService.isInitialized,
             lastScrapeTime: parkingScraperService.lastScrapeTime
                 ? new Date(parkingScraperService.lastScrapeTime).toISOString()
                 : "Never",
-            nextScrapeIn: parkingScraperService.lastScrapeTime
-                ? Math.max(
-                      0,
-                      (parkingScraperService.scrapeInterval -
-                          (Date.now() - parkingScraperService.lastScrapeTime)) /
-                          1000
-                  ) + " seconds"
+            snapshotVersion: parkingScraperService.snapshot
+                ? parkingScraperService.snapshot.version
+                : null,
+            scrapeInProgress: Boolean(parkingScraperService.inFlight),
+            nextScrapeIn: scrapingScheduler.nextRunAt
+                ? Math.max(0, (scrapingScheduler.nextRunAt - Date.now()) / 1000) + " seconds"
                 : "Unknown",
         },
+        scheduler: scrapingScheduler.getStatus(),
         cache: cacheStats,
+        restrictions: restrictionService.getStats(),
         memory: {
             used: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`,
             total: `${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`,
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const metricsService = require("../services/metricsService");
+const { CONTENT_TYPE } = require("../utils/metrics");
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ */
+router.get("/", (req, res) => {
+    res.set("Content-Type", CONTENT_TYPE);
+    res.send(metricsService.render());
+});
+
+module.exports = router;
@@ -1,27 +1,56 @@
 const express = require("express");
 const router = express.Router();
 const parkingController = require("../controllers/parkingController");
+const conditionalGet = require("../middleware/conditionalGet");
 
 /**
  * Parking routes
+ * Routes served from the snapshot answer conditional requests (ETag / Last-Modified), with
+ * validators that also follow the restriction and sensor health changes of its spots; events,
+ * the live stream and history have their own cursors or sources. The sensor health report
+ * ages with the clock between snapshots, so it is always built fresh.
  */
 
-// Get all parking data
-router.get("/all", parkingController.getAllParking);
+// Get all parking data, or the changes since a snapshot version (?sinceVersion=N)
+router.get("/all", conditionalGet, parkingController.getAllParking);
 
 // Get available parking spots
-router.get("/available", parkingController.getAvailable);
+router.get("/available", conditionalGet, parkingController.getAvailable);
 
 // Get parking spots near a location
-router.get("/nearby", parkingController.getNearby);
+router.get("/nearby", conditionalGet, parkingController.getNearby);
 
 // Get parking statistics
-router.get("/stats", parkingController.getStatistics);
+router.get("/stats", conditionalGet, parkingController.getStatistics);
+
+// Get sensor health per zone
+router.get("/sensors/health", parkingController.getSensorHealth);
 
 // Get parking in a specific area
-router.get("/area/:areaName", parkingController.getByArea);
+router.get("/area/:areaName", conditionalGet, parkingController.getByArea);
+
+// Get parking inside a GeoJSON Polygon or MultiPolygon
+router.post("/area/query", parkingController.queryArea);
 
 // Get specific parking bay information
-router.get("/bay/:bayId", parkingController.getBayInfo);
+router.get("/bay/:bayId", conditionalGet, parkingController.getBayInfo);
+
+// Get bay clusters for a map viewport
+router.get("/clusters", conditionalGet, parkingController.getClusters);
+
+// Export parking data as CSV or NDJSON
+router.get("/export", conditionalGet, parkingController.exportParking);
+
+// Get bay status-change events (arrivals and departures)
+router.get("/events", parkingController.getEvents);
+
+// Stream live bay status changes (Server-Sent Events)
+router.get("/stream", parkingController.streamUpdates);
+
+// Get the status timeline of a bay
+router.get("/history/bay/:bayId", parkingController.getBayHistory);
+
+// Get the occupancy timeline of an area
+router.get("/history/area/:areaName", parkingController.getAreaHistory);
 
 module.exports = router;
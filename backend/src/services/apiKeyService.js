@@ -0,0 +1,361 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { TokenBucket } = require("../utils/tokenBucket");
+const {
+    API_AUTH_ENABLED,
+    API_KEYS_FILE,
+    ADMIN_API_KEY,
+    API_KEY_DEFAULT_RATE,
+    API_KEY_DEFAULT_BURST,
+    API_KEY_DEFAULT_DAILY_QUOTA,
+    API_KEY_USAGE_SAVE_DELAY,
+} = require("../config/constants");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("apiKeys");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Principal for ADMIN_API_KEY: manages keys and is never rate limited
+const ENV_ADMIN = Object.freeze({ id: "env-admin", name: "ADMIN_API_KEY", admin: true });
+
+const hashKey = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+const utcDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * API keys with a token-bucket rate limit and a daily quota each, persisted to a local
+ * JSON file. Only a SHA-256 hash of each key is stored; the key itself is shown once,
+ * when it is created. Buckets live in memory, usage counters are saved with the keys.
+ */
+class ApiKeyService {
+    constructor(options = {}) {
+        this.file = options.file || API_KEYS_FILE;
+        this.enabled = options.enabled === undefined ? API_AUTH_ENABLED : options.enabled;
+        this.adminKey = options.adminKey === undefined ? ADMIN_API_KEY : options.adminKey;
+        this.keys = new Map();
+        this.buckets = new Map();
+        this.saveTimer = null;
+        this.load();
+    }
+
+    /**
+     * Load keys from disk
+     * An unreadable file is moved aside to <file>.corrupt and no keys are loaded.
+     */
+    load() {
+        this.keys = new Map();
+        this.buckets = new Map();
+
+        if (fs.existsSync(this.file)) {
+            try {
+                const stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+                if (!Array.isArray(stored)) {
+                    throw new Error("Expected a JSON array of keys");
+                }
+                stored.forEach((record) => this.keys.set(record.id, record));
+            } catch (error) {
+                log.error("Could not read the API keys file, starting without keys", {
+                    file: this.file,
+                    movedTo: `${this.file}.corrupt`,
+                    error,
+                });
+                this.keys = new Map();
+                fs.renameSync(this.file, `${this.file}.corrupt`);
+            }
+        }
+    }
+
+    /**
+     * Write the keys atomically (temp file + rename)
+     */
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.tmp`;
+        await fs.promises.writeFile(
+            tempFile,
+            JSON.stringify(Array.from(this.keys.values()), null, 2)
+        );
+        await fs.promises.rename(tempFile, this.file);
+    }
+
+    /**
+     * Save usage counters soon, batching the writes of busy periods
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.save().catch((error) => {
+                log.error("Failed to save API key usage", { error });
+            });
+        }, API_KEY_USAGE_SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write pending usage counters, call on shutdown
+     */
+    async flush() {
+        if (this.saveTimer) {
+            await this.save();
+        }
+    }
+
+    /**
+     * A key as shown by the admin routes, without its hash
+     */
+    toPublic(record) {
+        const view = { ...record };
+        delete view.hash;
+        return view;
+    }
+
+    list() {
+        return Array.from(this.keys.values()).map((record) => this.toPublic(record));
+    }
+
+    /**
+     * @returns {object|null}
+     */
+    get(id) {
+        const record = this.keys.get(id);
+        return record ? this.toPublic(record) : null;
+    }
+
+    /**
+     * Create a key
+     * @param {object} input - { name, rateLimit, burst, dailyQuota, admin }
+     * @returns {Promise<object>} - { key, apiKey } where key is the secret, or { errors, status }
+     */
+    async create(input) {
+        const result = this.validate({
+            rateLimit: API_KEY_DEFAULT_RATE,
+            burst: API_KEY_DEFAULT_BURST,
+            dailyQuota: API_KEY_DEFAULT_DAILY_QUOTA,
+            admin: false,
+            ...input,
+        });
+        if (result.errors) {
+            return result;
+        }
+
+        const key = `mpk_${crypto.randomBytes(24).toString("base64url")}`;
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomBytes(8).toString("hex"),
+            ...result.settings,
+            disabled: false,
+            prefix: key.slice(0, 8),
+            hash: hashKey(key),
+            createdAt: now,
+            updatedAt: now,
+            usage: { total: 0, rejected: 0, lastUsedAt: null, day: null, dayCount: 0 },
+        };
+
+        this.keys.set(record.id, record);
+        await this.save();
+
+        return { key, apiKey: this.toPublic(record) };
+    }
+
+    /**
+     * Change the name, limits, admin flag or disabled flag of a key
+     * @returns {Promise<object|null>} - { apiKey } or { errors, status }, null if not found
+     */
+    async update(id, input) {
+        const existing = this.keys.get(id);
+        if (!existing) {
+            return null;
+        }
+
+        const result = this.validate({ ...existing, ...input });
+        if (result.errors) {
+            return result;
+        }
+
+        const record = {
+            ...existing,
+            ...result.settings,
+            disabled: result.disabled,
+            updatedAt: new Date().toISOString(),
+        };
+        this.keys.set(id, record);
+        // New limits apply from a full bucket
+        this.buckets.delete(id);
+        await this.save();
+
+        return { apiKey: this.toPublic(record) };
+    }
+
+    /**
+     * Revoke a key
+     * @returns {Promise<boolean>} - false if the key did not exist
+     */
+    async remove(id) {
+        if (!this.keys.delete(id)) {
+            return false;
+        }
+
+        this.buckets.delete(id);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Validate key settings
+     * @returns {object} - { settings, disabled } when valid, otherwise { status, errors }
+     */
+    validate(input) {
+        const errors = [];
+        const { name, rateLimit, burst, dailyQuota, admin, disabled = false } = input;
+
+        if (typeof name !== "string" || !name.trim() || name.length > 100) {
+            errors.push({ field: "name", message: "Name must be 1 to 100 characters" });
+        }
+        if (typeof rateLimit !== "number" || !(rateLimit > 0)) {
+            errors.push({ field: "rateLimit", message: "rateLimit must be requests per second" });
+        }
+        if (!Number.isInteger(burst) || burst < 1) {
+            errors.push({ field: "burst", message: "burst must be a positive integer" });
+        }
+        if (dailyQuota !== null && (!Number.isInteger(dailyQuota) || dailyQuota < 1)) {
+            errors.push({
+                field: "dailyQuota",
+                message: "dailyQuota must be a positive integer, or null for no quota",
+            });
+        }
+        if (typeof admin !== "boolean") {
+            errors.push({ field: "admin", message: "admin must be true or false" });
+        }
+        if (typeof disabled !== "boolean") {
+            errors.push({ field: "disabled", message: "disabled must be true or false" });
+        }
+
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+
+        return {
+            settings: { name: name.trim(), rateLimit, burst, dailyQuota, admin },
+            disabled,
+        };
+    }
+
+    /**
+     * Whether authentication is on but nothing can pass it: no ADMIN_API_KEY and no enabled
+     * key. Every API request is then refused, and no key can be created to fix it.
+     */
+    isLockedOut() {
+        return (
+            this.enabled &&
+            !this.adminKey &&
+            Array.from(this.keys.values()).every((record) => record.disabled)
+        );
+    }
+
+    /**
+     * Resolve a presented key
+     * @returns {object|null} - The key record, the ADMIN_API_KEY principal, or null when the
+     *                          key is unknown or disabled
+     */
+    authenticate(key) {
+        if (!key) {
+            return null;
+        }
+
+        const hash = hashKey(key);
+
+        if (
+            this.adminKey &&
+            crypto.timingSafeEqual(
+                Buffer.from(hash, "hex"),
+                Buffer.from(hashKey(this.adminKey), "hex")
+            )
+        ) {
+            return ENV_ADMIN;
+        }
+
+        const record = Array.from(this.keys.values()).find((candidate) => candidate.hash === hash);
+        return record && !record.disabled ? record : null;
+    }
+
+    /**
+     * Count a request against a key's rate limit and daily quota
+     * @param {object} record - Result of authenticate
+     * @returns {object} - { allowed, reason: "rate" | "quota", retryAfter in seconds,
+     *                      headers: X-RateLimit-* }
+     */
+    consume(record, now = Date.now()) {
+        if (record === ENV_ADMIN) {
+            return { allowed: true, headers: {} };
+        }
+
+        let bucket = this.buckets.get(record.id);
+        if (!bucket) {
+            bucket = new TokenBucket({ capacity: record.burst, refillRate: record.rateLimit });
+            this.buckets.set(record.id, bucket);
+        }
+
+        const { usage } = record;
+        const today = utcDay(now);
+        if (usage.day !== today) {
+            usage.day = today;
+            usage.dayCount = 0;
+        }
+
+        const quotaReset = Math.ceil(now / DAY_MS) * DAY_MS;
+        let result;
+
+        if (record.dailyQuota !== null && usage.dayCount >= record.dailyQuota) {
+            result = {
+                allowed: false,
+                reason: "quota",
+                retryAfter: Math.ceil((quotaReset - now) / 1000),
+            };
+        } else if (!bucket.take(now)) {
+            result = {
+                allowed: false,
+                reason: "rate",
+                retryAfter: Math.ceil(bucket.msUntilNextToken(now) / 1000),
+            };
+        } else {
+            result = { allowed: true };
+        }
+
+        if (result.allowed) {
+            usage.total++;
+            usage.dayCount++;
+            usage.lastUsedAt = new Date(now).toISOString();
+        } else {
+            usage.rejected++;
+        }
+        this.scheduleSave();
+
+        result.headers = {
+            "X-RateLimit-Limit": String(record.burst),
+            "X-RateLimit-Remaining": String(bucket.remaining(now)),
+            "X-RateLimit-Reset": String(Math.ceil(bucket.msUntilFull(now) / 1000)),
+        };
+        if (record.dailyQuota !== null) {
+            Object.assign(result.headers, {
+                "X-RateLimit-Quota-Limit": String(record.dailyQuota),
+                "X-RateLimit-Quota-Remaining": String(
+                    Math.max(0, record.dailyQuota - usage.dayCount)
+                ),
+                "X-RateLimit-Quota-Reset": String(Math.floor(quotaReset / 1000)),
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,378 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { AREAS, AREAS_FILE, MAX_AREA_SPAN_DEGREES } = require("../config/constants");
+const {
+    validatePolygonGeometry,
+    geometryBounds,
+    pointInGeometry,
+    boundsToGeometry,
+    geometriesOverlap,
+} = require("../utils/geometry");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("areas");
+
+const AREA_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// The seeded areas overlap along the river, which is not a conflict between two of them
+const isSeeded = (id) => Object.hasOwn(AREAS, id);
+
+/**
+ * Registry of named areas, persisted to a local JSON file
+ * An area is either a bounding box ({ minLat, maxLat, minLon, maxLon }) or a GeoJSON
+ * Polygon/MultiPolygon. The AREAS constant seeds the registry on first start.
+ * Changes run one at a time, and reach the map only once they are saved.
+ */
+class AreaService {
+    constructor(options = {}) {
+        this.file = options.file || AREAS_FILE;
+        this.areas = new Map();
+        this.queue = Promise.resolve();
+        this.load();
+    }
+
+    /**
+     * Load areas from disk, seeding the defaults when no file exists yet
+     * An unreadable file is moved aside to <file>.corrupt and the defaults are used.
+     */
+    load() {
+        this.areas = new Map();
+
+        if (fs.existsSync(this.file)) {
+            try {
+                const stored = JSON.parse(fs.readFileSync(this.file, "utf8"));
+                if (!Array.isArray(stored)) {
+                    throw new Error("Expected a JSON array of areas");
+                }
+                stored.forEach((area) => this.areas.set(area.id, area));
+                return;
+            } catch (error) {
+                log.error("Could not read the areas file, using the default areas", {
+                    file: this.file,
+                    movedTo: `${this.file}.corrupt`,
+                    error,
+                });
+                this.areas = new Map();
+                fs.renameSync(this.file, `${this.file}.corrupt`);
+            }
+        }
+
+        const now = new Date().toISOString();
+        Object.entries(AREAS).forEach(([id, area]) => {
+            this.areas.set(id, {
+                id,
+                name: area.name,
+                bounds: { ...area.bounds },
+                geometry: null,
+                createdAt: now,
+                updatedAt: now,
+            });
+        });
+    }
+
+    /**
+     * Write a registry atomically (temp file + rename)
+     * @param {Map} areas - Areas to store, by id
+     */
+    async save(areas) {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fs.promises.writeFile(
+                tempFile,
+                JSON.stringify(Array.from(areas.values()), null, 2)
+            );
+            await fs.promises.rename(tempFile, this.file);
+        } catch (error) {
+            await fs.promises.rm(tempFile, { force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Run a change after the ones already queued, so each validates against the saved state
+     * @param {Function} change - Async function of the current areas, returning
+     *                            { result, areas } with areas to save, or { result } alone
+     * @returns {Promise} - The change's result, once saved
+     */
+    mutate(change) {
+        const run = this.queue.then(async () => {
+            const { result, areas } = await change(this.areas);
+
+            if (areas) {
+                await this.save(areas);
+                this.areas = areas;
+            }
+            return result;
+        });
+
+        // A failed change does not stop the ones after it
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Copy of the areas with one area set or deleted
+     */
+    withArea(id, area) {
+        const areas = new Map(this.areas);
+        if (area) {
+            areas.set(id, area);
+        } else {
+            areas.delete(id);
+        }
+        return areas;
+    }
+
+    list() {
+        return Array.from(this.areas.values());
+    }
+
+    ids() {
+        return Array.from(this.areas.keys());
+    }
+
+    /**
+     * Resolve an area by id (case insensitive)
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.areas.get(String(id).toLowerCase()) || null;
+    }
+
+    /**
+     * Create an area
+     * @param {object} input - { id, name, bounds | geometry, allowOverlap }
+     * @returns {Promise<object>} - { area } or { errors, status }
+     */
+    create(input) {
+        return this.mutate(async () => {
+            const id = String(input.id || "").toLowerCase();
+
+            if (this.areas.has(id)) {
+                return {
+                    result: {
+                        status: 409,
+                        errors: [{ field: "id", message: "Area already exists" }],
+                    },
+                };
+            }
+
+            const result = this.validate({ ...input, id });
+            if (result.errors) {
+                return { result };
+            }
+
+            const now = new Date().toISOString();
+            const area = { ...result.area, createdAt: now, updatedAt: now };
+            return { result: { area }, areas: this.withArea(id, area) };
+        });
+    }
+
+    /**
+     * Replace the name and shape of an existing area
+     * @returns {Promise<object|null>} - { area } or { errors, status }, null if not found
+     */
+    update(id, input) {
+        return this.mutate(async () => {
+            const existing = this.get(id);
+            if (!existing) {
+                return { result: null };
+            }
+
+            // Renaming keeps the current shape, which was already checked for overlaps
+            const keepsShape = !input.bounds && !input.geometry;
+            const result = this.validate({
+                name: existing.name,
+                ...input,
+                ...(keepsShape && {
+                    bounds: existing.bounds,
+                    geometry: existing.geometry,
+                    allowOverlap: true,
+                }),
+                id: existing.id,
+            });
+            if (result.errors) {
+                return { result };
+            }
+
+            const area = {
+                ...result.area,
+                createdAt: existing.createdAt,
+                updatedAt: new Date().toISOString(),
+            };
+            return { result: { area }, areas: this.withArea(existing.id, area) };
+        });
+    }
+
+    /**
+     * Delete an area
+     * @returns {Promise<boolean>} - false if the area did not exist
+     */
+    remove(id) {
+        return this.mutate(async () => {
+            const existing = this.get(id);
+            if (!existing) {
+                return { result: false };
+            }
+
+            return { result: true, areas: this.withArea(existing.id, null) };
+        });
+    }
+
+    /**
+     * Validate an area definition
+     * @returns {object} - { area } when valid, otherwise { status, errors: [{ field, message }] }
+     */
+    validate(input) {
+        const errors = [];
+        const { id, name, bounds, geometry, allowOverlap } = input;
+
+        if (!AREA_ID_PATTERN.test(id)) {
+            errors.push({
+                field: "id",
+                message: "Id must be lowercase letters, digits and dashes (max 64 characters)",
+            });
+        }
+
+        if (typeof name !== "string" || !name.trim()) {
+            errors.push({ field: "name", message: "Name is required" });
+        }
+
+        if (!bounds === !geometry) {
+            errors.push({ field: "bounds", message: "Provide either bounds or geometry" });
+        } else if (bounds) {
+            errors.push(...this.boundsErrors(bounds));
+        } else {
+            const geometryError = validatePolygonGeometry(geometry);
+            if (geometryError) {
+                errors.push({ field: "geometry", message: geometryError });
+            }
+        }
+
+        if (errors.length > 0) {
+            return { status: 400, errors };
+        }
+
+        const area = {
+            id,
+            name: name.trim(),
+            bounds: bounds ? this.pickBounds(bounds) : null,
+            geometry: geometry ? { type: geometry.type, coordinates: geometry.coordinates } : null,
+        };
+
+        const extent = this.boundsOf(area);
+        if (
+            extent.maxLat - extent.minLat > MAX_AREA_SPAN_DEGREES ||
+            extent.maxLon - extent.minLon > MAX_AREA_SPAN_DEGREES
+        ) {
+            return {
+                status: 400,
+                errors: [
+                    {
+                        field: area.bounds ? "bounds" : "geometry",
+                        message: `Area cannot span more than ${MAX_AREA_SPAN_DEGREES} degrees`,
+                    },
+                ],
+            };
+        }
+
+        if (!allowOverlap) {
+            const overlapping = this.findOverlapping(area, id);
+            if (overlapping.length > 0) {
+                return {
+                    status: 409,
+                    errors: [
+                        {
+                            field: area.bounds ? "bounds" : "geometry",
+                            message: `Area overlaps ${overlapping.join(", ")}`,
+                            overlapping,
+                        },
+                    ],
+                };
+            }
+        }
+
+        return { area };
+    }
+
+    boundsErrors(bounds) {
+        const errors = [];
+        const keys = ["minLat", "maxLat", "minLon", "maxLon"];
+
+        if (keys.some((key) => typeof bounds[key] !== "number" || isNaN(bounds[key]))) {
+            return [{ field: "bounds", message: `Bounds need numeric ${keys.join(", ")}` }];
+        }
+
+        if (bounds.minLat < -90 || bounds.maxLat > 90) {
+            errors.push({ field: "bounds", message: "Latitudes must be between -90 and 90" });
+        }
+        if (bounds.minLon < -180 || bounds.maxLon > 180) {
+            errors.push({ field: "bounds", message: "Longitudes must be between -180 and 180" });
+        }
+        if (bounds.minLat >= bounds.maxLat || bounds.minLon >= bounds.maxLon) {
+            errors.push({ field: "bounds", message: "Minimums must be lower than maximums" });
+        }
+
+        return errors;
+    }
+
+    pickBounds({ minLat, maxLat, minLon, maxLon }) {
+        return { minLat, maxLat, minLon, maxLon };
+    }
+
+    /**
+     * Ids of areas overlapping an area; sharing an edge is not overlapping
+     * Seeded areas may overlap each other.
+     */
+    findOverlapping(area, excludeId) {
+        const extent = this.boundsOf(area);
+        const geometry = this.geometryOf(area);
+        const seeded = isSeeded(area.id);
+
+        return this.list()
+            .filter((other) => other.id !== excludeId && !(seeded && isSeeded(other.id)))
+            .filter((other) => {
+                // Areas whose bounding boxes do not overlap cannot overlap themselves
+                const bounds = this.boundsOf(other);
+                return (
+                    extent.minLat < bounds.maxLat &&
+                    extent.maxLat > bounds.minLat &&
+                    extent.minLon < bounds.maxLon &&
+                    extent.maxLon > bounds.minLon &&
+                    geometriesOverlap(geometry, this.geometryOf(other))
+                );
+            })
+            .map((other) => other.id);
+    }
+
+    /**
+     * Polygon of an area, whatever its shape
+     */
+    geometryOf(area) {
+        return area.geometry || boundsToGeometry(area.bounds);
+    }
+
+    /**
+     * Bounding box of an area, whatever its shape
+     */
+    boundsOf(area) {
+        return area.geometry ? geometryBounds(area.geometry) : area.bounds;
+    }
+
+    /**
+     * Whether a point lies inside an area
+     */
+    contains(area, lat, lon) {
+        if (area.geometry) {
+            return pointInGeometry(lon, lat, area.geometry);
+        }
+
+        const { minLat, maxLat, minLon, maxLon } = area.bounds;
+        return lat > minLat && lat < maxLat && lon > minLon && lon < maxLon;
+    }
+}
+
+module.exports = new AreaService();
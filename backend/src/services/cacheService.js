@@ -63,6 +63,21 @@ class CacheService {
         return result;
     }
 
+    /**
+     * Delete every key that starts with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {number} - Number of deleted entries
+     */
+    deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(prefix) && this.delete(key)) {
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
     /**
      * Clear all cache entries
      */
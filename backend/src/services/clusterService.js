@@ -0,0 +1,143 @@
+const cacheService = require("./cacheService");
+const {
+    CLUSTER_CELL_PIXELS,
+    CLUSTER_MAX_ZOOM,
+    CLUSTER_CACHE_TTL,
+    PARKING_STATUS,
+} = require("../config/constants");
+
+const TILE_SIZE = 256; // Web Mercator tile size in pixels
+
+/**
+ * Project a point to world pixel coordinates at a zoom level (Web Mercator)
+ */
+const toPixels = (lat, lon, zoom) => {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const sinLat = Math.sin((lat * Math.PI) / 180);
+
+    return {
+        x: ((lon + 180) / 360) * scale,
+        y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+    };
+};
+
+/**
+ * Grid-based clustering of bays for map rendering
+ * Bays are grouped into square screen-space cells of CLUSTER_CELL_PIXELS at the requested
+ * zoom. Clusters for a zoom level are computed once per snapshot and cached, so panning
+ * the map only filters precomputed clusters by bounding box.
+ */
+class ClusterService {
+    /**
+     * Get clusters for a zoom level, computing them on first use for this data set
+     * @param {object[]} records - Raw scraped records
+     * @param {number} zoom - Integer map zoom level
+     * @param {number} version - Identifies the data set (snapshot version); a new
+     *                           snapshot gets new cache keys and the old ones are evicted
+     */
+    getClusters(records, zoom, version) {
+        const cacheKey = `parking:clusters:${version}:${zoom}`;
+        const cached = cacheService.get(cacheKey);
+
+        if (cached) {
+            return cached;
+        }
+
+        const clusters = this.buildClusters(records, zoom);
+        cacheService.set(cacheKey, clusters, CLUSTER_CACHE_TTL);
+
+        return clusters;
+    }
+
+    /**
+     * Drop the cached clusters of a snapshot, once a newer one replaces it
+     * @param {number} version - Snapshot version
+     */
+    evict(version) {
+        cacheService.deleteByPrefix(`parking:clusters:${version}:`);
+    }
+
+    /**
+     * Group records into clusters at a zoom level
+     * @returns {object[]} - Clusters with centroid, counts and bounding box
+     */
+    buildClusters(records, zoom) {
+        const cells = new Map();
+
+        records.forEach((record) => {
+            const lat = parseFloat(record.lat);
+            const lon = parseFloat(record.lon);
+
+            if (isNaN(lat) || isNaN(lon)) {
+                return;
+            }
+
+            const { x, y } = toPixels(lat, lon, zoom);
+            const col = Math.floor(x / CLUSTER_CELL_PIXELS);
+            const row = Math.floor(y / CLUSTER_CELL_PIXELS);
+            const key = `${col}:${row}`;
+
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = {
+                    id: `${zoom}:${key}`,
+                    latSum: 0,
+                    lonSum: 0,
+                    count: 0,
+                    available: 0,
+                    bounds: { minLat: lat, maxLat: lat, minLon: lon, maxLon: lon },
+                };
+                cells.set(key, cell);
+            }
+
+            cell.latSum += lat;
+            cell.lonSum += lon;
+            cell.count++;
+            if (record.status === PARKING_STATUS.UNOCCUPIED) {
+                cell.available++;
+            }
+
+            cell.bounds.minLat = Math.min(cell.bounds.minLat, lat);
+            cell.bounds.maxLat = Math.max(cell.bounds.maxLat, lat);
+            cell.bounds.minLon = Math.min(cell.bounds.minLon, lon);
+            cell.bounds.maxLon = Math.max(cell.bounds.maxLon, lon);
+        });
+
+        return Array.from(cells.values()).map((cell) => ({
+            id: cell.id,
+            centroid: {
+                lat: cell.latSum / cell.count,
+                lon: cell.lonSum / cell.count,
+            },
+            count: cell.count,
+            available: cell.available,
+            occupied: cell.count - cell.available,
+            occupancyRatio: Math.round(((cell.count - cell.available) / cell.count) * 1000) / 1000,
+            bounds: cell.bounds,
+        }));
+    }
+
+    /**
+     * Keep clusters whose centroid falls inside a bounding box
+     * @param {object[]} clusters - Output of getClusters
+     * @param {object} bbox - { minLon, minLat, maxLon, maxLat }
+     */
+    filterByBbox(clusters, { minLon, minLat, maxLon, maxLat }) {
+        return clusters.filter(
+            ({ centroid }) =>
+                centroid.lat >= minLat &&
+                centroid.lat <= maxLat &&
+                centroid.lon >= minLon &&
+                centroid.lon <= maxLon
+        );
+    }
+
+    /**
+     * Whether a zoom level is close enough to show individual bays
+     */
+    showsIndividualBays(zoom) {
+        return zoom >= CLUSTER_MAX_ZOOM;
+    }
+}
+
+module.exports = new ClusterService();
@@ -0,0 +1,29 @@
+const PuppeteerDataSource = require("./puppeteerDataSource");
+const OpendatasoftDataSource = require("./opendatasoftDataSource");
+
+const DATA_SOURCES = {
+    puppeteer: PuppeteerDataSource,
+    opendatasoft: OpendatasoftDataSource,
+};
+
+/**
+ * Create a data source adapter by name
+ * @param {string} name - One of the keys of DATA_SOURCES
+ * @param {object} options - Adapter specific options
+ */
+const createDataSource = (name, options = {}) => {
+    const DataSource = DATA_SOURCES[name];
+
+    if (!DataSource) {
+        throw new Error(
+            `Unknown data source "${name}". Expected one of: ${Object.keys(DATA_SOURCES).join(", ")}`
+        );
+    }
+
+    return new DataSource(options);
+};
+
+module.exports = {
+    DATA_SOURCES,
+    createDataSource,
+};
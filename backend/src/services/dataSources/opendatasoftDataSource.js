@@ -0,0 +1,172 @@
+const axios = require("axios");
+const { ODS_API_URL, ODS_DATASET, ODS_PAGE_SIZE, ODS_TIMEOUT } = require("../../config/constants");
+const { createLogger } = require("../../utils/logger");
+
+const log = createLogger("scraper.opendatasoft");
+
+// The Explore API refuses requests where offset + limit exceeds this value
+const MAX_OFFSET_WINDOW = 10000;
+
+/**
+ * Data source that pages through the Opendatasoft Explore API (v2.1) records endpoint
+ * for the on-street parking bay sensors dataset, or downloads its export when the dataset
+ * is larger than the records endpoint can page through
+ */
+class OpendatasoftDataSource {
+    constructor(options = {}) {
+        this.name = "opendatasoft";
+        this.apiUrl = (options.apiUrl || ODS_API_URL).replace(/\/+$/, "");
+        this.dataset = options.dataset || ODS_DATASET;
+        this.pageSize = options.pageSize || ODS_PAGE_SIZE;
+        this.timeout = options.timeout || ODS_TIMEOUT;
+        this.offsetWindow = options.offsetWindow || MAX_OFFSET_WINDOW;
+        this.isInitialized = true;
+        this.lastReport = null;
+    }
+
+    /**
+     * Records endpoint for a dataset
+     */
+    recordsUrl(dataset = this.dataset) {
+        return `${this.apiUrl}/catalog/datasets/${dataset}/records`;
+    }
+
+    /**
+     * JSON export endpoint for a dataset
+     */
+    exportUrl(dataset = this.dataset) {
+        return `${this.apiUrl}/catalog/datasets/${dataset}/exports/json`;
+    }
+
+    /**
+     * Fetch every record of the parking sensors dataset
+     * @returns {Promise<object[]>} - Raw records in the shape `transformSingleSpot` consumes
+     */
+    async fetchRecords() {
+        const results = await this.fetchDataset(this.dataset);
+        const records = [];
+
+        results.forEach((result, index) => {
+            const record = this.toRawRecord(result, index + 1);
+            if (record) {
+                records.push(record);
+            }
+        });
+
+        const skipped = results.length - records.length;
+        this.lastReport = {
+            rows: results.length,
+            records: records.length,
+            skipped,
+            reasons: skipped > 0 ? { "incomplete record": skipped } : {},
+            unmappedColumns: [],
+        };
+
+        if (skipped > 0) {
+            log.warn("Skipped incomplete records", { skipped, rows: results.length });
+        }
+
+        return records;
+    }
+
+    /**
+     * Fetch every record of a dataset, one page at a time
+     * Datasets larger than the pagination window are downloaded from the export endpoint.
+     * @param {string} dataset - Dataset identifier on the portal
+     * @returns {Promise<object[]>} - Explore API records as returned by the server
+     */
+    async fetchDataset(dataset) {
+        const url = this.recordsUrl(dataset);
+        log.info("Fetching Opendatasoft records", { url });
+
+        const results = [];
+        let offset = 0;
+        let totalCount = Infinity;
+
+        while (offset < totalCount) {
+            const response = await axios.get(url, {
+                params: { limit: this.pageSize, offset },
+                timeout: this.timeout,
+            });
+
+            const { total_count: total, results: page } = response.data || {};
+            if (!Array.isArray(page)) {
+                throw new Error("Unexpected Opendatasoft response: missing results array");
+            }
+
+            totalCount = typeof total === "number" ? total : offset + page.length;
+            if (totalCount > this.offsetWindow) {
+                return this.fetchExport(dataset, totalCount);
+            }
+            results.push(...page);
+
+            // A short page means the server has nothing more to give
+            if (page.length < this.pageSize) {
+                break;
+            }
+
+            offset += this.pageSize;
+        }
+
+        log.info("Fetched Opendatasoft records", { records: results.length });
+        return results;
+    }
+
+    /**
+     * Fetch a whole dataset in one request from the export endpoint, which has no
+     * pagination window
+     * @param {string} dataset - Dataset identifier on the portal
+     * @param {number} totalCount - Record count reported by the records endpoint
+     * @returns {Promise<object[]>} - Records in the same shape as the records endpoint
+     */
+    async fetchExport(dataset, totalCount) {
+        const url = this.exportUrl(dataset);
+        log.info("Dataset exceeds the pagination window, fetching its export", {
+            url,
+            total: totalCount,
+        });
+
+        const response = await axios.get(url, { timeout: this.timeout });
+        if (!Array.isArray(response.data)) {
+            throw new Error("Unexpected Opendatasoft export: expected an array of records");
+        }
+
+        log.info("Fetched Opendatasoft records", { records: response.data.length });
+        return response.data;
+    }
+
+    /**
+     * Map an Explore API record to the raw scraper shape
+     * @param {object} result - Record from the `results` array
+     * @param {number} rowNumber - 1-based position in the dataset
+     * @returns {object|null} - Raw record, or null when required fields are missing
+     */
+    toRawRecord(result, rowNumber) {
+        const location = result.location || {};
+        const kerbsideId = result.kerbsideid != null ? String(result.kerbsideid) : "";
+        const status = result.status_description;
+
+        if (!kerbsideId || !status || location.lat == null || location.lon == null) {
+            return null;
+        }
+
+        return {
+            bay_id: kerbsideId,
+            st_marker_id: kerbsideId,
+            status,
+            lat: String(location.lat),
+            lon: String(location.lon),
+            lastupdated: result.lastupdated,
+            status_timestamp: result.status_timestamp,
+            zone_number: result.zone_number != null ? String(result.zone_number) : "",
+            row_number: String(rowNumber),
+        };
+    }
+
+    /**
+     * Nothing to release for an HTTP source
+     */
+    async cleanup() {}
+}
+
+module.exports = OpendatasoftDataSource;
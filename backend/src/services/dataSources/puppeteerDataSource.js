@@ -0,0 +1,264 @@
+const puppeteer = require("puppeteer");
+const { mapTableRows } = require("./tableColumns");
+const {
+    SCRAPE_URL,
+    SCRAPE_COLUMN_MAPPING,
+    SCRAPE_TIMEOUTS,
+    SCRAPE_SELECTORS,
+    SCRAPE_MAX_SCROLL_ATTEMPTS,
+    SCRAPE_HEADLESS,
+} = require("../../config/constants");
+const { createLogger } = require("../../utils/logger");
+
+const log = createLogger("scraper.puppeteer");
+
+/**
+ * Data source that drives a headless browser against the Opendatasoft table page
+ * and reads the rendered `.odswidget-table` rows, mapping columns by header name
+ */
+class PuppeteerDataSource {
+    constructor(options = {}) {
+        this.name = "puppeteer";
+        this.url = options.url || SCRAPE_URL;
+        this.columnMapping = options.columnMapping || SCRAPE_COLUMN_MAPPING;
+        // Waits in milliseconds; the offline fixture tests shorten them
+        this.timeouts = { ...SCRAPE_TIMEOUTS, ...options.timeouts };
+        this.selectors = { ...SCRAPE_SELECTORS, ...options.selectors };
+        this.maxScrollAttempts = options.maxScrollAttempts || SCRAPE_MAX_SCROLL_ATTEMPTS;
+        this.lastReport = null;
+        this.browser = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initialize the browser instance
+     */
+    async initBrowser() {
+        if (!this.browser) {
+            log.info("Initializing Puppeteer browser");
+            this.browser = await puppeteer.launch({
+                headless: SCRAPE_HEADLESS ? "new" : false,
+                args: [
+                    "--no-sandbox",
+                    "--disable-setuid-sandbox",
+                    "--disable-dev-shm-usage",
+                    "--disable-accelerated-2d-canvas",
+                    "--no-first-run",
+                    "--no-zygote",
+                    "--disable-gpu",
+                ],
+            });
+            this.isInitialized = true;
+        }
+        return this.browser;
+    }
+
+    /**
+     * Close the browser instance
+     */
+    async closeBrowser() {
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+            this.isInitialized = false;
+        }
+    }
+
+    /**
+     * Scrape raw parking records from the table page
+     * @returns {Promise<object[]>} - Raw records in the shape `transformSingleSpot` consumes
+     */
+    async fetchRecords() {
+        let page;
+        try {
+            log.info("Starting web scraping", { url: this.url });
+            const browser = await this.initBrowser();
+            page = await browser.newPage();
+
+            await this.openTable(page);
+
+            // Try to load all data
+            await this.loadAllData(page);
+
+            // Extract the header and cell text; columns are mapped by header name below
+            log.debug("Extracting parking data");
+            const table = await this.extractTable(page);
+
+            const { records: parkingData, report } = mapTableRows(
+                table.headers,
+                table.rows,
+                this.columnMapping
+            );
+            this.lastReport = report;
+
+            if (report.skipped > 0) {
+                log.warn("Skipped rows", {
+                    skipped: report.skipped,
+                    rows: report.rows,
+                    reasons: report.reasons,
+                });
+            }
+            if (report.unmappedColumns.length > 0) {
+                log.warn("Columns not found on the page", { columns: report.unmappedColumns });
+            }
+
+            log.info("Scraped parking records", { records: parkingData.length });
+
+            return parkingData;
+        } finally {
+            if (page) {
+                await page.close();
+            }
+        }
+    }
+
+    /**
+     * Load the table page and wait for its first rows
+     * Also used by scripts/recordFixture.js, so fixtures are captured the way scrapes see
+     * the page.
+     */
+    async openTable(page) {
+        // Set viewport and user agent
+        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setUserAgent(
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+        );
+
+        // Navigate to the page
+        log.debug("Navigating to parking data page");
+        await page.goto(this.url, {
+            waitUntil: "networkidle2",
+            timeout: this.timeouts.navigation,
+        });
+
+        // Wait for the table to load
+        log.debug("Waiting for data table to load");
+        await page.waitForSelector(this.selectors.table, {
+            timeout: this.timeouts.table,
+            visible: true,
+        });
+
+        // Wait for data rows to appear
+        await page.waitForSelector(this.selectors.row, {
+            timeout: this.timeouts.rows,
+        });
+
+        // Wait a bit more for data to populate
+        await new Promise((resolve) => setTimeout(resolve, this.timeouts.settle));
+
+        log.debug("Table loaded");
+    }
+
+    /**
+     * Read the header and cell text of the rendered table
+     * @returns {Promise<object>} - { headers: string[], rows: string[][] }
+     */
+    extractTable(page) {
+        return page.evaluate((selectors) => {
+            // Prefer the title of a span, which holds the untruncated value
+            const getCellText = (cell) => {
+                const span = cell.querySelector("span[title]");
+                if (span) {
+                    return span.getAttribute("title") || span.textContent.trim();
+                }
+                return cell.textContent.trim();
+            };
+
+            // The widget renders the header as a separate table above the records
+            const headerRow =
+                document.querySelector(selectors.headerRow) ||
+                document.querySelector(`${selectors.table} thead tr`);
+            const rows = document.querySelectorAll(`${selectors.table} tbody ${selectors.row}`);
+
+            return {
+                headers: headerRow
+                    ? Array.from(headerRow.querySelectorAll("th")).map(getCellText)
+                    : [],
+                rows: Array.from(rows).map((row) =>
+                    Array.from(row.querySelectorAll(selectors.cell)).map(getCellText)
+                ),
+            };
+        }, this.selectors);
+    }
+
+    /**
+     * Try to load all data by handling pagination or infinite scroll
+     */
+    async loadAllData(page) {
+        try {
+            log.debug("Checking for pagination/infinite scroll");
+
+            // Check initial row count
+            const countRows = () =>
+                page.evaluate((row) => document.querySelectorAll(row).length, this.selectors.row);
+
+            let previousCount = await countRows();
+
+            log.debug("Initial row count", { rows: previousCount });
+
+            // Try scrolling to load more data
+            let attempts = 0;
+
+            while (attempts < this.maxScrollAttempts) {
+                // Scroll to bottom of the table container
+                await page.evaluate((scrollContainer) => {
+                    const tableContainer = document.querySelector(scrollContainer);
+                    if (tableContainer) {
+                        tableContainer.scrollTop = tableContainer.scrollHeight;
+                    }
+                    // Also scroll the page
+                    window.scrollTo(0, document.body.scrollHeight);
+                }, this.selectors.scrollContainer);
+
+                // Wait for potential new data to load
+                await new Promise((resolve) => setTimeout(resolve, this.timeouts.scroll));
+
+                // Check if new rows were loaded
+                let currentCount = await countRows();
+
+                log.debug("Scroll attempt", { attempt: attempts + 1, rows: currentCount });
+
+                // If no new rows were loaded, we've reached the end
+                if (currentCount === previousCount) {
+                    // Try one more aggressive scroll
+                    await page.evaluate((scrollContainer) => {
+                        // Trigger scroll events
+                        const tableContainer = document.querySelector(scrollContainer);
+                        if (tableContainer) {
+                            const event = new Event("scroll", { bubbles: true });
+                            tableContainer.dispatchEvent(event);
+                        }
+                    }, this.selectors.scrollContainer);
+
+                    await new Promise((resolve) => setTimeout(resolve, this.timeouts.finalScroll));
+
+                    const finalCount = await countRows();
+
+                    if (finalCount === currentCount) {
+                        log.debug("No new rows loaded after aggressive scroll, stopping attempts");
+                        break;
+                    } else {
+                        currentCount = finalCount;
+                    }
+                }
+
+                previousCount = currentCount;
+                attempts++;
+            }
+
+            log.debug("Final row count after scrolling", { rows: previousCount });
+        } catch (e) {
+            log.warn("Error during pagination", { error: e });
+        }
+    }
+
+    /**
+     * Release the browser
+     */
+    async cleanup() {
+        log.info("Cleaning up Puppeteer browser");
+        await this.closeBrowser();
+    }
+}
+
+module.exports = PuppeteerDataSource;
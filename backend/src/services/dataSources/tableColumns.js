@@ -0,0 +1,131 @@
+const { SchemaDriftError } = require("../../utils/errors");
+const { SCRAPE_COLUMN_MAPPING } = require("../../config/constants");
+
+// Fields without which a table cannot produce usable records
+const REQUIRED_FIELDS = ["bay_id", "status", "location"];
+
+/**
+ * Compare headers loosely: "Status_Timestamp", "status timestamp" and "StatusTimestamp" match
+ */
+const normalizeHeader = (text) =>
+    String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Find the column index of each mapped field
+ * @param {string[]} headers - Header row text, in column order
+ * @param {object} mapping - { field: header | [header, ...] }
+ * @returns {object} - { field: index }, fields without a column are left out
+ * @throws {SchemaDriftError} - When a required field has no column
+ */
+const resolveColumns = (headers, mapping = SCRAPE_COLUMN_MAPPING) => {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+
+    Object.entries(mapping).forEach(([field, accepted]) => {
+        const names = (Array.isArray(accepted) ? accepted : [accepted]).map(normalizeHeader);
+        const index = normalized.findIndex((header) => header && names.includes(header));
+
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    });
+
+    const missing = Object.keys(mapping).filter(
+        (field) => REQUIRED_FIELDS.includes(field) && columns[field] === undefined
+    );
+
+    if (missing.length > 0) {
+        throw new SchemaDriftError(missing, headers);
+    }
+
+    return columns;
+};
+
+/**
+ * Split a "lat, lon" cell
+ * @returns {object|null} - { lat, lon } as strings, or null when not two numbers
+ */
+const parseLocation = (text) => {
+    const coords = String(text || "")
+        .split(",")
+        .map((coord) => coord.trim());
+
+    if (coords.length < 2 || coords.slice(0, 2).some((coord) => coord === "" || isNaN(coord))) {
+        return null;
+    }
+
+    return { lat: coords[0], lon: coords[1] };
+};
+
+/**
+ * Turn scraped table cells into raw records
+ * @param {string[]} headers - Header row text
+ * @param {string[][]} rows - Cell text of each data row
+ * @param {object} mapping - { field: header | [header, ...] }
+ * @returns {object} - { records, report: { rows, records, skipped, reasons, unmappedColumns } }
+ *                      where reasons counts skipped rows per reason
+ */
+const mapTableRows = (headers, rows, mapping = SCRAPE_COLUMN_MAPPING) => {
+    const columns = resolveColumns(headers, mapping);
+    const cell = (row, field) => (columns[field] === undefined ? "" : row[columns[field]] || "");
+    const records = [];
+    const reasons = {};
+
+    const skip = (reason) => {
+        reasons[reason] = (reasons[reason] || 0) + 1;
+    };
+
+    rows.forEach((row, index) => {
+        if (row.length !== headers.length) {
+            return skip(`expected ${headers.length} cells`);
+        }
+
+        const bayId = cell(row, "bay_id");
+        const status = cell(row, "status");
+        const location = parseLocation(cell(row, "location"));
+
+        if (!bayId) {
+            return skip("missing bay id");
+        }
+        if (!status) {
+            return skip("missing status");
+        }
+        if (!location) {
+            return skip("invalid location");
+        }
+
+        records.push({
+            bay_id: bayId,
+            st_marker_id: bayId, // Using KerbsideID as marker ID
+            status, // "Present" or "Unoccupied"
+            lat: location.lat,
+            lon: location.lon,
+            lastupdated: cell(row, "lastupdated"),
+            status_timestamp: cell(row, "status_timestamp"),
+            zone_number: cell(row, "zone_number"),
+            row_number: String(index + 1),
+        });
+    });
+
+    return {
+        records,
+        report: {
+            rows: rows.length,
+            records: records.length,
+            skipped: rows.length - records.length,
+            reasons,
+            // Optional fields whose column is absent are left empty
+            unmappedColumns: Object.keys(mapping).filter((field) => columns[field] === undefined),
+        },
+    };
+};
+
+module.exports = {
+    REQUIRED_FIELDS,
+    normalizeHeader,
+    resolveColumns,
+    parseLocation,
+    mapTableRows,
+};
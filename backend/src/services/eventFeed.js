@@ -0,0 +1,139 @@
+const { EVENT_BUFFER_SIZE, PARKING_STATUS } = require("../config/constants");
+
+const TRACKED_STATUSES = [PARKING_STATUS.PRESENT, PARKING_STATUS.UNOCCUPIED];
+
+/**
+ * Feed of bay status transitions (arrivals and departures)
+ * Events are kept in memory, newest last, and identified by an increasing sequence
+ * number that doubles as the pagination cursor. Sequence numbers restart at 1 with the
+ * process, so IDs and cursors also carry the feed's epoch (its start time): "<epoch>-<n>".
+ */
+class EventFeed {
+    constructor(options = {}) {
+        this.bufferSize = options.bufferSize || EVENT_BUFFER_SIZE;
+        this.epoch = options.epoch || Date.now().toString(36);
+        this.previous = null;
+        this.events = [];
+        this.lastId = 0;
+    }
+
+    /**
+     * Diff a scrape against the previous one and record the transitions
+     * The first scrape only sets the baseline.
+     * @param {object[]} records - Raw scraped records
+     * @param {number} scrapedAt - Scrape time in milliseconds
+     * @returns {object[]} - The events produced by this scrape
+     */
+    ingest(records, scrapedAt = Date.now()) {
+        const current = new Map(records.map((record) => [record.bay_id, record]));
+        const produced = [];
+
+        if (this.previous) {
+            for (const [bayId, record] of current.entries()) {
+                const before = this.previous.get(bayId);
+
+                if (
+                    before &&
+                    before.status !== record.status &&
+                    TRACKED_STATUSES.includes(before.status) &&
+                    TRACKED_STATUSES.includes(record.status)
+                ) {
+                    produced.push(this.createEvent(before, record, scrapedAt));
+                }
+            }
+        }
+
+        this.previous = current;
+        this.events.push(...produced);
+
+        if (this.events.length > this.bufferSize) {
+            this.events.splice(0, this.events.length - this.bufferSize);
+        }
+
+        return produced;
+    }
+
+    /**
+     * Build a single transition event
+     */
+    createEvent(before, record, scrapedAt) {
+        this.lastId++;
+
+        return {
+            id: this.cursor(this.lastId),
+            type: record.status === PARKING_STATUS.PRESENT ? "arrival" : "departure",
+            bayId: record.bay_id,
+            zoneNumber: record.zone_number,
+            location: {
+                lat: parseFloat(record.lat),
+                lon: parseFloat(record.lon),
+            },
+            oldStatus: before.status,
+            newStatus: record.status,
+            statusTimestamp: record.status_timestamp,
+            detectedAt: new Date(scrapedAt).toISOString(),
+        };
+    }
+
+    /**
+     * Cursor of a sequence number, by default of the latest event
+     */
+    cursor(sequence = this.lastId) {
+        return `${this.epoch}-${sequence}`;
+    }
+
+    /**
+     * Sequence number of a cursor
+     * @returns {number|null} - null when the cursor is malformed, from an earlier run of the
+     *                          process or ahead of the feed
+     */
+    parseCursor(cursor) {
+        const match = /^([0-9a-z]+)-(\d+)$/.exec(cursor);
+        if (!match || match[1] !== this.epoch) {
+            return null;
+        }
+
+        const sequence = parseInt(match[2]);
+        return sequence <= this.lastId ? sequence : null;
+    }
+
+    /**
+     * Get events after a cursor
+     * A cursor the feed does not know (e.g. from before a restart) cannot tell what the
+     * caller missed: no events are returned, with reset: true and the latest cursor, and
+     * the caller should reload the full state before continuing from there.
+     * @param {string|null} since - Cursor returned by a previous call, or null for the oldest
+     * @param {number} limit - Maximum number of events to return
+     * @returns {object} - { events, nextCursor, hasMore, truncated, reset }
+     */
+    getEventsSince(since, limit) {
+        const sinceId = since ? this.parseCursor(since) : 0;
+
+        if (sinceId === null) {
+            return {
+                events: [],
+                nextCursor: this.cursor(),
+                hasMore: false,
+                truncated: false,
+                reset: true,
+            };
+        }
+
+        // Event sequence numbers are consecutive, so the first newer event is found by offset
+        const oldestId = this.lastId - this.events.length + 1;
+        const start = Math.max(0, sinceId - oldestId + 1);
+        const events = this.events.slice(start, start + limit);
+        const hasMore = start + limit < this.events.length;
+
+        return {
+            events,
+            nextCursor: events.length > 0 ? events[events.length - 1].id : this.cursor(sinceId),
+            hasMore,
+            // The caller missed events that have already been evicted from the buffer
+            truncated: sinceId > 0 && sinceId + 1 < oldestId,
+            reset: false,
+        };
+    }
+}
+
+module.exports = new EventFeed();
@@ -0,0 +1,370 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {
+    HISTORY_DIR,
+    HISTORY_RETENTION_DAYS,
+    HISTORY_COMPACT_AFTER_DAYS,
+    HISTORY_COMPACT_INTERVAL_MINUTES,
+    PARKING_STATUS,
+} = require("../config/constants");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("history");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Append-only store of every successful scrape
+ *
+ * Scrapes are written to one NDJSON file per UTC day. The first entry of each file is a
+ * full snapshot and later entries only carry the bays that changed, so every file can be
+ * replayed on its own. Bays are stored as [status, statusTimestamp, zone, lat, lon].
+ */
+class HistoryStore {
+    constructor(options = {}) {
+        this.dir = options.dir || HISTORY_DIR;
+        this.retentionDays = options.retentionDays || HISTORY_RETENTION_DAYS;
+        this.compactAfterDays = options.compactAfterDays || HISTORY_COMPACT_AFTER_DAYS;
+        this.compactIntervalMs =
+            (options.compactIntervalMinutes || HISTORY_COMPACT_INTERVAL_MINUTES) * 60 * 1000;
+        this.lastState = null;
+        this.currentDay = null;
+    }
+
+    /**
+     * Persist a scrape
+     * @param {object} scrape - { scrapedAt, source, records }
+     */
+    async recordScrape({ scrapedAt, source, records }) {
+        const time = new Date(scrapedAt);
+        const day = this.dayKey(time);
+        const state = new Map();
+
+        records.forEach((record) => {
+            state.set(record.bay_id, [
+                record.status,
+                record.status_timestamp || null,
+                record.zone_number || null,
+                parseFloat(record.lat),
+                parseFloat(record.lon),
+            ]);
+        });
+
+        const isNewDay = day !== this.currentDay;
+        const entry = {
+            scrapedAt: time.toISOString(),
+            source,
+            count: state.size,
+        };
+
+        if (isNewDay || !this.lastState) {
+            entry.type = "full";
+            entry.bays = Object.fromEntries(state);
+        } else {
+            entry.type = "delta";
+            entry.bays = {};
+            entry.removed = [];
+
+            for (const [bayId, bay] of state.entries()) {
+                const previous = this.lastState.get(bayId);
+                if (!previous || JSON.stringify(previous) !== JSON.stringify(bay)) {
+                    entry.bays[bayId] = bay;
+                }
+            }
+            for (const bayId of this.lastState.keys()) {
+                if (!state.has(bayId)) {
+                    entry.removed.push(bayId);
+                }
+            }
+        }
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.appendFile(this.filePath(day), JSON.stringify(entry) + "\n");
+
+        this.lastState = state;
+        this.currentDay = day;
+
+        // Housekeeping runs once per day, when the first scrape of a new file is written
+        if (isNewDay) {
+            await this.compact(time);
+        }
+    }
+
+    /**
+     * Get the status timeline of a single bay
+     * @param {string} bayId - Bay identifier
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range
+     * @returns {Promise<object[]>} - Status changes in chronological order
+     */
+    async getBayTimeline(bayId, from, to) {
+        const timeline = [];
+        let previous = null;
+
+        await this.replay(from, to, (entry) => {
+            const bay = entry.bays[bayId];
+
+            if (bay) {
+                if (!previous || previous[0] !== bay[0] || previous[1] !== bay[1]) {
+                    timeline.push({
+                        scrapedAt: entry.scrapedAt,
+                        status: bay[0],
+                        isAvailable: bay[0] === PARKING_STATUS.UNOCCUPIED,
+                        statusTimestamp: bay[1],
+                        source: entry.source,
+                    });
+                }
+                previous = bay;
+            } else if (entry.removed && entry.removed.includes(bayId)) {
+                previous = null;
+            }
+        });
+
+        return timeline;
+    }
+
+    /**
+     * Get the occupancy timeline of an area, one point per stored scrape
+     * @param {function} contains - (lat, lon) => whether the point is in the area
+     * @param {Date} from - Start of the range
+     * @param {Date} to - End of the range
+     * @returns {Promise<object[]>} - Area counts in chronological order
+     */
+    async getAreaTimeline(contains, from, to) {
+        const isInside = (bay) => contains(bay[3], bay[4]);
+
+        const timeline = [];
+        let inArea = new Map();
+
+        await this.replay(from, to, (entry) => {
+            if (entry.type === "full") {
+                inArea = new Map();
+            }
+
+            Object.entries(entry.bays).forEach(([bayId, bay]) => {
+                if (isInside(bay)) {
+                    inArea.set(bayId, bay[0]);
+                } else {
+                    inArea.delete(bayId);
+                }
+            });
+            (entry.removed || []).forEach((bayId) => inArea.delete(bayId));
+
+            let available = 0;
+            for (const status of inArea.values()) {
+                if (status === PARKING_STATUS.UNOCCUPIED) {
+                    available++;
+                }
+            }
+
+            timeline.push({
+                scrapedAt: entry.scrapedAt,
+                total: inArea.size,
+                available,
+                occupied: inArea.size - available,
+                source: entry.source,
+            });
+        });
+
+        return timeline;
+    }
+
+    /**
+     * Replay stored entries overlapping a time range
+     * Entries before `from` are read so deltas apply on top of the right state,
+     * but only entries inside the range are passed to the callback.
+     */
+    async replay(from, to, onEntry) {
+        const files = await this.listFiles();
+        const fromDay = this.dayKey(from);
+        const toDay = this.dayKey(to);
+        const fromIso = from.toISOString();
+        const toIso = to.toISOString();
+
+        for (const day of files) {
+            if (day < fromDay || day > toDay) {
+                continue;
+            }
+
+            const input = fs.createReadStream(this.filePath(day));
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+            let pending = null;
+            let lineNumber = 0;
+
+            for await (const line of lines) {
+                lineNumber++;
+                const entry = this.parseEntry(line, day, lineNumber);
+                if (!entry) {
+                    continue;
+                }
+
+                if (entry.scrapedAt > toIso) {
+                    break;
+                }
+
+                if (entry.scrapedAt < fromIso) {
+                    // Fold earlier entries into one so the first in-range entry starts
+                    // from the state that was current at `from`
+                    pending = this.mergeEntries(pending, entry);
+                    continue;
+                }
+
+                if (pending) {
+                    onEntry({ ...this.mergeEntries(pending, entry), type: "full" });
+                    pending = null;
+                } else {
+                    onEntry(entry);
+                }
+            }
+
+            input.destroy();
+        }
+    }
+
+    /**
+     * Parse one stored line; blank and unreadable lines (e.g. cut short by a crash) are skipped
+     * @returns {object|null} - The entry, or null when the line should be skipped
+     */
+    parseEntry(line, day, lineNumber) {
+        if (!line.trim()) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            log.warn("Skipped unreadable history line", { day, line: lineNumber, error });
+            return null;
+        }
+    }
+
+    /**
+     * Fold a later entry onto an earlier one (later values win)
+     */
+    mergeEntries(base, next) {
+        if (!base || next.type === "full") {
+            return { ...next, bays: { ...next.bays }, removed: [...(next.removed || [])] };
+        }
+
+        const bays = { ...base.bays, ...next.bays };
+        (next.removed || []).forEach((bayId) => delete bays[bayId]);
+
+        return {
+            ...next,
+            type: base.type,
+            bays,
+            removed:
+                base.type === "full"
+                    ? []
+                    : [
+                          ...(base.removed || []).filter((bayId) => !(bayId in next.bays)),
+                          ...(next.removed || []),
+                      ],
+        };
+    }
+
+    /**
+     * Apply retention and compaction settings
+     * Files past the retention window are deleted. Files older than the compaction age are
+     * downsampled to one entry per compaction interval, merging the deltas in between.
+     * @param {Date} now - Reference time
+     */
+    async compact(now = new Date()) {
+        const files = await this.listFiles();
+        const retentionDay = this.dayKey(new Date(now.getTime() - this.retentionDays * DAY_MS));
+        const compactDay = this.dayKey(new Date(now.getTime() - this.compactAfterDays * DAY_MS));
+
+        for (const day of files) {
+            if (day < retentionDay) {
+                await fs.promises.unlink(this.filePath(day));
+                log.info("Removed history day", { day, retentionDays: this.retentionDays });
+            } else if (day < compactDay) {
+                await this.compactFile(day);
+            }
+        }
+    }
+
+    /**
+     * Downsample a single day file in place
+     */
+    async compactFile(day) {
+        const filePath = this.filePath(day);
+        const content = await fs.promises.readFile(filePath, "utf8");
+        const entries = content
+            .split("\n")
+            .map((line, i) => this.parseEntry(line, day, i + 1))
+            .filter(Boolean);
+
+        if (entries.some((entry) => entry.compacted)) {
+            return;
+        }
+
+        const kept = [];
+        let bucket = null;
+        let bucketStart = null;
+
+        entries.forEach((entry) => {
+            const time = new Date(entry.scrapedAt).getTime();
+
+            if (bucket && time - bucketStart < this.compactIntervalMs) {
+                bucket = this.mergeEntries(bucket, entry);
+            } else {
+                if (bucket) {
+                    kept.push(bucket);
+                }
+                bucket = this.mergeEntries(null, entry);
+                bucketStart = time;
+            }
+        });
+        if (bucket) {
+            kept.push(bucket);
+        }
+
+        const output = kept
+            .map((entry) => JSON.stringify({ ...entry, compacted: true }))
+            .join("\n");
+
+        // Write a copy and swap it in, so a crash mid-write leaves the original day intact
+        const tempFile = `${filePath}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, output + "\n");
+            await fs.promises.rename(tempFile, filePath);
+        } catch (error) {
+            await fs.promises.rm(tempFile, { force: true });
+            throw error;
+        }
+
+        log.info("Compacted history day", { day, entries: entries.length, kept: kept.length });
+    }
+
+    /**
+     * List stored day keys in chronological order
+     */
+    async listFiles() {
+        try {
+            const names = await fs.promises.readdir(this.dir);
+            return names
+                .filter((name) => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(name))
+                .map((name) => name.replace(".ndjson", ""))
+                .sort();
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    dayKey(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    filePath(day) {
+        return path.join(this.dir, `${day}.ndjson`);
+    }
+}
+
+module.exports = new HistoryStore();
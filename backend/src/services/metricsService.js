@@ -0,0 +1,175 @@
+const cacheService = require("./cacheService");
+const parkingScraperService = require("./parkingScraperService");
+const areaService = require("./areaService");
+const { Counter, Gauge, Histogram, Registry } = require("../utils/metrics");
+const { DataUnavailableError } = require("../utils/errors");
+
+// Histogram buckets in seconds
+const SCRAPE_DURATION_BUCKETS = [1, 2, 5, 10, 20, 30, 45, 60, 90, 120];
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Metrics service collects scraper, cache, HTTP and bay occupancy metrics for /metrics
+ * Scrapes and requests are recorded as they happen; cache, snapshot and per-area
+ * values are read when the metrics are rendered.
+ */
+class MetricsService {
+    constructor() {
+        this.registry = new Registry();
+        const register = (metric) => this.registry.register(metric);
+
+        this.scrapes = register(
+            new Counter("mel_parking_scrapes_total", "Scrape runs by trigger and outcome", [
+                "trigger",
+                "outcome",
+            ])
+        );
+        this.scrapeDuration = register(
+            new Histogram(
+                "mel_parking_scrape_duration_seconds",
+                "Duration of scrape runs",
+                ["outcome"],
+                SCRAPE_DURATION_BUCKETS
+            )
+        );
+        this.scrapeFailures = register(
+            new Counter("mel_parking_scrape_failures_total", "Failed scrapes by error type", [
+                "error_type",
+            ])
+        );
+        this.scrapeRecords = register(
+            new Gauge("mel_parking_scrape_records", "Records in the last successful scrape")
+        );
+        this.scrapeSkippedRows = register(
+            new Gauge(
+                "mel_parking_scrape_skipped_rows",
+                "Source rows skipped in the last successful scrape"
+            )
+        );
+
+        this.snapshotVersion = register(
+            new Gauge("mel_parking_snapshot_version", "Version of the served snapshot")
+        );
+        this.dataAge = register(
+            new Gauge("mel_parking_data_age_seconds", "Age of the served parking data")
+        );
+
+        this.cacheHits = register(new Counter("mel_parking_cache_hits_total", "Cache hits"));
+        this.cacheMisses = register(new Counter("mel_parking_cache_misses_total", "Cache misses"));
+        this.cacheEntries = register(
+            new Gauge("mel_parking_cache_entries", "Entries in the cache, including expired ones")
+        );
+
+        this.httpDuration = register(
+            new Histogram(
+                "mel_parking_http_request_duration_seconds",
+                "HTTP request latency by route and status",
+                ["method", "route", "status"],
+                HTTP_DURATION_BUCKETS
+            )
+        );
+
+        this.areaBays = register(
+            new Gauge("mel_parking_area_bays", "Bays in each area of the snapshot", ["area"])
+        );
+        this.areaBaysAvailable = register(
+            new Gauge("mel_parking_area_bays_available", "Unoccupied bays in each area", ["area"])
+        );
+        this.areaBaysOccupied = register(
+            new Gauge("mel_parking_area_bays_occupied", "Occupied bays in each area", ["area"])
+        );
+    }
+
+    /**
+     * Record a finished scheduler run
+     * @param {object} run - Scheduler run entry
+     */
+    observeScrape(run) {
+        this.scrapes.inc({ trigger: run.trigger, outcome: run.outcome });
+
+        if (run.outcome === "skipped") {
+            return;
+        }
+
+        this.scrapeDuration.observe({ outcome: run.outcome }, run.durationMs / 1000);
+
+        if (run.outcome === "failed") {
+            this.scrapeFailures.inc({ error_type: run.errorType || "Error" });
+            return;
+        }
+
+        this.scrapeRecords.set({}, run.records);
+        if (run.skippedRows !== null) {
+            this.scrapeSkippedRows.set({}, run.skippedRows);
+        }
+    }
+
+    /**
+     * Record a finished HTTP request
+     * Requests no route matched share one label, so unknown paths cannot add series.
+     * @param {number} durationMs
+     */
+    observeRequest(req, res, durationMs) {
+        let route = "unmatched";
+        if (req.route) {
+            // A router's "/" is reported as its mount path, e.g. /metrics rather than /metrics/
+            route = req.route.path === "/" ? req.baseUrl || "/" : req.baseUrl + req.route.path;
+        }
+
+        this.httpDuration.observe(
+            { method: req.method, route, status: res.statusCode },
+            durationMs / 1000
+        );
+    }
+
+    /**
+     * Read the values kept by other services
+     */
+    collect() {
+        const cache = cacheService.getStats();
+        this.cacheHits.set({}, cache.hits);
+        this.cacheMisses.set({}, cache.misses);
+        this.cacheEntries.set({}, cache.totalEntries);
+
+        const provenance = parkingScraperService.getProvenance();
+        this.snapshotVersion.set({}, provenance.version || 0);
+
+        this.dataAge.reset();
+        this.areaBays.reset();
+        this.areaBaysAvailable.reset();
+        this.areaBaysOccupied.reset();
+
+        // Without a servable snapshot the data and area series are left out
+        let records;
+        try {
+            records = parkingScraperService.getSnapshot().records;
+        } catch (error) {
+            if (error instanceof DataUnavailableError) {
+                return;
+            }
+            throw error;
+        }
+
+        this.dataAge.set({}, provenance.dataAge);
+
+        areaService.list().forEach((area) => {
+            const { total, available, occupied } = parkingScraperService.summarizeSpots(
+                parkingScraperService.getAreaRecords(records, area)
+            );
+
+            this.areaBays.set({ area: area.id }, total);
+            this.areaBaysAvailable.set({ area: area.id }, available);
+            this.areaBaysOccupied.set({ area: area.id }, occupied);
+        });
+    }
+
+    /**
+     * Render every metric in the Prometheus text format
+     */
+    render() {
+        this.collect();
+        return this.registry.render();
+    }
+}
+
+module.exports = new MetricsService();
@@ -1,225 +1,293 @@
 // backend/src/services/parkingScraperService.js
-const puppeteer = require("puppeteer");
-const cacheService = require("./cacheService");
-const { SCRAPE_URL, SCRAPE_INTERVAL, PARKING_STATUS, AREAS } = require("../config/constants");
+const historyStore = require("./historyStore");
+const clusterService = require("./clusterService");
+const restrictionService = require("./restrictionService");
+const areaService = require("./areaService");
+const sensorHealthService = require("./sensorHealthService");
+const { SpatialIndex, haversine } = require("./spatialIndex");
+const { geometryBounds, pointInGeometry } = require("../utils/geometry");
+const { createDataSource } = require("./dataSources");
+const { DataUnavailableError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const {
+    SCRAPE_INTERVAL,
+    DATA_SOURCE,
+    MAX_DATA_AGE,
+    ENABLE_MOCK_DATA,
+    SNAPSHOT_RETENTION,
+    DATA_PROVENANCE,
+} = require("../config/constants");
+
+// Record fields compared to tell whether a bay changed between snapshots
+const DELTA_FIELDS = ["status", "status_timestamp", "lastupdated", "zone_number", "lat", "lon"];
+
+const log = createLogger("scraper");
 
 class ParkingScraperService {
     constructor() {
-        // Use the SCRAPE_URL from constants.js
-        this.baseUrl = SCRAPE_URL;
-        this.browser = null;
-        this.isInitialized = false;
+        // The active data source is selected with DATA_SOURCE (see constants.js)
+        this.dataSource = createDataSource(DATA_SOURCE);
         this.lastScrapeTime = null;
+        this.lastScrapeSource = null;
+        this.lastAttemptTime = null;
         this.scrapeInterval = SCRAPE_INTERVAL;
+        // Provenance of the served data, see DATA_PROVENANCE
+        this.provenance = null;
+        this.lastGood = null;
+        this.lastFailure = null;
+        // Row counts of the last real scrape, as reported by the data source
+        this.lastScrapeReport = null;
+        this.maxDataAge = MAX_DATA_AGE;
+        // Immutable data set served to requests, replaced by each scrape (see publish)
+        this.snapshot = null;
+        this.snapshotVersion = 0;
+        // The current snapshot and those before it, oldest first, for deltas
+        this.recentSnapshots = [];
+        this.inFlight = null;
+        this.mockDataEnabled = ENABLE_MOCK_DATA;
+        this.spatialIndex = new SpatialIndex();
+        // Sensor health change times of a snapshot, see getChangedAt
+        this.healthChanges = { snapshot: null, times: [] };
     }
 
     /**
-     * Initialize the browser instance
+     * Whether the active data source is ready to fetch
      */
-    async initBrowser() {
-        if (!this.browser) {
-            console.log("Initializing Puppeteer browser...");
-            this.browser = await puppeteer.launch({
-                headless: process.env.ENABLE_HEADLESS === "false" ? false : "new",
-                args: [
-                    "--no-sandbox",
-                    "--disable-setuid-sandbox",
-                    "--disable-dev-shm-usage",
-                    "--disable-accelerated-2d-canvas",
-                    "--no-first-run",
-                    "--no-zygote",
-                    "--disable-gpu",
-                ],
-            });
-            this.isInitialized = true;
-        }
-        return this.browser;
+    get isInitialized() {
+        return this.dataSource.isInitialized;
     }
 
     /**
-     * Close the browser instance
+     * Swap the active data source
+     * The current snapshot keeps being served until the next scrape from the new source.
+     * @param {string|object} source - Data source name or an adapter instance
+     * @param {object} options - Adapter options when a name is given
      */
-    async closeBrowser() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-            this.isInitialized = false;
+    async setDataSource(source, options = {}) {
+        const next = typeof source === "string" ? createDataSource(source, options) : source;
+
+        if (this.dataSource && this.dataSource !== next) {
+            await this.dataSource.cleanup();
         }
+
+        this.dataSource = next;
+        this.lastAttemptTime = null;
     }
 
     /**
-     * Scrape parking data from the website
+     * Scrape the active data source and publish the result as a new snapshot
+     * Single-flight: a call made while a scrape is running joins it instead of starting
+     * another. Only the scheduler should call this; request handlers read getSnapshot().
+     * @returns {Promise<object>} - The published snapshot
      */
-    async scrapeParkingData() {
-        const cacheKey = "parking:scraped:all";
-
-        // Check if we have recent data (less than 2 minutes old)
-        const cachedData = cacheService.get(cacheKey);
-        if (
-            cachedData &&
-            this.lastScrapeTime &&
-            Date.now() - this.lastScrapeTime < this.scrapeInterval
-        ) {
-            console.log("Returning cached scraped data");
-            return cachedData;
+    scrapeParkingData() {
+        if (!this.inFlight) {
+            this.inFlight = this.runScrape().finally(() => {
+                this.inFlight = null;
+            });
         }
+        return this.inFlight;
+    }
 
-        let page;
+    /**
+     * Fetch from the active data source
+     * Falls back to the last real scrape while it is younger than MAX_DATA_AGE, then to mock
+     * data when ENABLE_MOCK_DATA is set, otherwise throws a DataUnavailableError (503).
+     */
+    async runScrape() {
+        this.lastAttemptTime = Date.now();
+
+        let parkingData;
         try {
-            console.log("Starting web scraping from:", this.baseUrl);
-            const browser = await this.initBrowser();
-            page = await browser.newPage();
-
-            // Set viewport and user agent
-            await page.setViewport({ width: 1920, height: 1080 });
-            await page.setUserAgent(
-                "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-            );
+            parkingData = await this.dataSource.fetchRecords();
+        } catch (error) {
+            log.error("Scraping error", { source: this.dataSource.name, error });
+            return this.fallback(`Scrape failed: ${error.message}`, error.name);
+        }
+
+        if (!parkingData || parkingData.length === 0) {
+            return this.fallback("Scrape returned no rows", "EmptyScrape");
+        }
+
+        // Sensor health is part of every served spot, so it is updated before publishing
+        const scrapedAt = Date.now();
+        sensorHealthService.ingest(parkingData, scrapedAt);
 
-            // Navigate to the page
-            console.log("Navigating to parking data page...");
-            await page.goto(this.baseUrl, {
-                waitUntil: "networkidle2",
-                timeout: 30000,
+        const snapshot = this.publish(parkingData, {
+            provenance: DATA_PROVENANCE.LIVE,
+            source: this.dataSource.name,
+            scrapedAt,
+        });
+        this.lastGood = snapshot;
+        this.lastFailure = null;
+        this.lastScrapeReport = this.dataSource.lastReport || null;
+
+        // Keep a permanent record of every real scrape
+        try {
+            await historyStore.recordScrape({
+                scrapedAt: snapshot.scrapedAt,
+                source: snapshot.source,
+                records: snapshot.records,
             });
+        } catch (historyError) {
+            log.error("Failed to record scrape history", { error: historyError });
+        }
+
+        return snapshot;
+    }
 
-            // Wait for the table to load
-            console.log("Waiting for data table to load...");
-            await page.waitForSelector(".odswidget-table__internal-table", {
-                timeout: 15000,
-                visible: true,
+    /**
+     * Pick the data to serve after a failed or empty scrape
+     * @param {string} reason - Why the scrape produced no data
+     * @param {string} type - Error name, or EmptyScrape
+     */
+    fallback(reason, type) {
+        this.lastFailure = { reason, type, timestamp: new Date().toISOString() };
+
+        if (this.lastGood && Date.now() - this.lastGood.scrapedAt <= this.maxDataAge) {
+            log.warn(`${reason}, serving last-known-good data`, {
+                scrapedAt: new Date(this.lastGood.scrapedAt).toISOString(),
             });
+            return this.publish(this.lastGood.records, {
+                provenance: DATA_PROVENANCE.LAST_KNOWN_GOOD,
+                source: this.lastGood.source,
+                scrapedAt: this.lastGood.scrapedAt,
+            });
+        }
 
-            // Wait for data rows to appear
-            await page.waitForSelector(".odswidget-table__internal-table-row", {
-                timeout: 10000,
+        if (this.mockDataEnabled) {
+            log.warn(`${reason}, using mock data (ENABLE_MOCK_DATA)`);
+            return this.publish(this.generateMockData(), {
+                provenance: DATA_PROVENANCE.MOCK,
+                source: "mock",
             });
+        }
 
-            // Wait a bit more for data to populate
-            await new Promise((resolve) => setTimeout(resolve, 3000));
-
-            console.log("Table loaded successfully");
-
-            // Try to load all data
-            await this.loadAllData(page);
-
-            // Extract data from the table with correct parsing
-            console.log("Extracting parking data...");
-            const parkingData = await page.evaluate(() => {
-                const rows = document.querySelectorAll(
-                    ".odswidget-table__internal-table tbody tr.odswidget-table__internal-table-row"
-                );
-                const extractedData = [];
-
-                console.log(`Found ${rows.length} data rows`);
-
-                rows.forEach((row, index) => {
-                    const cells = row.querySelectorAll("td.odswidget-table__cell");
-
-                    if (cells.length >= 7) {
-                        // Helper function to get cell text content
-                        const getCellText = (cell) => {
-                            // Try to get text from span with title attribute first
-                            const span = cell.querySelector("span[title]");
-                            if (span) {
-                                return span.getAttribute("title") || span.textContent.trim();
-                            }
-                            // Fallback to cell text content
-                            return cell.textContent.trim();
-                        };
-
-                        // Based on the actual HTML structure:
-                        // Column 0: Row number (skip this)
-                        // Column 1: Lastupdated
-                        // Column 2: Status_Timestamp
-                        // Column 3: Zone_Number
-                        // Column 4: Status_Description (Present/Unoccupied)
-                        // Column 5: KerbsideID
-                        // Column 6: Location (lat, lon coordinates)
-
-                        const rowNumber = getCellText(cells[0]);
-                        const lastupdated = getCellText(cells[1]);
-                        const statusTimestamp = getCellText(cells[2]);
-                        const zoneNumber = getCellText(cells[3]);
-                        const statusDescription = getCellText(cells[4]);
-                        const kerbsideID = getCellText(cells[5]);
-                        const locationText = getCellText(cells[6]);
-
-                        // Parse coordinates from location string
-                        let lat = "",
-                            lon = "";
-                        if (locationText) {
-                            const coords = locationText.split(",").map((coord) => coord.trim());
-                            if (coords.length >= 2) {
-                                lat = coords[0];
-                                lon = coords[1];
-                            }
-                        }
-
-                        // Only add records with valid data
-                        if (kerbsideID && statusDescription && lat && lon) {
-                            extractedData.push({
-                                bay_id: kerbsideID,
-                                st_marker_id: kerbsideID, // Using KerbsideID as marker ID
-                                status: statusDescription, // "Present" or "Unoccupied"
-                                lat: lat,
-                                lon: lon,
-                                lastupdated: lastupdated,
-                                status_timestamp: statusTimestamp,
-                                zone_number: zoneNumber,
-                                row_number: rowNumber,
-                            });
-                        } else {
-                            console.log(`Skipping row ${index + 1}: missing required data`, {
-                                rowNumber,
-                                kerbsideID,
-                                statusDescription,
-                                lat,
-                                lon,
-                                lastupdated,
-                                statusTimestamp,
-                            });
-                        }
-                    } else {
-                        console.log(
-                            `Row ${index + 1} has only ${cells.length} cells, expected at least 7`
-                        );
-                    }
-                });
+        this.snapshot = null;
+        this.provenance = null;
+        throw this.unavailableError();
+    }
 
-                console.log(`Successfully extracted ${extractedData.length} parking records`);
-                return extractedData;
-            });
+    /**
+     * Replace the served snapshot
+     * Snapshots and their records are frozen, so a reader holding one sees a consistent
+     * data set even while the next one is published.
+     * @param {object[]} records - Raw records
+     * @param {object} meta - { provenance, source, scrapedAt (defaults to now) }
+     */
+    publish(records, { provenance, source, scrapedAt = Date.now() }) {
+        // Clusters are only ever computed for the served snapshot
+        if (this.snapshot) {
+            clusterService.evict(this.snapshot.version);
+        }
 
-            console.log(`Scraped ${parkingData.length} parking records`);
+        this.snapshot = Object.freeze({
+            version: ++this.snapshotVersion,
+            records: Object.isFrozen(records)
+                ? records
+                : Object.freeze(records.map((record) => Object.freeze(record))),
+            scrapedAt,
+            provenance,
+            source,
+        });
+
+        this.recentSnapshots.push(this.snapshot);
+        if (this.recentSnapshots.length > SNAPSHOT_RETENTION) {
+            this.recentSnapshots.shift();
+        }
 
-            // If no data scraped, generate mock data for testing
-            if (!parkingData || parkingData.length === 0) {
-                console.log("No data scraped, using mock data for testing");
-                const mockData = this.generateMockData();
-                cacheService.set(cacheKey, mockData, this.scrapeInterval);
-                this.lastScrapeTime = Date.now();
-                return mockData;
-            }
+        this.lastScrapeTime = scrapedAt;
+        this.lastScrapeSource = source;
+        this.provenance = provenance;
+
+        return this.snapshot;
+    }
 
-            // Cache the data
-            cacheService.set(cacheKey, parkingData, this.scrapeInterval);
-            this.lastScrapeTime = Date.now();
+    /**
+     * Get the snapshot request handlers read from
+     * @returns {object} - { version, records, scrapedAt, provenance, source }
+     * @throws {DataUnavailableError} - Before the first scrape, or once the data is too old
+     */
+    getSnapshot() {
+        const snapshot = this.snapshot;
 
-            return parkingData;
-        } catch (error) {
-            console.error("Scraping error:", error);
-
-            // Return mock data on error for development
-            const mockData = this.generateMockData();
-            cacheService.set(cacheKey, mockData, this.scrapeInterval);
-            this.lastScrapeTime = Date.now();
-            return mockData;
-        } finally {
-            if (page) {
-                await page.close();
+        if (!snapshot || Date.now() - snapshot.scrapedAt > this.maxDataAge) {
+            throw this.unavailableError();
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Build the 503 for when there is no snapshot to serve
+     */
+    unavailableError() {
+        return new DataUnavailableError(
+            this.lastGood
+                ? "Parking data is unavailable: the last successful scrape is too old"
+                : "Parking data is unavailable: no successful scrape yet",
+            Math.ceil(this.scrapeInterval / 1000)
+        );
+    }
+
+    /**
+     * Provenance of the data currently served
+     * @returns {object} - { dataSource: live | last-known-good | mock, dataAge in seconds,
+     *                      version: snapshot version }
+     */
+    getProvenance() {
+        return {
+            dataSource: this.provenance,
+            version: this.snapshot ? this.snapshot.version : null,
+            dataAge: this.lastScrapeTime
+                ? Math.round((Date.now() - this.lastScrapeTime) / 1000)
+                : null,
+        };
+    }
+
+    /**
+     * Last time the answers built from the snapshot changed
+     * Spots also follow the clock between scrapes: the legal stay of a restriction shrinks
+     * every minute while rules are loaded, and sensors turn stale or stuck.
+     * @param {number} now - Epoch milliseconds
+     * @returns {number} - Epoch milliseconds, the scrape time at the earliest
+     * @throws {DataUnavailableError} - When there is no snapshot to serve
+     */
+    getChangedAt(now = Date.now()) {
+        const snapshot = this.getSnapshot();
+        let changedAt = snapshot.scrapedAt;
+
+        if (this.healthChanges.snapshot !== snapshot) {
+            this.healthChanges = {
+                snapshot,
+                times: sensorHealthService.changeTimes(snapshot.records),
+            };
+        }
+        const { times } = this.healthChanges;
+
+        // Latest health change up to now, by binary search
+        let low = 0;
+        let high = times.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (times[middle] <= now) {
+                low = middle + 1;
+            } else {
+                high = middle;
             }
         }
+        if (low > 0) {
+            changedAt = Math.max(changedAt, times[low - 1]);
+        }
+
+        if (restrictionService.loadedAt) {
+            changedAt = Math.max(changedAt, restrictionService.loadedAt);
+        }
+        if (restrictionService.getStats().zones > 0) {
+            changedAt = Math.max(changedAt, now - (now % 60000));
+        }
+
+        return changedAt;
     }
 
     /**
@@ -247,167 +315,331 @@ class ParkingScraperService {
     }
 
     /**
-     * Try to load all data by handling pagination or infinite scroll
+     * Get the spatial index for a data set, rebuilding it when the data has changed
+     * @param {object[]} data - Records of a snapshot
      */
-    async loadAllData(page) {
-        try {
-            console.log("Checking for pagination/infinite scroll...");
-
-            // Check initial row count
-            let previousCount = await page.evaluate(() => {
-                return document.querySelectorAll(".odswidget-table__internal-table-row").length;
-            });
-
-            console.log(`Initial row count: ${previousCount}`);
-
-            // Try scrolling to load more data
-            let attempts = 0;
-            const maxAttempts = 15; // Increased attempts to get more data
-
-            while (attempts < maxAttempts) {
-                // Scroll to bottom of the table container
-                await page.evaluate(() => {
-                    const tableContainer = document.querySelector(".odswidget-table__records");
-                    if (tableContainer) {
-                        tableContainer.scrollTop = tableContainer.scrollHeight;
-                    }
-                    // Also scroll the page
-                    window.scrollTo(0, document.body.scrollHeight);
-                });
-
-                // Wait for potential new data to load
-                await new Promise((resolve) => setTimeout(resolve, 2000));
-
-                // Check if new rows were loaded
-                const currentCount = await page.evaluate(() => {
-                    return document.querySelectorAll(".odswidget-table__internal-table-row").length;
-                });
-
-                console.log(`Scroll attempt ${attempts + 1}: ${currentCount} rows loaded`);
-
-                // If no new rows were loaded, we've reached the end
-                if (currentCount === previousCount) {
-                    // Try one more aggressive scroll
-                    await page.evaluate(() => {
-                        // Trigger scroll events
-                        const tableContainer = document.querySelector(".odswidget-table__records");
-                        if (tableContainer) {
-                            const event = new Event("scroll", { bubbles: true });
-                            tableContainer.dispatchEvent(event);
-                        }
-                    });
-
-                    await new Promise((resolve) => setTimeout(resolve, 3000));
-
-                    const finalCount = await page.evaluate(() => {
-                        return document.querySelectorAll(".odswidget-table__internal-table-row")
-                            .length;
-                    });
-
-                    if (finalCount === currentCount) {
-                        console.log(
-                            "No new rows loaded after aggressive scroll, stopping attempts"
-                        );
-                        break;
-                    } else {
-                        currentCount = finalCount;
-                    }
-                }
-
-                previousCount = currentCount;
-                attempts++;
-            }
-
-            console.log(`Final row count after scrolling: ${previousCount}`);
-        } catch (e) {
-            console.log("Error during pagination:", e.message);
+    getSpatialIndex(data) {
+        if (this.spatialIndex.source !== data) {
+            this.spatialIndex.rebuild(data);
         }
+        return this.spatialIndex;
     }
 
     /**
      * Get all parking data
      */
-    async getAllParkingData() {
+    getAllParkingData() {
         try {
-            const data = await this.scrapeParkingData();
-            return { data, cached: false };
+            const { records: data, version } = this.getSnapshot();
+            return { data, version };
         } catch (error) {
-            console.error("Error in getAllParkingData:", error);
+            log.error("Error in getAllParkingData", { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the bays added, changed or removed since an earlier snapshot
+     * When that snapshot is no longer retained (or never existed) every bay is returned as
+     * added with full: true, and the client should replace what it holds.
+     * @param {number} sinceVersion - Snapshot version the client last saw
+     * @param {Function} filter - Optional predicate over raw records; bays that stop
+     *                            matching are reported as removed
+     * @returns {object} - { version, sinceVersion, full, added, changed, removed: bay ids }
+     */
+    getChangesSince(sinceVersion, filter = null) {
+        try {
+            const snapshot = this.getSnapshot();
+            const base = this.recentSnapshots.find(({ version }) => version === sinceVersion);
+            const matching = (records) => (filter ? records.filter(filter) : records);
+
+            if (!base) {
+                return {
+                    version: snapshot.version,
+                    sinceVersion,
+                    full: true,
+                    added: this.transformSpotData(matching(snapshot.records)),
+                    changed: [],
+                    removed: [],
+                };
+            }
+
+            const previous = new Map(
+                matching(base.records).map((record) => [record.bay_id, record])
+            );
+            const added = [];
+            const changed = [];
+
+            matching(snapshot.records).forEach((record) => {
+                const before = previous.get(record.bay_id);
+
+                if (!before) {
+                    added.push(record);
+                } else if (
+                    before !== record &&
+                    DELTA_FIELDS.some((field) => before[field] !== record[field])
+                ) {
+                    changed.push(record);
+                }
+                previous.delete(record.bay_id);
+            });
+
+            return {
+                version: snapshot.version,
+                sinceVersion,
+                full: false,
+                added: this.transformSpotData(added),
+                changed: this.transformSpotData(changed),
+                removed: Array.from(previous.keys()),
+            };
+        } catch (error) {
+            log.error("Error in getChangesSince", { error });
             throw error;
         }
     }
 
     /**
      * Get available parking spots
+     * @param {Function} filter - Optional predicate over raw records
      */
-    async getAvailableSpots() {
+    getAvailableSpots(filter = null) {
         try {
-            const data = await this.scrapeParkingData();
-            const availableSpots = data.filter((spot) => spot.status === "Unoccupied");
+            const data = this.getSnapshot().records;
+            const availableSpots = data.filter(
+                (spot) => spot.status === "Unoccupied" && (!filter || filter(spot))
+            );
 
             return {
                 total: availableSpots.length,
                 spots: this.transformSpotData(availableSpots),
             };
         } catch (error) {
-            console.error("Error in getAvailableSpots:", error);
+            log.error("Error in getAvailableSpots", { error });
             throw error;
         }
     }
 
     /**
-     * Get parking spots near a location
+     * Get parking spots near a location, closest first
+     * total and available count the bays in the radius that match the filter and duration.
+     * @param {object} options - { limit: k-nearest count, availableOnly, duration in minutes,
+     *                           filter: predicate over raw records }
      */
-    async getNearbySpots(lat, lon, radius) {
+    getNearbySpots(
+        lat,
+        lon,
+        radius,
+        { limit = null, availableOnly = false, duration = null, filter: match = null } = {}
+    ) {
         try {
-            const data = await this.scrapeParkingData();
-
-            const nearbySpots = data.filter((spot) => {
-                const spotLat = parseFloat(spot.lat);
-                const spotLon = parseFloat(spot.lon);
-                const distance = this.calculateDistance(lat, lon, spotLat, spotLon);
-                return distance <= radius;
-            });
-
-            const availableNearby = nearbySpots.filter((spot) => spot.status === "Unoccupied");
+            const data = this.getSnapshot().records;
+            const index = this.getSpatialIndex(data);
+
+            // Only bays where the whole stay is legal right now
+            const clock = restrictionService.clockAt();
+            const counts = (record) =>
+                (!match || match(record)) &&
+                (!duration || restrictionService.canStay(record.zone_number, duration, clock));
+            const filter = (record) =>
+                (!availableOnly || record.status === "Unoccupied") && counts(record);
+
+            const nearby = index
+                .withinRadius(lat, lon, radius)
+                .filter(({ record }) => counts(record));
+            const availableNearby = nearby.filter(({ record }) => record.status === "Unoccupied");
+
+            // With a limit only the k nearest matching bays are measured and returned
+            const matches = limit
+                ? index.nearest(lat, lon, limit, { radius, filter })
+                : nearby.filter(({ record }) => filter(record));
 
             return {
-                total: nearbySpots.length,
+                total: nearby.length,
                 available: availableNearby.length,
                 radius: parseInt(radius),
                 center: { lat: parseFloat(lat), lon: parseFloat(lon) },
-                spots: this.transformSpotData(nearbySpots),
+                availableOnly,
+                duration,
+                spots: matches.map(({ record, distance }) => ({
+                    ...this.transformSingleSpot(record, clock),
+                    distance: Math.round(distance * 10) / 10,
+                })),
             };
         } catch (error) {
-            console.error("Error in getNearbySpots:", error);
+            log.error("Error in getNearbySpots", { error });
             throw error;
         }
     }
 
     /**
      * Get parking spots in a specific area
+     * @param {object} area - Registry area with bounds or a polygon geometry
+     * @param {Function} filter - Optional predicate over raw records, applied before summarizing
      */
-    async getAreaSpots(areaBounds) {
+    getAreaSpots(area, filter = null) {
         try {
-            const data = await this.scrapeParkingData();
-            const { minLat, maxLat, minLon, maxLon } = areaBounds;
+            const data = this.getSnapshot().records;
+            const inArea = this.getAreaRecords(data, area);
+            const areaSpots = filter ? inArea.filter(filter) : inArea;
 
-            const areaSpots = data.filter((spot) => {
-                const lat = parseFloat(spot.lat);
-                const lon = parseFloat(spot.lon);
-                return lat > minLat && lat < maxLat && lon > minLon && lon < maxLon;
-            });
+            return {
+                bounds: areaService.boundsOf(area),
+                ...this.summarizeSpots(areaSpots),
+                spots: this.transformSpotData(areaSpots),
+            };
+        } catch (error) {
+            log.error("Error in getAreaSpots", { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get parking spots inside a GeoJSON Polygon or MultiPolygon
+     * @param {object} geometry - Validated polygon geometry
+     * @param {Function} filter - Optional predicate over raw records
+     */
+    getPolygonSpots(geometry, filter = null) {
+        return this.getAreaSpots({ geometry }, filter);
+    }
+
+    /**
+     * Select the raw records inside an area
+     * @param {object[]} data - Records of a snapshot
+     * @param {object} area - { bounds } or { geometry }
+     */
+    getAreaRecords(data, area) {
+        const index = this.getSpatialIndex(data);
+
+        if (!area.geometry) {
+            return index.withinBounds(area.bounds);
+        }
+
+        // The bounding box narrows the candidates, the polygon test decides.
+        // withinBounds is strict, so widen it slightly to keep bays on the edge.
+        const bounds = geometryBounds(area.geometry);
+        const margin = 1e-9;
+        const candidates = index.withinBounds({
+            minLat: bounds.minLat - margin,
+            maxLat: bounds.maxLat + margin,
+            minLon: bounds.minLon - margin,
+            maxLon: bounds.maxLon + margin,
+        });
+
+        return candidates.filter((spot) =>
+            pointInGeometry(parseFloat(spot.lon), parseFloat(spot.lat), area.geometry)
+        );
+    }
+
+    /**
+     * Count total, available and occupied spots
+     */
+    summarizeSpots(spots) {
+        const available = spots.filter((spot) => spot.status === "Unoccupied").length;
+        const occupied = spots.filter((spot) => spot.status === "Present").length;
+
+        return {
+            total: spots.length,
+            available,
+            occupied,
+            occupancyRate:
+                spots.length > 0 ? ((occupied / spots.length) * 100).toFixed(2) + "%" : "0%",
+        };
+    }
+
+    /**
+     * Get map clusters, or individual bays once zoomed in far enough
+     * @param {object} bbox - { minLon, minLat, maxLon, maxLat }
+     * @param {number} zoom - Integer map zoom level
+     */
+    getClusters(bbox, zoom) {
+        try {
+            const { records: data, version } = this.getSnapshot();
+
+            if (clusterService.showsIndividualBays(zoom)) {
+                const spots = this.getSpatialIndex(data).withinBounds({
+                    minLat: bbox.minLat,
+                    maxLat: bbox.maxLat,
+                    minLon: bbox.minLon,
+                    maxLon: bbox.maxLon,
+                });
+
+                return {
+                    zoom,
+                    bbox,
+                    type: "bays",
+                    total: spots.length,
+                    spots: this.transformSpotData(spots),
+                };
+            }
 
-            const availableInArea = areaSpots.filter((spot) => spot.status === "Unoccupied");
+            const clusters = clusterService.filterByBbox(
+                clusterService.getClusters(data, zoom, version),
+                bbox
+            );
 
             return {
-                bounds: areaBounds,
-                total: areaSpots.length,
-                available: availableInArea.length,
-                spots: this.transformSpotData(areaSpots),
+                zoom,
+                bbox,
+                type: "clusters",
+                total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+                clusters,
             };
         } catch (error) {
-            console.error("Error in getAreaSpots:", error);
+            log.error("Error in getClusters", { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Compute the clusters of the current snapshot ahead of the first map request
+     * @param {number[]} zooms - Zoom levels below CLUSTER_MAX_ZOOM
+     * @returns {object} - { version, zooms }
+     */
+    warmClusters(zooms) {
+        const { records, version } = this.getSnapshot();
+
+        zooms.forEach((zoom) => clusterService.getClusters(records, zoom, version));
+
+        return { version, zooms };
+    }
+
+    /**
+     * Get raw records matching the export filters
+     * @param {object} filters - { area, center, radius, availableOnly,
+     *                           filter: predicate over raw records }
+     * @returns {object[]} - Raw records, closest first when a center is given
+     */
+    getFilteredRecords({
+        area = null,
+        center = null,
+        radius,
+        availableOnly = false,
+        filter = null,
+    } = {}) {
+        try {
+            const data = this.getSnapshot().records;
+            const index = this.getSpatialIndex(data);
+
+            let records = data;
+            if (center) {
+                records = index
+                    .withinRadius(center.lat, center.lon, radius)
+                    .map(({ record }) => record);
+            }
+            if (area) {
+                const inArea = new Set(this.getAreaRecords(data, area));
+                records = records.filter((record) => inArea.has(record));
+            }
+            if (availableOnly) {
+                records = records.filter((record) => record.status === "Unoccupied");
+            }
+            if (filter) {
+                records = records.filter(filter);
+            }
+
+            return records;
+        } catch (error) {
+            log.error("Error in getFilteredRecords", { error });
             throw error;
         }
     }
@@ -415,9 +647,9 @@ class ParkingScraperService {
     /**
      * Get specific bay information
      */
-    async getBayInfo(bayId) {
+    getBayInfo(bayId) {
         try {
-            const data = await this.scrapeParkingData();
+            const data = this.getSnapshot().records;
             const spot = data.find((s) => s.bay_id === bayId);
 
             if (!spot) {
@@ -426,17 +658,33 @@ class ParkingScraperService {
 
             return this.transformSingleSpot(spot);
         } catch (error) {
-            console.error("Error in getBayInfo:", error);
+            log.error("Error in getBayInfo", { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get sensor health per zone
+     * @param {Function} filter - Optional predicate over raw records
+     */
+    getSensorHealth(filter = null) {
+        try {
+            const data = this.getSnapshot().records;
+            return sensorHealthService.getReport(filter ? data.filter(filter) : data);
+        } catch (error) {
+            log.error("Error in getSensorHealth", { error });
             throw error;
         }
     }
 
     /**
      * Get parking statistics
+     * @param {Function} filter - Optional predicate over raw records
      */
-    async getStatistics() {
+    getStatistics(filter = null) {
         try {
-            const data = await this.scrapeParkingData();
+            const scraped = this.getSnapshot().records;
+            const data = filter ? scraped.filter(filter) : scraped;
 
             const totalSpots = data.length;
             const availableSpots = data.filter((spot) => spot.status === "Unoccupied").length;
@@ -449,10 +697,10 @@ class ParkingScraperService {
                 occupancyRate:
                     totalSpots > 0 ? ((occupiedSpots / totalSpots) * 100).toFixed(2) + "%" : "0%",
                 lastUpdated: new Date().toISOString(),
-                dataSource: "web-scraping",
+                dataSource: this.provenance,
             };
         } catch (error) {
-            console.error("Error in getStatistics:", error);
+            log.error("Error in getStatistics", { error });
             throw error;
         }
     }
@@ -461,31 +709,22 @@ class ParkingScraperService {
      * Calculate distance between two points
      */
     calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371e3; // Earth's radius in meters
-        const φ1 = (lat1 * Math.PI) / 180;
-        const φ2 = (lat2 * Math.PI) / 180;
-        const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-        const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-        const a =
-            Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-            Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-        return R * c;
+        return haversine(lat1, lon1, lat2, lon2);
     }
 
     /**
      * Transform spot data
      */
     transformSpotData(spots) {
-        return spots.map((spot) => this.transformSingleSpot(spot));
+        const clock = restrictionService.clockAt();
+        return spots.map((spot) => this.transformSingleSpot(spot, clock));
     }
 
     /**
      * Transform single spot
+     * @param {object} clock - Melbourne time of the restriction, see restrictionService.clockAt
      */
-    transformSingleSpot(spot) {
+    transformSingleSpot(spot, clock = restrictionService.clockAt()) {
         return {
             bayId: spot.bay_id,
             status: spot.status,
@@ -498,6 +737,8 @@ class ParkingScraperService {
             streetMarker: spot.st_marker_id,
             zoneNumber: spot.zone_number,
             statusTimestamp: spot.status_timestamp,
+            restriction: restrictionService.describe(spot.zone_number, clock),
+            sensorHealth: sensorHealthService.classify(spot),
         };
     }
 
@@ -505,8 +746,7 @@ class ParkingScraperService {
      * Cleanup method - call on app shutdown
      */
     async cleanup() {
-        console.log("Cleaning up Puppeteer browser...");
-        await this.closeBrowser();
+        await this.dataSource.cleanup();
     }
 }
 
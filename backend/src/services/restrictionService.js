@@ -0,0 +1,444 @@
+const fs = require("fs");
+const path = require("path");
+const OpendatasoftDataSource = require("./dataSources/opendatasoftDataSource");
+const {
+    RESTRICTIONS_SOURCE,
+    RESTRICTIONS_FILE,
+    RESTRICTIONS_DATASET,
+    TIMEZONE,
+} = require("../config/constants");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("restrictions");
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTES_PER_DAY = 24 * 60;
+
+// Column aliases accepted in restriction files, first match wins
+const FIELD_ALIASES = {
+    zone: ["parkingzone", "zone", "zone_number", "zonenumber"],
+    days: ["restriction_days", "days"],
+    start: ["time_restrictions_start", "start_time", "start"],
+    finish: ["time_restrictions_finish", "end_time", "finish", "end"],
+    display: ["restriction_display", "display", "restriction"],
+    timeLimitMinutes: ["time_limit_minutes", "timelimitminutes"],
+    paid: ["paid"],
+    loadingZone: ["loading_zone", "loadingzone"],
+    disabled: ["disabled"],
+};
+
+const clockFormatter = new Intl.DateTimeFormat("en-AU", {
+    timeZone: TIMEZONE,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+});
+
+/**
+ * Day of week (0 = Sunday) and minutes since midnight in Melbourne time
+ */
+const localClock = (date) => {
+    const parts = Object.fromEntries(
+        clockFormatter.formatToParts(date).map((part) => [part.type, part.value])
+    );
+
+    return {
+        day: DAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    };
+};
+
+/**
+ * Parse "Mon-Fri", "Sat-Sun", "Mon,Wed" or "Sun" into day indexes
+ */
+const parseDays = (text) => {
+    const days = new Set();
+
+    String(text || "")
+        .toLowerCase()
+        .split(/[,&]/)
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .forEach((part) => {
+            const [from, to] = part
+                .split("-")
+                .map((day) => DAY_NAMES.indexOf(day.trim().slice(0, 3)));
+
+            if (from === -1 || (to !== undefined && to === -1)) {
+                return;
+            }
+            if (to === undefined) {
+                days.add(from);
+                return;
+            }
+            for (let day = from; ; day = (day + 1) % 7) {
+                days.add(day);
+                if (day === to) {
+                    break;
+                }
+            }
+        });
+
+    return days;
+};
+
+/**
+ * Parse "07:30", "07:30:00" or "7:30 AM" into minutes since midnight
+ */
+const parseTime = (text) => {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i.exec(String(text || "").trim());
+    if (!match) {
+        return null;
+    }
+
+    let hours = parseInt(match[1]) % 24;
+    const suffix = match[3] && match[3].toLowerCase();
+    if (suffix === "pm" && hours < 12) hours += 12;
+    if (suffix === "am" && hours === 12) hours = 0;
+
+    return hours * 60 + parseInt(match[2]);
+};
+
+/**
+ * Read the sign-plate code shown to drivers, e.g. "2P", "MP1P", "1/2P", "P10", "LZ30", "DP2P"
+ * @returns {object} - { timeLimitMinutes, paid, loadingZone, disabled }
+ */
+const parseDisplay = (display) => {
+    const code = String(display || "")
+        .toUpperCase()
+        .replace(/\s+/g, "");
+    const result = {
+        timeLimitMinutes: null,
+        paid: /^(MP|TP)/.test(code),
+        loadingZone: /^LZ/.test(code),
+        disabled: /^DP/.test(code),
+    };
+
+    let match;
+    if ((match = /^LZ(\d+)/.exec(code))) {
+        result.timeLimitMinutes = parseInt(match[1]);
+    } else if ((match = /(\d+)\/(\d+)P/.exec(code))) {
+        result.timeLimitMinutes = Math.round((parseInt(match[1]) / parseInt(match[2])) * 60);
+    } else if ((match = /P(\d+)$/.exec(code))) {
+        result.timeLimitMinutes = parseInt(match[1]);
+    } else if ((match = /(\d+)P/.exec(code))) {
+        result.timeLimitMinutes = parseInt(match[1]) * 60;
+    } else if (/^(NS|NOSTOP|NP|NOPARK)/.test(code)) {
+        result.timeLimitMinutes = 0;
+    }
+
+    return result;
+};
+
+/**
+ * Time limit of a rule for the general public; loading zones and disabled bays count as 0
+ * @returns {number|null} - null when the rule does not limit the stay
+ */
+const publicLimit = (rule) => (rule.loadingZone || rule.disabled ? 0 : rule.timeLimitMinutes);
+
+const strictness = (rule) => publicLimit(rule) ?? Infinity;
+
+const parseBoolean = (value) => {
+    if (typeof value === "boolean") return value;
+    if (value === undefined || value === null || value === "") return undefined;
+    return ["true", "yes", "y", "1"].includes(String(value).toLowerCase());
+};
+
+/**
+ * Minimal CSV parser supporting quoted fields
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...body] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+    const keys = header.map((key) => key.trim().toLowerCase());
+
+    return body.map((cells) => Object.fromEntries(keys.map((key, i) => [key, cells[i]])));
+};
+
+/**
+ * Parking restrictions keyed by zone, evaluated in Melbourne local time
+ * Rules come from the city's sign-plate data, loaded from a local CSV/JSON file or from the
+ * Opendatasoft portal, and are used to answer "can I park here now, and for how long?".
+ */
+class RestrictionService {
+    constructor() {
+        this.zones = new Map();
+        this.loadedAt = null;
+        this.source = null;
+    }
+
+    /**
+     * Load restriction rules from the configured source
+     * @param {object} options - { source: "file" | "opendatasoft", file }
+     */
+    async load({ source = RESTRICTIONS_SOURCE, file = RESTRICTIONS_FILE } = {}) {
+        let rows;
+
+        if (source === "file") {
+            rows = await this.readFile(file);
+        } else if (source === "opendatasoft") {
+            rows = await new OpendatasoftDataSource().fetchDataset(RESTRICTIONS_DATASET);
+        } else {
+            log.info("No parking restrictions source configured");
+            return;
+        }
+
+        this.setRules(rows);
+        this.source = source;
+        log.info("Loaded parking restrictions", { zones: this.zones.size, source });
+    }
+
+    /**
+     * Read rules from a CSV or JSON file
+     */
+    async readFile(file) {
+        if (!file) {
+            throw new Error("RESTRICTIONS_FILE must be set when RESTRICTIONS_SOURCE is 'file'");
+        }
+
+        const content = await fs.promises.readFile(file, "utf8");
+
+        if (path.extname(file).toLowerCase() === ".json") {
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed) ? parsed : parsed.restrictions || [];
+        }
+
+        return parseCsv(content);
+    }
+
+    /**
+     * Replace the loaded rules
+     * @param {object[]} rows - Rows using any of the FIELD_ALIASES column names
+     */
+    setRules(rows) {
+        const zones = new Map();
+
+        rows.forEach((row) => {
+            const rule = this.toRule(row);
+            if (!rule) {
+                return;
+            }
+            if (!zones.has(rule.zone)) {
+                zones.set(rule.zone, []);
+            }
+            zones.get(rule.zone).push(rule);
+        });
+
+        this.zones = zones;
+        this.loadedAt = Date.now();
+    }
+
+    /**
+     * Normalize a source row into a rule
+     */
+    toRule(row) {
+        const normalized = Object.fromEntries(
+            Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])
+        );
+        const pick = (field) => {
+            const key = FIELD_ALIASES[field].find((alias) => normalized[alias] !== undefined);
+            return key ? normalized[key] : undefined;
+        };
+
+        const zone = pick("zone");
+        const days = parseDays(pick("days"));
+        const start = parseTime(pick("start"));
+        const finish = parseTime(pick("finish"));
+
+        if (zone === undefined || zone === null || zone === "" || days.size === 0) {
+            return null;
+        }
+        if (start === null || finish === null) {
+            return null;
+        }
+
+        const display = pick("display") || "";
+        const parsed = parseDisplay(display);
+        const explicitLimit = parseInt(pick("timeLimitMinutes"));
+
+        return {
+            zone: String(zone).trim(),
+            display,
+            days,
+            daysText: String(pick("days")),
+            start,
+            finish,
+            timeLimitMinutes: !isNaN(explicitLimit) ? explicitLimit : parsed.timeLimitMinutes,
+            paid: parseBoolean(pick("paid")) ?? parsed.paid,
+            loadingZone: parseBoolean(pick("loadingZone")) ?? parsed.loadingZone,
+            disabled: parseBoolean(pick("disabled")) ?? parsed.disabled,
+        };
+    }
+
+    /**
+     * Whether a rule applies at a local day/minute
+     * Rules finishing before they start run overnight into the next day.
+     */
+    appliesAt(rule, day, minutes) {
+        if (rule.start <= rule.finish) {
+            return rule.days.has(day) && minutes >= rule.start && minutes < rule.finish;
+        }
+
+        const previousDay = (day + 6) % 7;
+        return (
+            (rule.days.has(day) && minutes >= rule.start) ||
+            (rule.days.has(previousDay) && minutes < rule.finish)
+        );
+    }
+
+    /**
+     * Melbourne day of week and time of a date, as taken by describe() and canStay()
+     * Computed once per request rather than per bay, formatting the time zone is slow.
+     * @param {Date} date - Evaluation time
+     * @returns {object} - { day: 0 = Sunday, minutes: since midnight }
+     */
+    clockAt(date = new Date()) {
+        return localClock(date);
+    }
+
+    /**
+     * Strictest of the rules in force at a local time, or null
+     */
+    activeRule(rules, { day, minutes }) {
+        return rules
+            .filter((rule) => this.appliesAt(rule, day, minutes))
+            .reduce(
+                (strictest, rule) =>
+                    strictest === null || strictness(rule) < strictness(strictest)
+                        ? rule
+                        : strictest,
+                null
+            );
+    }
+
+    /**
+     * Longest legal stay starting now, in minutes
+     * The stay is bounded by the limit in force now and by every rule starting later: a
+     * No Stopping from 16:00 ends a 2P stay at 16:00, a 1P starting at 16:00 an hour later.
+     * @param {object[]} rules - Rules of a zone
+     * @param {object} clock - Output of clockAt
+     * @returns {number|null} - null when no restriction limits the stay
+     */
+    maxStayMinutes(rules, clock) {
+        const { day, minutes } = clock;
+        const active = this.activeRule(rules, clock);
+        let best = active ? publicLimit(active) : null;
+
+        rules.forEach((rule) => {
+            const limit = publicLimit(rule);
+            if (limit === null) {
+                return;
+            }
+
+            // Next start of the rule, up to the same day next week
+            for (let offset = 0; offset <= 7; offset++) {
+                const startsIn = offset * MINUTES_PER_DAY + rule.start - minutes;
+
+                if (rule.days.has((day + offset) % 7) && startsIn > 0) {
+                    if (best === null || startsIn + limit < best) {
+                        best = startsIn + limit;
+                    }
+                    break;
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Current restriction of a zone
+     * @param {string} zone - Zone number
+     * @param {object} clock - Output of clockAt, now by default
+     * @returns {object|null} - null when there is no data for the zone
+     */
+    describe(zone, clock = this.clockAt()) {
+        const rules = this.zones.get(String(zone));
+        if (!rules) {
+            return null;
+        }
+
+        const active = this.activeRule(rules, clock);
+        const hours = active
+            ? `${this.formatTime(active.start)}-${this.formatTime(active.finish)}`
+            : null;
+
+        return {
+            active: Boolean(active),
+            display: active ? active.display : null,
+            timeLimitMinutes: active ? active.timeLimitMinutes : null,
+            paid: active ? active.paid : false,
+            loadingZone: active ? active.loadingZone : false,
+            disabled: active ? active.disabled : false,
+            days: active ? active.daysText : null,
+            hours,
+            maxStayMinutes: this.maxStayMinutes(rules, clock),
+        };
+    }
+
+    /**
+     * Whether staying `duration` minutes from now is legal
+     * Bays without restriction data are not considered legal since they can't be checked.
+     */
+    canStay(zone, duration, clock = this.clockAt()) {
+        const restriction = this.describe(zone, clock);
+
+        if (!restriction) {
+            return false;
+        }
+
+        return restriction.maxStayMinutes === null || restriction.maxStayMinutes >= duration;
+    }
+
+    formatTime(minutes) {
+        const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+        return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+    }
+
+    getStats() {
+        return {
+            source: this.source,
+            zones: this.zones.size,
+            loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+        };
+    }
+}
+
+module.exports = new RestrictionService();
@@ -0,0 +1,176 @@
+const {
+    SENSOR_STALE_HOURS,
+    SENSOR_STUCK_HOURS,
+    SENSOR_FLAP_TRANSITIONS,
+    SENSOR_HEALTH,
+} = require("../config/constants");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Classifies in-ground sensors from their timestamps and recent transitions
+ * - stale: no report (lastupdated) for SENSOR_STALE_HOURS
+ * - stuck: same status (status_timestamp) for SENSOR_STUCK_HOURS
+ * - flapping: at least SENSOR_FLAP_TRANSITIONS status changes in the last hour
+ * Stale and stuck only need the record itself, flapping needs consecutive scrapes.
+ */
+class SensorHealthService {
+    constructor(options = {}) {
+        this.staleAfter = (options.staleHours || SENSOR_STALE_HOURS) * HOUR;
+        this.stuckAfter = (options.stuckHours || SENSOR_STUCK_HOURS) * HOUR;
+        this.flapTransitions = options.flapTransitions || SENSOR_FLAP_TRANSITIONS;
+        this.bays = new Map();
+    }
+
+    /**
+     * Record the transitions seen since the previous scrape
+     * A changed status_timestamp with an unchanged status means the bay flipped and
+     * flipped back between scrapes, which counts as two transitions.
+     * @param {object[]} records - Raw scraped records
+     * @param {number} scrapedAt - Scrape time in milliseconds
+     */
+    ingest(records, scrapedAt = Date.now()) {
+        const bays = new Map();
+
+        records.forEach((record) => {
+            const before = this.bays.get(record.bay_id);
+            let transitions = before ? before.transitions : [];
+
+            if (before) {
+                let changes = 0;
+                if (before.status !== record.status) {
+                    changes = 1;
+                } else if (before.statusTimestamp !== record.status_timestamp) {
+                    changes = 2;
+                }
+
+                transitions = transitions
+                    .filter((time) => scrapedAt - time < HOUR)
+                    .concat(new Array(changes).fill(scrapedAt));
+            }
+
+            bays.set(record.bay_id, {
+                status: record.status,
+                statusTimestamp: record.status_timestamp,
+                transitions,
+            });
+        });
+
+        // Bays missing from the scrape are forgotten
+        this.bays = bays;
+    }
+
+    /**
+     * Status changes of a bay within the last hour
+     */
+    transitionsInLastHour(bayId, now = Date.now()) {
+        const bay = this.bays.get(bayId);
+        return bay ? bay.transitions.filter((time) => now - time < HOUR).length : 0;
+    }
+
+    /**
+     * Classify a raw record
+     * @returns {string} - One of SENSOR_HEALTH
+     */
+    classify(record, now = Date.now()) {
+        const lastUpdated = Date.parse(record.lastupdated);
+        if (!isNaN(lastUpdated) && now - lastUpdated > this.staleAfter) {
+            return SENSOR_HEALTH.STALE;
+        }
+
+        if (this.transitionsInLastHour(record.bay_id, now) >= this.flapTransitions) {
+            return SENSOR_HEALTH.FLAPPING;
+        }
+
+        const statusSince = Date.parse(record.status_timestamp);
+        if (!isNaN(statusSince) && now - statusSince > this.stuckAfter) {
+            return SENSOR_HEALTH.STUCK;
+        }
+
+        return SENSOR_HEALTH.HEALTHY;
+    }
+
+    /**
+     * Times at which the clock alone can change the health of a record: when it turns
+     * stale or stuck, and when a transition leaves the last hour
+     * @param {object[]} records - Raw scraped records
+     * @returns {number[]} - Epoch milliseconds, ascending
+     */
+    changeTimes(records) {
+        const times = [];
+
+        records.forEach((record) => {
+            const lastUpdated = Date.parse(record.lastupdated);
+            const statusSince = Date.parse(record.status_timestamp);
+            const bay = this.bays.get(record.bay_id);
+
+            if (!isNaN(lastUpdated)) {
+                times.push(lastUpdated + this.staleAfter);
+            }
+            if (!isNaN(statusSince)) {
+                times.push(statusSince + this.stuckAfter);
+            }
+            if (bay) {
+                bay.transitions.forEach((time) => times.push(time + HOUR));
+            }
+        });
+
+        return times.sort((a, b) => a - b);
+    }
+
+    isHealthy(record, now = Date.now()) {
+        return this.classify(record, now) === SENSOR_HEALTH.HEALTHY;
+    }
+
+    /**
+     * Health counts per zone
+     * @param {object[]} records - Raw scraped records
+     * @returns {object} - { thresholds, summary, zones: [{ zoneNumber, total, healthy, ... }] }
+     */
+    getReport(records, now = Date.now()) {
+        const emptyCounts = () => ({
+            total: 0,
+            ...Object.fromEntries(Object.values(SENSOR_HEALTH).map((health) => [health, 0])),
+        });
+        const summary = emptyCounts();
+        const zones = new Map();
+
+        records.forEach((record) => {
+            const zoneNumber = record.zone_number || null;
+            const health = this.classify(record, now);
+
+            if (!zones.has(zoneNumber)) {
+                zones.set(zoneNumber, { zoneNumber, ...emptyCounts() });
+            }
+
+            [summary, zones.get(zoneNumber)].forEach((counts) => {
+                counts.total++;
+                counts[health]++;
+            });
+        });
+
+        const withRatio = (counts) => ({
+            ...counts,
+            healthyRatio:
+                counts.total > 0 ? Math.round((counts.healthy / counts.total) * 1000) / 1000 : null,
+        });
+
+        return {
+            thresholds: {
+                staleHours: this.staleAfter / HOUR,
+                stuckHours: this.stuckAfter / HOUR,
+                flapTransitionsPerHour: this.flapTransitions,
+            },
+            summary: withRatio(summary),
+            zones: Array.from(zones.values())
+                .map(withRatio)
+                .sort((a, b) =>
+                    String(a.zoneNumber).localeCompare(String(b.zoneNumber), undefined, {
+                        numeric: true,
+                    })
+                ),
+        };
+    }
+}
+
+module.exports = new SensorHealthService();
@@ -0,0 +1,229 @@
+const { SPATIAL_INDEX_CELL_SIZE } = require("../config/constants");
+
+const EARTH_RADIUS = 6371e3; // meters
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Haversine distance between two points in meters
+ */
+const haversine = (lat1, lon1, lat2, lon2) => {
+    const φ1 = (lat1 * Math.PI) / 180;
+    const φ2 = (lat2 * Math.PI) / 180;
+    const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+    const a =
+        Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+        Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Uniform lat/lon grid over scraped bays
+ * Bays are bucketed into square cells of `cellSize` degrees so radius, k-nearest and
+ * bounding box queries only measure the bays in the cells they touch.
+ */
+class SpatialIndex {
+    constructor(cellSize = SPATIAL_INDEX_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.size = 0;
+        this.source = null;
+        this.extent = null;
+    }
+
+    /**
+     * Rebuild the index from raw scraped records
+     * @param {object[]} records - Records with string lat/lon
+     */
+    rebuild(records) {
+        this.cells = new Map();
+        this.size = 0;
+        this.source = records;
+
+        let minRow = Infinity,
+            maxRow = -Infinity,
+            minCol = Infinity,
+            maxCol = -Infinity;
+
+        records.forEach((record) => {
+            const lat = parseFloat(record.lat);
+            const lon = parseFloat(record.lon);
+
+            if (isNaN(lat) || isNaN(lon)) {
+                return;
+            }
+
+            const row = this.toCell(lat);
+            const col = this.toCell(lon);
+            const key = `${row}:${col}`;
+
+            if (!this.cells.has(key)) {
+                this.cells.set(key, []);
+            }
+            this.cells.get(key).push({ record, lat, lon });
+            this.size++;
+
+            minRow = Math.min(minRow, row);
+            maxRow = Math.max(maxRow, row);
+            minCol = Math.min(minCol, col);
+            maxCol = Math.max(maxCol, col);
+        });
+
+        this.extent = this.size > 0 ? { minRow, maxRow, minCol, maxCol } : null;
+    }
+
+    /**
+     * Find every bay within a radius, closest first
+     * @returns {object[]} - [{ record, distance }]
+     */
+    withinRadius(lat, lon, radius) {
+        const dLat = radius / METERS_PER_DEGREE_LAT;
+        const dLon = radius / (METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180));
+        const results = [];
+
+        this.forEachCell(lat - dLat, lat + dLat, lon - dLon, lon + dLon, (entries) => {
+            entries.forEach((entry) => {
+                const distance = haversine(lat, lon, entry.lat, entry.lon);
+                if (distance <= radius) {
+                    results.push({ record: entry.record, distance });
+                }
+            });
+        });
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Find the k bays closest to a point
+     * Cells are visited in growing square rings around the point and the search stops once
+     * no unvisited cell can hold anything closer than the current k-th result.
+     * @param {number} k - Number of bays to return
+     * @param {object} options - { radius, filter(record) }
+     * @returns {object[]} - [{ record, distance }] sorted by distance
+     */
+    nearest(lat, lon, k, { radius = Infinity, filter = null } = {}) {
+        if (!this.extent || k <= 0) {
+            return [];
+        }
+
+        const centerRow = this.toCell(lat);
+        const centerCol = this.toCell(lon);
+        const cellMeters =
+            this.cellSize *
+            METERS_PER_DEGREE_LAT *
+            Math.min(1, Math.cos((lat * Math.PI) / 180));
+        const maxRing = Math.max(
+            Math.abs(centerRow - this.extent.minRow),
+            Math.abs(centerRow - this.extent.maxRow),
+            Math.abs(centerCol - this.extent.minCol),
+            Math.abs(centerCol - this.extent.maxCol)
+        );
+
+        let results = [];
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Anything in this ring or beyond is at least this far away
+            const ringDistance = (ring - 1) * cellMeters;
+            if (ringDistance > radius) {
+                break;
+            }
+            if (results.length >= k && ringDistance > results[k - 1].distance) {
+                break;
+            }
+
+            this.forEachRingCell(centerRow, centerCol, ring, (entries) => {
+                entries.forEach((entry) => {
+                    if (filter && !filter(entry.record)) {
+                        return;
+                    }
+                    const distance = haversine(lat, lon, entry.lat, entry.lon);
+                    if (distance <= radius) {
+                        results.push({ record: entry.record, distance });
+                    }
+                });
+            });
+
+            results.sort((a, b) => a.distance - b.distance);
+            if (results.length > k) {
+                results = results.slice(0, k);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Find every bay strictly inside a bounding box
+     * @param {object} bounds - { minLat, maxLat, minLon, maxLon }
+     * @returns {object[]} - Raw records
+     */
+    withinBounds({ minLat, maxLat, minLon, maxLon }) {
+        const results = [];
+
+        this.forEachCell(minLat, maxLat, minLon, maxLon, (entries) => {
+            entries.forEach((entry) => {
+                if (
+                    entry.lat > minLat &&
+                    entry.lat < maxLat &&
+                    entry.lon > minLon &&
+                    entry.lon < maxLon
+                ) {
+                    results.push(entry.record);
+                }
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * Visit every non-empty cell overlapping a lat/lon box
+     */
+    forEachCell(minLat, maxLat, minLon, maxLon, visit) {
+        if (!this.extent) {
+            return;
+        }
+
+        const minRow = Math.max(this.toCell(minLat), this.extent.minRow);
+        const maxRow = Math.min(this.toCell(maxLat), this.extent.maxRow);
+        const minCol = Math.max(this.toCell(minLon), this.extent.minCol);
+        const maxCol = Math.min(this.toCell(maxLon), this.extent.maxCol);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const entries = this.cells.get(`${row}:${col}`);
+                if (entries) {
+                    visit(entries);
+                }
+            }
+        }
+    }
+
+    /**
+     * Visit every non-empty cell on the square ring `ring` cells away from a center cell
+     */
+    forEachRingCell(centerRow, centerCol, ring, visit) {
+        for (let row = centerRow - ring; row <= centerRow + ring; row++) {
+            const onEdge = row === centerRow - ring || row === centerRow + ring;
+            const step = onEdge || ring === 0 ? 1 : 2 * ring;
+
+            for (let col = centerCol - ring; col <= centerCol + ring; col += step) {
+                const entries = this.cells.get(`${row}:${col}`);
+                if (entries) {
+                    visit(entries);
+                }
+            }
+        }
+    }
+
+    toCell(degrees) {
+        return Math.floor(degrees / this.cellSize);
+    }
+}
+
+module.exports = {
+    SpatialIndex,
+    haversine,
+};
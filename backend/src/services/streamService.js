@@ -0,0 +1,199 @@
+const eventFeed = require("./eventFeed");
+const parkingScraperService = require("./parkingScraperService");
+const areaService = require("./areaService");
+const { DataUnavailableError } = require("../utils/errors");
+const {
+    SSE_HEARTBEAT_INTERVAL,
+    SSE_RETRY_DELAY,
+    EVENT_BUFFER_SIZE,
+} = require("../config/constants");
+
+/**
+ * Server-Sent Events fan-out of bay status changes
+ * Each client has its own filter; a message is pushed to every client after each scrape,
+ * carrying only the changes that match the client's filter.
+ */
+class StreamService {
+    constructor() {
+        this.clients = new Set();
+        this.heartbeat = null;
+    }
+
+    /**
+     * Register an SSE client
+     * @param {object} res - Express response, headers not yet sent
+     * @param {object} filter - { area, zones, center, radius }
+     * @param {string|null} lastEventId - Cursor to resume from
+     */
+    addClient(res, filter, lastEventId) {
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        res.write(`retry: ${SSE_RETRY_DELAY}\n\n`);
+
+        const client = { res, filter };
+        this.clients.add(client);
+
+        if (lastEventId) {
+            this.replay(client, lastEventId);
+        }
+
+        res.on("close", () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+
+        this.startHeartbeat();
+    }
+
+    /**
+     * Send the events a resuming client missed while disconnected
+     * When those events cannot be replayed (the ID is from before a restart, unknown, or its
+     * events were evicted) the client gets a reset with the current state instead.
+     */
+    replay(client, lastEventId) {
+        const { events, nextCursor, truncated, reset } = eventFeed.getEventsSince(
+            lastEventId,
+            EVENT_BUFFER_SIZE
+        );
+
+        if (reset || truncated) {
+            this.sendReset(
+                client,
+                reset
+                    ? "Unknown event id, the server may have restarted"
+                    : "Events since the given id are no longer available"
+            );
+            return;
+        }
+
+        const changes = events.filter((event) => this.matches(client.filter, event));
+        if (changes.length > 0) {
+            this.send(client.res, "changes", nextCursor, {
+                replayed: true,
+                count: changes.length,
+                changes,
+            });
+        }
+    }
+
+    /**
+     * Send the bays matching the client's filter, which replace everything it holds
+     * spots is null while no parking data is available.
+     */
+    sendReset(client, reason) {
+        let snapshot = null;
+        try {
+            snapshot = parkingScraperService.getSnapshot();
+        } catch (error) {
+            if (!(error instanceof DataUnavailableError)) {
+                throw error;
+            }
+        }
+
+        const spots = snapshot
+            ? parkingScraperService
+                  .transformSpotData(snapshot.records)
+                  .filter((spot) => this.matches(client.filter, spot))
+            : null;
+
+        this.send(client.res, "reset", eventFeed.cursor(), {
+            reason,
+            version: snapshot ? snapshot.version : null,
+            scrapedAt: snapshot ? new Date(snapshot.scrapedAt).toISOString() : null,
+            count: spots ? spots.length : 0,
+            spots,
+        });
+    }
+
+    /**
+     * Push the result of a finished scrape to every client
+     * @param {object} update - { events, scrapedAt }
+     */
+    broadcast({ events, scrapedAt }) {
+        const id = eventFeed.cursor();
+
+        for (const client of this.clients) {
+            const changes = events.filter((event) => this.matches(client.filter, event));
+            this.send(client.res, "changes", id, {
+                scrapedAt: new Date(scrapedAt).toISOString(),
+                count: changes.length,
+                changes,
+            });
+        }
+    }
+
+    /**
+     * Check an event or a transformed spot against a client filter
+     */
+    matches(filter, event) {
+        const { lat, lon } = event.location;
+
+        if (filter.zones && !filter.zones.includes(String(event.zoneNumber))) {
+            return false;
+        }
+
+        if (filter.area && !areaService.contains(filter.area, lat, lon)) {
+            return false;
+        }
+
+        if (filter.center) {
+            const distance = parkingScraperService.calculateDistance(
+                filter.center.lat,
+                filter.center.lon,
+                lat,
+                lon
+            );
+            if (distance > filter.radius) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Write a single SSE message
+     */
+    send(res, event, id, data) {
+        res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) {
+            return;
+        }
+
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(": heartbeat\n\n");
+            }
+        }, SSE_HEARTBEAT_INTERVAL);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    /**
+     * Close every open stream - call on app shutdown
+     */
+    closeAll() {
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+        this.stopHeartbeat();
+    }
+}
+
+module.exports = new StreamService();
@@ -0,0 +1,133 @@
+const BREAKER_STATES = {
+    CLOSED: "closed",
+    OPEN: "open",
+    HALF_OPEN: "half-open",
+};
+
+/**
+ * Circuit breaker with exponential backoff between consecutive failures
+ * - closed: attempts run; after a failure the next one waits baseDelay * 2^(failures - 1),
+ *   capped at maxDelay and spread by ±jitter
+ * - open: after failureThreshold consecutive failures no attempt runs for resetTimeout
+ * - half-open: one probe runs; success closes the breaker, failure opens it again
+ * Time comes from Date.now(), so jest fake timers drive it.
+ */
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 10 * 60 * 1000;
+        this.baseDelay = options.baseDelay || 30 * 1000;
+        this.maxDelay = options.maxDelay || 10 * 60 * 1000;
+        this.jitter = options.jitter === undefined ? 0.2 : options.jitter;
+        this.random = options.random || Math.random;
+        this.onStateChange = options.onStateChange || null;
+
+        this.state = BREAKER_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        this.lastFailureAt = null;
+        this.lastSuccessAt = null;
+    }
+
+    transition(state) {
+        if (this.state === state) {
+            return;
+        }
+
+        const from = this.state;
+        this.state = state;
+
+        if (this.onStateChange) {
+            this.onStateChange(from, state);
+        }
+    }
+
+    /**
+     * Backoff before the attempt following the given number of consecutive failures
+     */
+    backoffDelay(failures) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (failures - 1));
+        const spread = 1 - this.jitter + this.random() * 2 * this.jitter;
+        return Math.round(Math.min(this.maxDelay, exponential * spread));
+    }
+
+    /**
+     * Whether an attempt may run now; moves an expired open breaker to half-open
+     */
+    canAttempt(now = Date.now()) {
+        if (this.state === BREAKER_STATES.OPEN) {
+            if (now - this.openedAt < this.resetTimeout) {
+                return false;
+            }
+
+            this.transition(BREAKER_STATES.HALF_OPEN);
+            return true;
+        }
+
+        if (this.state === BREAKER_STATES.HALF_OPEN) {
+            return true;
+        }
+
+        return this.nextAttemptAt === null || now >= this.nextAttemptAt;
+    }
+
+    /**
+     * Milliseconds until canAttempt() will allow the next attempt
+     */
+    delayUntilNextAttempt(now = Date.now()) {
+        if (this.state === BREAKER_STATES.OPEN) {
+            return Math.max(0, this.openedAt + this.resetTimeout - now);
+        }
+
+        if (this.state === BREAKER_STATES.HALF_OPEN || this.nextAttemptAt === null) {
+            return 0;
+        }
+
+        return Math.max(0, this.nextAttemptAt - now);
+    }
+
+    recordSuccess(now = Date.now()) {
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        this.lastSuccessAt = now;
+        this.transition(BREAKER_STATES.CLOSED);
+    }
+
+    recordFailure(now = Date.now()) {
+        this.consecutiveFailures++;
+        this.lastFailureAt = now;
+
+        if (
+            this.state === BREAKER_STATES.HALF_OPEN ||
+            this.consecutiveFailures >= this.failureThreshold
+        ) {
+            this.openedAt = now;
+            this.nextAttemptAt = now + this.resetTimeout;
+            this.transition(BREAKER_STATES.OPEN);
+            return;
+        }
+
+        this.nextAttemptAt = now + this.backoffDelay(this.consecutiveFailures);
+    }
+
+    getState() {
+        const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: toIso(this.openedAt),
+            nextAttemptAt: toIso(this.nextAttemptAt),
+            lastFailureAt: toIso(this.lastFailureAt),
+            lastSuccessAt: toIso(this.lastSuccessAt),
+        };
+    }
+}
+
+module.exports = {
+    BREAKER_STATES,
+    CircuitBreaker,
+};
@@ -0,0 +1,102 @@
+/**
+ * Error types understood by the errorHandler middleware
+ */
+
+/**
+ * Invalid client input, reported as a 400 with per-field errors
+ */
+class ValidationError extends Error {
+    /**
+     * @param {object[]} errors - [{ field, message }]
+     * @param {string} message
+     */
+    constructor(errors, message = "Validation error") {
+        super(message);
+        this.name = "ValidationError";
+        this.statusCode = 400;
+        this.errors = errors;
+    }
+}
+
+/**
+ * No trustworthy data to serve, reported as a 503
+ */
+class DataUnavailableError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} retryAfter - Seconds until a retry may succeed
+     */
+    constructor(message, retryAfter = null) {
+        super(message);
+        this.name = "DataUnavailableError";
+        this.statusCode = 503;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * The scraped table no longer has the columns the scraper maps
+ */
+class SchemaDriftError extends Error {
+    /**
+     * @param {string[]} missing - Mapped fields whose column was not found
+     * @param {string[]} headers - Headers present on the page
+     */
+    constructor(missing, headers) {
+        super(
+            `Schema drift: missing columns for ${missing.join(", ")} ` +
+                `(page headers: ${headers.filter(Boolean).join(", ") || "none"})`
+        );
+        this.name = "SchemaDriftError";
+        this.statusCode = 502;
+        this.missing = missing;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Missing or unknown API key, reported as a 401
+ */
+class AuthenticationError extends Error {
+    constructor(message = "Authentication required") {
+        super(message);
+        this.name = "AuthenticationError";
+        this.statusCode = 401;
+    }
+}
+
+/**
+ * Valid API key without the needed permission, reported as a 403
+ */
+class ForbiddenError extends Error {
+    constructor(message = "Forbidden") {
+        super(message);
+        this.name = "ForbiddenError";
+        this.statusCode = 403;
+    }
+}
+
+/**
+ * Rate limit or quota exhausted, reported as a 429
+ */
+class RateLimitError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} retryAfter - Seconds until a request may be accepted
+     */
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = "RateLimitError";
+        this.statusCode = 429;
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    DataUnavailableError,
+    SchemaDriftError,
+    AuthenticationError,
+    ForbiddenError,
+    RateLimitError,
+};
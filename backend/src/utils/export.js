@@ -0,0 +1,104 @@
+/**
+ * Export columns in output order, flattened from transformSingleSpot
+ * Add new fields at the end so existing spreadsheets keep working.
+ */
+const EXPORT_COLUMNS = [
+    { header: "bayId", value: (spot) => spot.bayId },
+    { header: "status", value: (spot) => spot.status },
+    { header: "isAvailable", value: (spot) => spot.isAvailable },
+    { header: "lat", value: (spot) => spot.location.lat },
+    { header: "lon", value: (spot) => spot.location.lon },
+    { header: "lastUpdated", value: (spot) => spot.lastUpdated },
+    { header: "streetMarker", value: (spot) => spot.streetMarker },
+    { header: "zoneNumber", value: (spot) => spot.zoneNumber },
+    { header: "statusTimestamp", value: (spot) => spot.statusTimestamp },
+    { header: "restriction", value: (spot) => spot.restriction && spot.restriction.display },
+    {
+        header: "timeLimitMinutes",
+        value: (spot) => spot.restriction && spot.restriction.timeLimitMinutes,
+    },
+    { header: "paid", value: (spot) => spot.restriction && spot.restriction.paid },
+    { header: "loadingZone", value: (spot) => spot.restriction && spot.restriction.loadingZone },
+    { header: "disabled", value: (spot) => spot.restriction && spot.restriction.disabled },
+    {
+        header: "maxStayMinutes",
+        value: (spot) => spot.restriction && spot.restriction.maxStayMinutes,
+    },
+    { header: "sensorHealth", value: (spot) => spot.sensorHealth },
+];
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: () => EXPORT_COLUMNS.map((column) => column.header).join(",") + "\n",
+        row: (spot) =>
+            EXPORT_COLUMNS.map((column) => toCsvValue(column.value(spot))).join(",") + "\n",
+    },
+    ndjson: {
+        contentType: "application/x-ndjson; charset=utf-8",
+        extension: "ndjson",
+        header: () => "",
+        row: (spot) => JSON.stringify(spot) + "\n",
+    },
+};
+
+/**
+ * Escape a value for a CSV cell
+ */
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the download filename from the scrape time
+ */
+const exportFilename = (format, scrapeTime) => {
+    const stamp = new Date(scrapeTime || Date.now()).toISOString().replace(/[:.]/g, "-");
+    return `melbourne-parking-${stamp}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Stream spots to the response, one row at a time, honouring backpressure
+ * @param {object} res - Express response
+ * @param {object[]} records - Raw records
+ * @param {function} transform - Raw record to spot
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+const streamExport = async (res, records, transform, format) => {
+    const writer = EXPORT_FORMATS[format];
+
+    res.write(writer.header());
+
+    for (const record of records) {
+        if (res.destroyed) {
+            return;
+        }
+
+        if (!res.write(writer.row(transform(record)))) {
+            await new Promise((resolve) => {
+                const done = () => {
+                    res.off("drain", done);
+                    res.off("close", done);
+                    resolve();
+                };
+                res.on("drain", done);
+                res.on("close", done);
+            });
+        }
+    }
+
+    res.end();
+};
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    exportFilename,
+    streamExport,
+};
@@ -0,0 +1,62 @@
+const GEOJSON_MEDIA_TYPE = "application/geo+json";
+
+/**
+ * Check whether the client asked for GeoJSON
+ * `?format=geojson` wins over the Accept header, `?format=json` forces plain JSON.
+ * Without a format the answer depends on Accept, so the response gets `Vary: Accept`.
+ */
+const wantsGeoJSON = (req) => {
+    const { format } = req.query;
+
+    // A repeated ?format= arrives as an array and never asks for GeoJSON
+    if (format) {
+        return typeof format === "string" && format.toLowerCase() === "geojson";
+    }
+
+    req.res.vary("Accept");
+    return req.accepts(["application/json", GEOJSON_MEDIA_TYPE]) === GEOJSON_MEDIA_TYPE;
+};
+
+/**
+ * Convert a transformed spot into a Point Feature
+ * @param {object} spot - Output of transformSingleSpot
+ */
+const toFeature = (spot) => {
+    const { location, ...properties } = spot;
+
+    return {
+        type: "Feature",
+        id: spot.bayId,
+        geometry: {
+            type: "Point",
+            coordinates: [location.lon, location.lat],
+        },
+        properties,
+    };
+};
+
+/**
+ * Convert transformed spots into a FeatureCollection
+ * @param {object[]} spots - Output of transformSpotData
+ * @param {object} members - Foreign members such as count and lastUpdated
+ */
+const toFeatureCollection = (spots, members = {}) => ({
+    type: "FeatureCollection",
+    ...members,
+    features: spots.map(toFeature),
+});
+
+/**
+ * Send spots as a GeoJSON FeatureCollection
+ */
+const sendFeatureCollection = (res, spots, members) => {
+    res.type(GEOJSON_MEDIA_TYPE).json(toFeatureCollection(spots, members));
+};
+
+module.exports = {
+    GEOJSON_MEDIA_TYPE,
+    wantsGeoJSON,
+    toFeature,
+    toFeatureCollection,
+    sendFeatureCollection,
+};
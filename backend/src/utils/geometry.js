@@ -0,0 +1,277 @@
+/**
+ * Geometry helpers for GeoJSON Polygon and MultiPolygon area queries
+ * Coordinates follow GeoJSON order: [lon, lat].
+ */
+
+const POLYGON_TYPES = ["Polygon", "MultiPolygon"];
+
+/**
+ * Check that a position is a [lon, lat] pair within valid ranges
+ */
+const isValidPosition = (position) =>
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    typeof position[0] === "number" &&
+    typeof position[1] === "number" &&
+    position[0] >= -180 &&
+    position[0] <= 180 &&
+    position[1] >= -90 &&
+    position[1] <= 90;
+
+/**
+ * Check a linear ring: at least 4 positions, closed
+ */
+const ringError = (ring) => {
+    if (!Array.isArray(ring) || ring.length < 4) {
+        return "Each ring must have at least 4 positions";
+    }
+    if (!ring.every(isValidPosition)) {
+        return "Positions must be [lon, lat] numbers within valid ranges";
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        return "Rings must be closed (first and last positions equal)";
+    }
+
+    return null;
+};
+
+const polygonError = (rings) => {
+    if (!Array.isArray(rings) || rings.length === 0) {
+        return "A polygon needs at least one ring";
+    }
+
+    for (const ring of rings) {
+        const error = ringError(ring);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Validate a Polygon or MultiPolygon geometry
+ * @returns {string|null} - Error message, or null when the geometry is valid
+ */
+const validatePolygonGeometry = (geometry) => {
+    if (!geometry || !POLYGON_TYPES.includes(geometry.type)) {
+        return "Geometry must be a GeoJSON Polygon or MultiPolygon";
+    }
+
+    if (geometry.type === "Polygon") {
+        return polygonError(geometry.coordinates);
+    }
+
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        return "A MultiPolygon needs at least one polygon";
+    }
+
+    for (const polygon of geometry.coordinates) {
+        const error = polygonError(polygon);
+        if (error) {
+            return error;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Polygons of a geometry as arrays of rings
+ */
+const toPolygons = (geometry) =>
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+/**
+ * Bounding box of a geometry in the { minLat, maxLat, minLon, maxLon } shape used by areas
+ */
+const geometryBounds = (geometry) => {
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+
+    toPolygons(geometry).forEach((rings) => {
+        // Holes lie inside the outer ring, so it alone defines the extent
+        rings[0].forEach(([lon, lat]) => {
+            bounds.minLat = Math.min(bounds.minLat, lat);
+            bounds.maxLat = Math.max(bounds.maxLat, lat);
+            bounds.minLon = Math.min(bounds.minLon, lon);
+            bounds.maxLon = Math.max(bounds.maxLon, lon);
+        });
+    });
+
+    return bounds;
+};
+
+/**
+ * Ray casting test of a point against one ring
+ */
+const pointInRing = (lon, lat, ring) => {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+};
+
+/**
+ * Whether a point lies inside a Polygon or MultiPolygon, holes excluded
+ */
+const pointInGeometry = (lon, lat, geometry) =>
+    toPolygons(geometry).some(
+        ([outer, ...holes]) =>
+            pointInRing(lon, lat, outer) && !holes.some((hole) => pointInRing(lon, lat, hole))
+    );
+
+/**
+ * Polygon of a { minLat, maxLat, minLon, maxLon } box
+ */
+const boundsToGeometry = ({ minLat, maxLat, minLon, maxLon }) => ({
+    type: "Polygon",
+    coordinates: [
+        [
+            [minLon, minLat],
+            [maxLon, minLat],
+            [maxLon, maxLat],
+            [minLon, maxLat],
+            [minLon, minLat],
+        ],
+    ],
+});
+
+// Tolerance of the collinearity tests, far below the precision of a coordinate
+const EPSILON = 1e-12;
+
+const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const minus = (a, b) => [a[0] - b[0], a[1] - b[1]];
+
+/**
+ * Edges of every ring of a polygon, as [start, end] positions
+ */
+const polygonEdges = (rings) =>
+    rings.flatMap((ring) => ring.slice(1).map((position, i) => [ring[i], position]));
+
+/**
+ * Whether a point lies on an edge
+ */
+const onEdge = (point, [start, end]) => {
+    const direction = minus(end, start);
+    const offset = minus(point, start);
+
+    return (
+        Math.abs(cross(direction, offset)) <= EPSILON &&
+        dot(offset, direction) >= -EPSILON &&
+        dot(offset, direction) <= dot(direction, direction) + EPSILON
+    );
+};
+
+/**
+ * Whether a point lies inside a polygon, not on its boundary
+ */
+const strictlyInPolygon = (point, rings) =>
+    !polygonEdges(rings).some((edge) => onEdge(point, edge)) &&
+    pointInGeometry(point[0], point[1], { type: "Polygon", coordinates: rings });
+
+/**
+ * Positions (0 to 1) along an edge where another edge crosses or touches it
+ */
+const contactsAlong = ([start, end], [otherStart, otherEnd]) => {
+    const direction = minus(end, start);
+    const otherDirection = minus(otherEnd, otherStart);
+    const offset = minus(otherStart, start);
+    const denominator = cross(direction, otherDirection);
+
+    if (Math.abs(denominator) > EPSILON) {
+        const t = cross(offset, otherDirection) / denominator;
+        const u = cross(offset, direction) / denominator;
+        return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? [t] : [];
+    }
+
+    // Parallel: only collinear edges meet, where their ends overlap the edge
+    if (Math.abs(cross(offset, direction)) > EPSILON) {
+        return [];
+    }
+    const length = dot(direction, direction);
+    return [otherStart, otherEnd]
+        .map((position) => dot(minus(position, start), direction) / length)
+        .filter((t) => t >= 0 && t <= 1);
+};
+
+/**
+ * Whether part of an edge runs through the inside of a polygon: the edge is cut where it
+ * meets the polygon's boundary, and each piece lies either inside or outside
+ */
+const edgeEntersPolygon = (edge, rings) => {
+    const [start, end] = edge;
+    const cuts = [0, 1, ...polygonEdges(rings).flatMap((other) => contactsAlong(edge, other))];
+    cuts.sort((a, b) => a - b);
+
+    return cuts.slice(1).some((t, i) => {
+        const middle = (cuts[i] + t) / 2;
+        return (
+            t - cuts[i] > EPSILON &&
+            strictlyInPolygon(
+                [start[0] + (end[0] - start[0]) * middle, start[1] + (end[1] - start[1]) * middle],
+                rings
+            )
+        );
+    });
+};
+
+/**
+ * A point inside a polygon: the middle of the first inside stretch of a horizontal line
+ * through the middle of its extent
+ */
+const interiorPoint = (rings) => {
+    const lats = rings[0].map(([, lat]) => lat);
+    const lat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const crossings = polygonEdges(rings)
+        .filter(([start, end]) => start[1] > lat !== end[1] > lat)
+        .map(
+            ([start, end]) =>
+                start[0] + ((lat - start[1]) * (end[0] - start[0])) / (end[1] - start[1])
+        )
+        .sort((a, b) => a - b);
+
+    return crossings.length >= 2 ? [(crossings[0] + crossings[1]) / 2, lat] : null;
+};
+
+const polygonsOverlap = (first, second) => {
+    if (polygonEdges(first).some((edge) => edgeEntersPolygon(edge, second))) {
+        return true;
+    }
+    if (polygonEdges(second).some((edge) => edgeEntersPolygon(edge, first))) {
+        return true;
+    }
+
+    // Neither boundary runs through the other polygon: they are apart, or the same shape
+    const point = interiorPoint(first);
+    return point !== null && strictlyInPolygon(point, second);
+};
+
+/**
+ * Whether two Polygon or MultiPolygon geometries overlap
+ * Shapes that only share edges or corners, like neighbouring areas, do not overlap.
+ */
+const geometriesOverlap = (first, second) =>
+    toPolygons(first).some((a) => toPolygons(second).some((b) => polygonsOverlap(a, b)));
+
+module.exports = {
+    POLYGON_TYPES,
+    isValidPosition,
+    validatePolygonGeometry,
+    geometryBounds,
+    pointInGeometry,
+    boundsToGeometry,
+    geometriesOverlap,
+};
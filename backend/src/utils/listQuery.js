@@ -0,0 +1,214 @@
+const { DEFAULT_LIMIT, MAX_RESULTS_PER_PAGE } = require("../config/constants");
+
+// Fields a client can project with ?fields=, the keys of transformSingleSpot plus distance
+const PROJECTABLE_FIELDS = [
+    "bayId",
+    "status",
+    "isAvailable",
+    "location",
+    "lastUpdated",
+    "streetMarker",
+    "zoneNumber",
+    "statusTimestamp",
+    "restriction",
+    "sensorHealth",
+    "distance",
+];
+
+const compareText = (a, b) =>
+    String(a ?? "").localeCompare(String(b ?? ""), undefined, { numeric: true });
+
+const toTime = (value) => {
+    const time = Date.parse(value);
+    return isNaN(time) ? -Infinity : time;
+};
+
+// Sortable fields of a transformed spot
+const SORT_FIELDS = {
+    bayId: (a, b) => compareText(a.bayId, b.bayId),
+    zoneNumber: (a, b) => compareText(a.zoneNumber, b.zoneNumber),
+    lastUpdated: (a, b) => toTime(a.lastUpdated) - toTime(b.lastUpdated),
+    distance: (a, b) => a.distance - b.distance,
+};
+
+// Cursors carry the snapshot version, as offsets only hold within one snapshot
+const encodeCursor = (offset, version) =>
+    Buffer.from(JSON.stringify({ o: offset, v: version })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        const { o, v } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        return Number.isInteger(o) && o >= 0 && Number.isInteger(v)
+            ? { offset: o, version: v }
+            : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parse a comma separated ?fields= projection
+ * @returns {object} - { fields } (null when absent) or { error }
+ */
+const parseFields = (value) => {
+    if (!value) {
+        return { fields: null };
+    }
+    // A repeated ?fields= arrives as an array
+    if (typeof value !== "string") {
+        return { error: "Fields must be given once, as a comma separated list" };
+    }
+
+    const fields = value
+        .split(",")
+        .map((field) => field.trim())
+        .filter(Boolean);
+    const unknown = fields.filter((field) => !PROJECTABLE_FIELDS.includes(field));
+
+    if (unknown.length > 0) {
+        return { error: `Unknown fields: ${unknown.join(", ")}` };
+    }
+
+    return { fields };
+};
+
+/**
+ * Parse pagination, sorting and projection parameters
+ * ?limit=N&cursor=C&sort=field|-field&fields=a,b,c
+ * Paging is opt-in: without limit or cursor the whole list is returned.
+ * @param {object} query - req.query
+ * @param {object} options - { allowDistance: whether results carry a distance }
+ * @returns {object} - { limit, offset, version, sort, fields } or { error }; limit is null
+ *                     when unpaginated, version is the cursor's snapshot version
+ */
+const parseListQuery = (query, { allowDistance = false } = {}) => {
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+    } else if (query.cursor) {
+        limit = DEFAULT_LIMIT;
+    }
+
+    if (limit !== null && (isNaN(limit) || limit < 1 || limit > MAX_RESULTS_PER_PAGE)) {
+        return { error: `Limit must be between 1 and ${MAX_RESULTS_PER_PAGE}` };
+    }
+
+    let offset = 0;
+    let version = null;
+    if (query.cursor) {
+        const position = decodeCursor(query.cursor);
+        if (position === null) {
+            return { error: "Invalid cursor" };
+        }
+        ({ offset, version } = position);
+    }
+
+    let sort = null;
+    if (query.sort) {
+        const value = typeof query.sort === "string" ? query.sort : "";
+        const descending = value.startsWith("-");
+        const field = descending ? value.slice(1) : value;
+        const allowed = Object.keys(SORT_FIELDS).filter(
+            (name) => allowDistance || name !== "distance"
+        );
+
+        // A repeated ?sort= is not a string and matches no field
+        if (!allowed.includes(field)) {
+            return {
+                error: `Sort must be one of: ${allowed.join(", ")} (prefix - for descending)`,
+            };
+        }
+
+        sort = { field, descending };
+    }
+
+    const { fields, error } = parseFields(query.fields);
+    if (error) {
+        return { error };
+    }
+
+    return { limit, offset, version, sort, fields };
+};
+
+/**
+ * Sort transformed spots in place, ties broken by bay id so pages are stable
+ */
+const sortSpots = (spots, sort) => {
+    if (!sort) {
+        return spots;
+    }
+
+    const compare = SORT_FIELDS[sort.field];
+    const direction = sort.descending ? -1 : 1;
+
+    return spots.sort((a, b) => direction * compare(a, b) || SORT_FIELDS.bayId(a, b));
+};
+
+/**
+ * Keep only the requested fields of a spot
+ * @param {string[]} keep - Fields kept regardless, e.g. location for GeoJSON geometry
+ */
+const projectSpot = (spot, fields, keep = []) => {
+    if (!fields) {
+        return spot;
+    }
+
+    return Object.fromEntries(
+        Object.entries(spot).filter(([key]) => fields.includes(key) || keep.includes(key))
+    );
+};
+
+/**
+ * Build the absolute URL of the next page
+ */
+const nextPageUrl = (req, cursor) => {
+    const params = new URLSearchParams(req.query);
+    params.set("cursor", cursor);
+    return `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}?${params}`;
+};
+
+/**
+ * Whether a cursor was issued for another snapshot than the one being served
+ * @param {object} list - Output of parseListQuery
+ * @param {number} version - Version of the snapshot the spots come from
+ */
+const isStaleCursor = (list, version) => list.version !== null && list.version !== version;
+
+/**
+ * Slice a page out of sorted results
+ * @param {object[]} spots - Sorted spots from the start of the list; may stop early as long
+ *                           as it holds one more item than the page end when more exist
+ * @param {object} list - Output of parseListQuery
+ * @param {object} req - Express request, for the next link
+ * @param {object} options - { version: snapshot version of the spots, total: number of
+ *                           matching spots when known }
+ * @returns {object} - { items, pagination }
+ */
+const paginate = (spots, list, req, { version, total = spots.length }) => {
+    const end = list.limit === null ? spots.length : list.offset + list.limit;
+    const items = spots.slice(list.offset, end);
+    const nextCursor = spots.length > end ? encodeCursor(end, version) : null;
+
+    return {
+        items,
+        pagination: {
+            limit: list.limit,
+            offset: list.offset,
+            returned: items.length,
+            total,
+            nextCursor,
+            next: nextCursor ? nextPageUrl(req, nextCursor) : null,
+        },
+    };
+};
+
+module.exports = {
+    PROJECTABLE_FIELDS,
+    SORT_FIELDS,
+    parseFields,
+    parseListQuery,
+    sortSpots,
+    projectSpot,
+    isStaleCursor,
+    paginate,
+};
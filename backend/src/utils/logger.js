@@ -0,0 +1,141 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVEL, LOG_LEVELS } = require("../config/constants");
+
+// Lower is more severe; a logger writes lines at or below its level
+const LEVELS = {
+    silent: -1,
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3,
+};
+
+// Fields (requestId, scrapeId) added to every line logged within runWithContext
+const context = new AsyncLocalStorage();
+
+/**
+ * Parse "module=level,module=level" into a map
+ * @throws {Error} - On an unknown level
+ */
+const parseModuleLevels = (text) => {
+    const levels = new Map();
+
+    text.split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .forEach((entry) => {
+            const [module, level] = entry.split("=").map((part) => part && part.trim());
+            if (!module || !(level in LEVELS)) {
+                throw new Error(`Invalid LOG_LEVELS entry "${entry}" (use module=level)`);
+            }
+            levels.set(module, level);
+        });
+
+    return levels;
+};
+
+const settings = {
+    level: "info",
+    modules: new Map(),
+};
+
+/**
+ * Change the default level and the per-module levels
+ * @param {object} options - { level, modules: "module=level,..." | Map }
+ */
+const configure = ({ level = settings.level, modules = settings.modules } = {}) => {
+    if (!(level in LEVELS)) {
+        throw new Error(`Invalid log level "${level}"`);
+    }
+    settings.level = level;
+    settings.modules = typeof modules === "string" ? parseModuleLevels(modules) : modules;
+};
+
+/**
+ * Level of a module: its own setting, else its closest parent's ("scraper" for
+ * "scraper.puppeteer"), else the default
+ */
+const levelOf = (module) => {
+    for (let name = module; name; name = name.slice(0, Math.max(name.lastIndexOf("."), 0))) {
+        if (settings.modules.has(name)) {
+            return settings.modules.get(name);
+        }
+    }
+    return settings.level;
+};
+
+const serialize = (value) =>
+    value instanceof Error
+        ? { name: value.name, message: value.message, stack: value.stack }
+        : value;
+
+/**
+ * Logger for one module, writing one JSON object per line:
+ * { time, level, module, msg, ...context, ...fields }
+ */
+class Logger {
+    constructor(module, fields = {}) {
+        this.module = module;
+        this.fields = fields;
+    }
+
+    /**
+     * Logger adding fixed fields to every line, e.g. { requestId }
+     */
+    child(fields) {
+        return new Logger(this.module, { ...this.fields, ...fields });
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] <= LEVELS[levelOf(this.module)];
+    }
+
+    write(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const line = {
+            time: new Date().toISOString(),
+            level,
+            module: this.module,
+            msg,
+            ...context.getStore(),
+            ...this.fields,
+        };
+        Object.entries(fields).forEach(([name, value]) => {
+            line[name] = serialize(value);
+        });
+
+        process.stdout.write(JSON.stringify(line) + "\n");
+    }
+
+    error(msg, fields) {
+        this.write("error", msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write("warn", msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write("info", msg, fields);
+    }
+
+    debug(msg, fields) {
+        this.write("debug", msg, fields);
+    }
+}
+
+configure({ level: LOG_LEVEL, modules: LOG_LEVELS });
+
+const createLogger = (module) => new Logger(module);
+
+/**
+ * Run fn with fields added to every line logged during it, including from async work it
+ * starts. The fields replace any outer context: a scrape started from a request logs its
+ * scrapeId, not the requestId.
+ */
+const runWithContext = (fields, fn) => context.run(fields, fn);
+
+module.exports = { createLogger, runWithContext, configure, LEVELS };
@@ -0,0 +1,163 @@
+/**
+ * Minimal Prometheus metrics in the text exposition format (version 0.0.4)
+ * Series are keyed by their label values; labels are given as objects.
+ */
+
+const escapeLabel = (value) =>
+    String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return "";
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    if (value === -Infinity) {
+        return "-Inf";
+    }
+    return String(value);
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * Labels in declared order, so the same label set always maps to the same series
+     */
+    labelsOf(labels = {}) {
+        return Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? ""]));
+    }
+
+    seriesFor(labels, create) {
+        const ordered = this.labelsOf(labels);
+        const key = JSON.stringify(ordered);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: ordered, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...Array.from(this.series.values()).map(
+                ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+            ),
+        ];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super("counter", name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    /**
+     * Mirror a count kept elsewhere (e.g. cacheService stats)
+     */
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super("gauge", name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {number[]} buckets - Upper bounds, ascending; +Inf is added
+     */
+    constructor(name, help, labelNames, buckets) {
+        super("histogram", name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+        }));
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = this.header();
+
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(
+                    `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${
+                        counts[index]
+                    }`
+                );
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+
+        return lines;
+    }
+}
+
+/**
+ * A set of metrics rendered together
+ */
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map((metric) => metric.render().join("\n")).join("\n") + "\n";
+    }
+}
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+module.exports = { Counter, Gauge, Histogram, Registry, CONTENT_TYPE };
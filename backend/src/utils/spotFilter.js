@@ -0,0 +1,216 @@
+const restrictionService = require("../services/restrictionService");
+const sensorHealthService = require("../services/sensorHealthService");
+const { ValidationError } = require("./errors");
+const { PARKING_STATUS, SENSOR_HEALTH } = require("../config/constants");
+
+const STATUS_VALUES = {
+    available: PARKING_STATUS.UNOCCUPIED,
+    occupied: PARKING_STATUS.PRESENT,
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const RELATIVE_INSTANT = /^(\d+)([smhd])$/;
+
+// Filters checked against the time of the request: restrictions in force and sensor health
+const CLOCK_FILTERS = ["paid", "loadingZone", "disabled", "minTimeLimit", "sensorHealth"];
+
+/**
+ * Parse an instant given as an ISO date or as a duration ago ("10m", "2h", "1d")
+ * @returns {number|null} - Epoch milliseconds, or null when unparseable
+ */
+const parseInstant = (value, now) => {
+    const relative = RELATIVE_INSTANT.exec(value);
+    if (relative) {
+        return now - parseInt(relative[1]) * DURATION_UNITS[relative[2]];
+    }
+
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+};
+
+const parseBoolean = (value) => (value === "true" ? true : value === "false" ? false : null);
+
+/**
+ * Parse ?bbox=minLon,minLat,maxLon,maxLat
+ * @returns {object|null} - { minLon, minLat, maxLon, maxLat }, or null when invalid
+ */
+const parseBbox = (value) => {
+    const [minLon, minLat, maxLon, maxLat] = String(value).split(",").map(parseFloat);
+
+    if ([minLon, minLat, maxLon, maxLat].some(isNaN) || minLon >= maxLon || minLat >= maxLat) {
+        return null;
+    }
+
+    return { minLon, minLat, maxLon, maxLat };
+};
+
+/**
+ * Build a predicate over raw records from filter query parameters
+ * ?status=available|occupied&zone=N,M&updatedSince=10m&updatedBefore=ISO
+ * &paid=true&loadingZone=false&disabled=false&minTimeLimit=MIN&bbox=minLon,minLat,maxLon,maxLat
+ * &sensorHealth=healthy|stale,stuck
+ *
+ * Restriction filters only match bays whose zone has known sign plates.
+ * sensorHealth=healthy leaves unreliable sensors out of results and availability counts.
+ * @param {object} query - req.query
+ * @returns {Function|null} - (record) => boolean, or null when no filter was given
+ * @throws {ValidationError} - With one entry per invalid parameter
+ */
+const parseSpotFilter = (query, now = Date.now()) => {
+    const errors = [];
+    const checks = [];
+
+    if (query.status !== undefined) {
+        const status = STATUS_VALUES[String(query.status).toLowerCase()];
+
+        if (status) {
+            checks.push((record) => record.status === status);
+        } else {
+            errors.push({
+                field: "status",
+                message: `Status must be one of: ${Object.keys(STATUS_VALUES).join(", ")}`,
+            });
+        }
+    }
+
+    if (query.zone !== undefined) {
+        const zones = String(query.zone)
+            .split(",")
+            .map((zone) => zone.trim())
+            .filter(Boolean);
+
+        if (zones.length > 0) {
+            checks.push((record) => zones.includes(String(record.zone_number)));
+        } else {
+            errors.push({ field: "zone", message: "Zone must be a zone number or a list of them" });
+        }
+    }
+
+    ["updatedSince", "updatedBefore"].forEach((field) => {
+        if (query[field] === undefined) {
+            return;
+        }
+
+        const time = parseInstant(String(query[field]), now);
+
+        if (time === null) {
+            errors.push({
+                field,
+                message: `${field} must be an ISO date or a duration such as 10m, 2h or 1d`,
+            });
+        } else if (field === "updatedSince") {
+            checks.push((record) => Date.parse(record.lastupdated) >= time);
+        } else {
+            checks.push((record) => Date.parse(record.lastupdated) < time);
+        }
+    });
+
+    const restrictionChecks = [];
+
+    ["paid", "loadingZone", "disabled"].forEach((field) => {
+        if (query[field] === undefined) {
+            return;
+        }
+
+        const expected = parseBoolean(query[field]);
+
+        if (expected === null) {
+            errors.push({ field, message: `${field} must be true or false` });
+        } else {
+            restrictionChecks.push((restriction) => restriction[field] === expected);
+        }
+    });
+
+    if (query.minTimeLimit !== undefined) {
+        const minutes = parseInt(query.minTimeLimit);
+
+        if (isNaN(minutes) || minutes < 1) {
+            errors.push({
+                field: "minTimeLimit",
+                message: "minTimeLimit must be a positive number of minutes",
+            });
+        } else {
+            // Unlimited stays (no active time limit) satisfy any minimum
+            restrictionChecks.push(
+                ({ timeLimitMinutes }) => timeLimitMinutes === null || timeLimitMinutes >= minutes
+            );
+        }
+    }
+
+    if (restrictionChecks.length > 0) {
+        if (restrictionService.getStats().zones === 0) {
+            errors.push({
+                field: "restriction",
+                message: "Restriction data is not loaded, restriction filters are unavailable",
+            });
+        } else {
+            const clock = restrictionService.clockAt(new Date(now));
+            checks.push((record) => {
+                const restriction = restrictionService.describe(record.zone_number, clock);
+                return (
+                    Boolean(restriction) && restrictionChecks.every((check) => check(restriction))
+                );
+            });
+        }
+    }
+
+    if (query.sensorHealth !== undefined) {
+        const wanted = String(query.sensorHealth)
+            .split(",")
+            .map((health) => health.trim().toLowerCase());
+        const known = Object.values(SENSOR_HEALTH);
+
+        if (wanted.every((health) => known.includes(health))) {
+            checks.push((record) => wanted.includes(sensorHealthService.classify(record, now)));
+        } else {
+            errors.push({
+                field: "sensorHealth",
+                message: `sensorHealth must be a list of: ${known.join(", ")}`,
+            });
+        }
+    }
+
+    if (query.bbox !== undefined) {
+        const bbox = parseBbox(query.bbox);
+
+        if (bbox) {
+            checks.push((record) => {
+                const lat = parseFloat(record.lat);
+                const lon = parseFloat(record.lon);
+                return (
+                    lat >= bbox.minLat &&
+                    lat <= bbox.maxLat &&
+                    lon >= bbox.minLon &&
+                    lon <= bbox.maxLon
+                );
+            });
+        } else {
+            errors.push({ field: "bbox", message: "bbox must be minLon,minLat,maxLon,maxLat" });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors, "Invalid filter");
+    }
+
+    if (checks.length === 0) {
+        return null;
+    }
+
+    return (record) => checks.every((check) => check(record));
+};
+
+/**
+ * Whether the filters of a query match other bays as time passes, with the same snapshot
+ */
+const filterDependsOnTime = (query) =>
+    CLOCK_FILTERS.some((field) => query[field] !== undefined) ||
+    ["updatedSince", "updatedBefore"].some(
+        (field) => query[field] !== undefined && RELATIVE_INSTANT.test(String(query[field]))
+    );
+
+module.exports = {
+    parseSpotFilter,
+    filterDependsOnTime,
+    parseBbox,
+};
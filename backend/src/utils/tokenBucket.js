@@ -0,0 +1,61 @@
+/**
+ * Token bucket rate limiter
+ * Holds up to `capacity` tokens and refills `refillRate` tokens per second; each request
+ * takes one. A full bucket allows a burst of `capacity` requests, after which requests
+ * are accepted at the refill rate. Time comes from Date.now(), so jest fake timers drive it.
+ */
+class TokenBucket {
+    constructor({ capacity, refillRate }) {
+        this.capacity = capacity;
+        this.refillRate = refillRate;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take a token if one is available
+     * @returns {boolean} - Whether the request is allowed
+     */
+    take(now = Date.now()) {
+        this.refill(now);
+
+        if (this.tokens < 1) {
+            return false;
+        }
+
+        this.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Whole tokens left
+     */
+    remaining(now = Date.now()) {
+        this.refill(now);
+        return Math.floor(this.tokens);
+    }
+
+    /**
+     * Milliseconds until the next token is available
+     */
+    msUntilNextToken(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.refillRate) * 1000);
+    }
+
+    /**
+     * Milliseconds until the bucket is full again
+     */
+    msUntilFull(now = Date.now()) {
+        this.refill(now);
+        return Math.ceil(((this.capacity - this.tokens) / this.refillRate) * 1000);
+    }
+}
+
+module.exports = { TokenBucket };
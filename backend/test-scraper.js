@@ -25,7 +25,7 @@ async function testScraper() {
         log("TEST 1: Scraping parking data...", "yellow");
         const startTime = Date.now();
 
-        const allData = await parkingScraperService.scrapeParkingData();
+        const { records: allData } = await parkingScraperService.scrapeParkingData();
         const scrapeDuration = Date.now() - startTime;
 
         log(`✅ Scraping completed in ${scrapeDuration}ms`, "green");
@@ -88,7 +88,7 @@ async function testScraper() {
                 maxLon: 144.975,
             };
 
-            const cbdSpots = await parkingScraperService.getAreaSpots(cbdBounds);
+            const cbdSpots = await parkingScraperService.getAreaSpots({ bounds: cbdBounds });
             log(`\n📍 CBD Area Results:`, "blue");
             console.log(`    Total spots in CBD: ${cbdSpots.total}`);
             console.log(`    Available in CBD: ${cbdSpots.available}`);
@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig, redactConfig, ConfigError } = require("../../src/config/config");
+
+describe("config", () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "mel-parking-config-"));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeConfigFile = (values) => {
+        const file = path.join(dir, "config.json");
+        fs.writeFileSync(file, JSON.stringify(values));
+        return file;
+    };
+
+    it("uses defaults when nothing is set", () => {
+        const { values, sources, file } = loadConfig({});
+
+        expect(values).toMatchObject({
+            // Not development, which would expose error details
+            NODE_ENV: "production",
+            PORT: 5000,
+            SCRAPE_INTERVAL_MINUTES: 2,
+            API_AUTH_ENABLED: true,
+            ADMIN_API_KEY: null,
+            LOG_LEVEL: "info",
+        });
+        expect(sources.PORT).toBe("default");
+        expect(file).toBeNull();
+    });
+
+    it("reads the config file and lets environment variables override it", () => {
+        const file = writeConfigFile({
+            SCRAPE_INTERVAL_MINUTES: 5,
+            SCRAPE_TIMEOUTS: { navigation: 60000 },
+            PORT: 7000,
+        });
+
+        const { values, sources } = loadConfig({
+            CONFIG_FILE: file,
+            PORT: "8080",
+            ENABLE_HEADLESS: "false",
+            NODE_ENV: "test",
+        });
+
+        expect(values).toMatchObject({
+            SCRAPE_INTERVAL_MINUTES: 5,
+            SCRAPE_TIMEOUTS: { navigation: 60000, table: 15000 },
+            PORT: 8080,
+            SCRAPE_HEADLESS: false,
+            LOG_LEVEL: "silent",
+        });
+        expect(sources).toMatchObject({
+            SCRAPE_INTERVAL_MINUTES: "file",
+            PORT: "env",
+            SCRAPE_HEADLESS: "env",
+        });
+    });
+
+    it("reports every invalid setting at once", () => {
+        const file = writeConfigFile({ SCRAPE_SELECTORS: { tabel: ".table" }, PORTT: 1 });
+        let error;
+
+        try {
+            loadConfig({
+                CONFIG_FILE: file,
+                PORT: "80a",
+                SCRAPE_INTERVAL_MINUTES: "0.1",
+                DATA_SOURCE: "csv",
+                API_AUTH_ENABLED: "yes",
+                LOG_LEVELS: "scraper=loud",
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.problems).toEqual([
+            `CONFIG_FILE ${file} has unknown setting PORTT`,
+            'PORT must be an integer (got "80a")',
+            'DATA_SOURCE must be one of puppeteer, opendatasoft (got "csv")',
+            'SCRAPE_INTERVAL_MINUTES must be at least 0.5 (got "0.1")',
+            expect.stringMatching(/^SCRAPE_SELECTORS in CONFIG_FILE has unknown key "tabel"/),
+            'API_AUTH_ENABLED must be "true" or "false" (got "yes")',
+            expect.stringMatching(/^LOG_LEVELS must be a list of module=level/),
+        ]);
+        expect(error.message).toContain("Invalid configuration:\n  - ");
+    });
+
+    it("checks settings against each other", () => {
+        expect(() =>
+            loadConfig({ RESTRICTIONS_SOURCE: "file", HISTORY_COMPACT_AFTER_DAYS: "60" })
+        ).toThrow(/HISTORY_COMPACT_AFTER_DAYS must not exceed[\s\S]*RESTRICTIONS_FILE is required/);
+    });
+
+    it("redacts secrets in the effective configuration", () => {
+        const loaded = loadConfig({ ADMIN_API_KEY: "super-secret-admin-key" });
+
+        expect(redactConfig(loaded).values).toMatchObject({
+            ADMIN_API_KEY: "[redacted]",
+            PORT: 5000,
+        });
+        expect(redactConfig(loadConfig({})).values.ADMIN_API_KEY).toBeNull();
+        expect(JSON.stringify(redactConfig(loaded))).not.toContain("super-secret-admin-key");
+    });
+});
@@ -0,0 +1,386 @@
+jest.mock("../../src/services/historyStore", () => ({ recordScrape: jest.fn() }));
+
+const http = require("http");
+const express = require("express");
+const parkingRoutes = require("../../src/routes/parking");
+const errorHandler = require("../../src/middleware/errorHandler");
+const parkingScraperService = require("../../src/services/parkingScraperService");
+const streamService = require("../../src/services/streamService");
+const restrictionService = require("../../src/services/restrictionService");
+
+const request = (baseUrl, method, url, { body, headers } = {}) =>
+    new Promise((resolve, reject) => {
+        const req = http.request(
+            `${baseUrl}${url}`,
+            {
+                method,
+                headers: { ...headers, ...(body && { "Content-Type": "application/json" }) },
+            },
+            (res) => {
+                let text = "";
+                res.on("data", (chunk) => (text += chunk));
+                res.on("end", () =>
+                    resolve({ status: res.statusCode, headers: res.headers, body: text })
+                );
+            }
+        );
+        req.on("error", reject);
+        req.end(body ? JSON.stringify(body) : undefined);
+    });
+
+const record = (bayId, status, lon, lat) => ({
+    bay_id: bayId,
+    st_marker_id: bayId,
+    status,
+    lat: String(lat),
+    lon: String(lon),
+    status_timestamp: "2025-07-20T02:00:00+00:00",
+    zone_number: "7001",
+});
+
+// An L around the bays: the top right quarter of the square is cut out
+const lShape = {
+    type: "Polygon",
+    coordinates: [
+        [
+            [144.95, -37.82],
+            [144.97, -37.82],
+            [144.97, -37.81],
+            [144.96, -37.81],
+            [144.96, -37.8],
+            [144.95, -37.8],
+            [144.95, -37.82],
+        ],
+    ],
+};
+
+const records = [
+    record("1", "Present", 144.955, -37.815),
+    record("2", "Unoccupied", 144.965, -37.815),
+    record("3", "Unoccupied", 144.955, -37.805),
+    // In the cut out quarter of lShape
+    record("4", "Present", 144.965, -37.805),
+    record("5", "Present", 145.1, -37.9),
+];
+
+describe("ParkingController", () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use("/api/parking", parkingRoutes);
+        app.use(errorHandler);
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        parkingScraperService.publish(records, { provenance: "live", source: "stub" });
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    describe("GeoJSON negotiation", () => {
+        const get = (url, headers) => request(baseUrl, "GET", url, { headers });
+        const geoAccept = { Accept: "application/geo+json" };
+
+        it("sends a FeatureCollection when Accept prefers GeoJSON", async () => {
+            const { status, headers, body } = await get("/api/parking/all?sort=bayId", geoAccept);
+            const collection = JSON.parse(body);
+
+            expect(status).toBe(200);
+            expect(headers["content-type"]).toMatch("application/geo+json");
+            expect(headers.vary).toBe("Accept");
+            expect(collection).toMatchObject({ type: "FeatureCollection", count: 5 });
+            expect(collection.features[0]).toEqual({
+                type: "Feature",
+                id: "1",
+                geometry: { type: "Point", coordinates: [144.955, -37.815] },
+                properties: expect.objectContaining({ bayId: "1", status: "Present" }),
+            });
+        });
+
+        it("lets ?format= override the Accept header", async () => {
+            const geojson = await get("/api/parking/all?format=GeoJSON");
+            expect(JSON.parse(geojson.body).type).toBe("FeatureCollection");
+
+            const json = await get("/api/parking/all?format=json", geoAccept);
+            expect(json.headers["content-type"]).toMatch("application/json");
+            expect(JSON.parse(json.body)).toMatchObject({ success: true, count: 5 });
+        });
+
+        it("answers a repeated ?format= with plain JSON", async () => {
+            const { status, body } = await get("/api/parking/all?format=a&format=geojson");
+
+            expect(status).toBe(200);
+            expect(JSON.parse(body)).toMatchObject({ success: true, count: 5 });
+        });
+    });
+
+    describe("GET /export", () => {
+        const get = (url) => request(baseUrl, "GET", url);
+
+        it("streams every bay as a CSV download", async () => {
+            const { status, headers, body } = await get("/api/parking/export");
+            const lines = body.trim().split("\n");
+
+            expect(status).toBe(200);
+            expect(headers["content-type"]).toBe("text/csv; charset=utf-8");
+            expect(headers["content-disposition"]).toMatch(
+                /^attachment; filename="melbourne-parking-.+\.csv"$/
+            );
+            expect(headers["x-data-source"]).toBe("live");
+            expect(lines[0]).toMatch(/^bayId,status,isAvailable,lat,lon,/);
+            expect(lines).toHaveLength(6);
+        });
+
+        it("streams NDJSON filtered to available bays", async () => {
+            const { headers, body } = await get(
+                "/api/parking/export?format=ndjson&availableOnly=true"
+            );
+            const spots = body
+                .trim()
+                .split("\n")
+                .map((line) => JSON.parse(line));
+
+            expect(headers["content-type"]).toBe("application/x-ndjson; charset=utf-8");
+            expect(spots.map((spot) => spot.bayId).sort()).toEqual(["2", "3"]);
+        });
+
+        it("applies the spot filters and rejects invalid ones", async () => {
+            const zone = await get("/api/parking/export?format=ndjson&zone=9999");
+            expect(zone.status).toBe(200);
+            expect(zone.body).toBe("");
+
+            const status = await get("/api/parking/export?format=ndjson&status=occupied");
+            expect(status.body.trim().split("\n")).toHaveLength(3);
+
+            const invalid = await get("/api/parking/export?status=free");
+            expect(invalid.status).toBe(400);
+            expect(JSON.parse(invalid.body).error).toMatchObject({
+                message: "Validation error",
+                fields: [expect.objectContaining({ field: "status" })],
+            });
+        });
+
+        it("rejects unknown formats, including Object.prototype keys", async () => {
+            for (const format of ["xml", "toString", "constructor", "csv&format=ndjson"]) {
+                const { status, body } = await get(`/api/parking/export?format=${format}`);
+
+                expect(status).toBe(400);
+                expect(JSON.parse(body)).toEqual({
+                    success: false,
+                    error: "Format must be one of: csv, ndjson",
+                });
+            }
+        });
+    });
+
+    describe("GET /nearby", () => {
+        const near = "/api/parking/nearby?lat=-37.81&lon=144.96&radius=2000";
+        const get = (url) =>
+            request(baseUrl, "GET", url).then((res) => ({ ...res, body: JSON.parse(res.body) }));
+
+        afterEach(() => {
+            restrictionService.setRules([]);
+        });
+
+        it("rejects a duration until restrictions are loaded", async () => {
+            const { status, body } = await get(`${near}&duration=60`);
+
+            expect(status).toBe(400);
+            expect(body).toEqual({
+                success: false,
+                error: "Restriction data is not loaded, duration is unavailable",
+            });
+
+            restrictionService.setRules([
+                { zone: "9999", display: "2P", days: "Mon-Fri", start: "08:00", finish: "18:00" },
+            ]);
+            expect((await get(`${near}&duration=60`)).status).toBe(200);
+        });
+
+        it("counts only the bays matching the filters in its summary", async () => {
+            expect((await get(near)).body).toMatchObject({ total: 4, available: 2 });
+            expect((await get(`${near}&status=occupied`)).body).toMatchObject({
+                total: 2,
+                available: 0,
+            });
+            expect((await get(`${near}&zone=9999`)).body).toMatchObject({
+                total: 0,
+                available: 0,
+                spots: [],
+            });
+        });
+
+        it("leaves unhealthy sensors out of its summary with sensorHealth=healthy", async () => {
+            // The stub bays have not changed status for days, so their sensors are stuck
+            expect((await get(`${near}&sensorHealth=stuck`)).body).toMatchObject({
+                total: 4,
+                available: 2,
+            });
+            expect((await get(`${near}&sensorHealth=healthy`)).body).toMatchObject({
+                total: 0,
+                available: 0,
+                spots: [],
+            });
+        });
+    });
+
+    describe("POST /area/query", () => {
+        const query = (body) =>
+            request(baseUrl, "POST", "/api/parking/area/query", { body }).then((res) => ({
+                ...res,
+                body: JSON.parse(res.body),
+            }));
+        const bayIds = (body) => body.spots.map((spot) => spot.bayId).sort();
+
+        it("returns the bays inside a polygon with their summary", async () => {
+            const { status, body } = await query(lShape);
+
+            expect(status).toBe(200);
+            expect(body).toMatchObject({
+                success: true,
+                geometryType: "Polygon",
+                total: 3,
+                available: 2,
+                occupied: 1,
+                occupancyRate: "33.33%",
+                bounds: { minLat: -37.82, maxLat: -37.8, minLon: 144.95, maxLon: 144.97 },
+            });
+            expect(bayIds(body)).toEqual(["1", "2", "3"]);
+        });
+
+        it("accepts a Feature and multipolygons with holes", async () => {
+            const feature = await query({ type: "Feature", properties: {}, geometry: lShape });
+            expect(bayIds(feature.body)).toEqual(["1", "2", "3"]);
+
+            const { body } = await query({
+                type: "MultiPolygon",
+                coordinates: [
+                    // The lower half, with a hole around bay 2
+                    [
+                        lShape.coordinates[0].slice(0, 3).concat([
+                            [144.95, -37.81],
+                            [144.95, -37.82],
+                        ]),
+                        [
+                            [144.964, -37.816],
+                            [144.966, -37.816],
+                            [144.966, -37.814],
+                            [144.964, -37.814],
+                            [144.964, -37.816],
+                        ],
+                    ],
+                    [
+                        [
+                            [145.09, -37.91],
+                            [145.11, -37.91],
+                            [145.11, -37.89],
+                            [145.09, -37.89],
+                            [145.09, -37.91],
+                        ],
+                    ],
+                ],
+            });
+            expect(body.geometryType).toBe("MultiPolygon");
+            expect(bayIds(body)).toEqual(["1", "5"]);
+        });
+
+        it("rejects anything but a valid polygon", async () => {
+            const point = await query({ type: "Point", coordinates: [144.96, -37.81] });
+            expect(point.status).toBe(400);
+            expect(point.body).toEqual({
+                success: false,
+                error: "Geometry must be a GeoJSON Polygon or MultiPolygon",
+            });
+
+            const open = await query({
+                type: "Polygon",
+                coordinates: [lShape.coordinates[0].slice(1)],
+            });
+            expect(open.status).toBe(400);
+            expect(open.body.error).toMatch("closed");
+        });
+    });
+
+    describe("pagination", () => {
+        const get = (url) =>
+            request(baseUrl, "GET", url).then((res) => ({ ...res, body: JSON.parse(res.body) }));
+
+        it("returns every bay unless a limit is given", async () => {
+            const { body } = await get("/api/parking/all");
+
+            expect(body.count).toBe(5);
+            expect(body.pagination).toMatchObject({ limit: null, total: 5, nextCursor: null });
+        });
+
+        it("follows next links through a snapshot", async () => {
+            const first = await get("/api/parking/all?limit=2&sort=-bayId&fields=bayId");
+            const second = await get(first.body.pagination.next.replace(/^http:\/\/[^/]+/, ""));
+
+            expect(first.body.data).toEqual([{ bayId: "5" }, { bayId: "4" }]);
+            expect(second.body.data).toEqual([{ bayId: "3" }, { bayId: "2" }]);
+            expect(second.body.pagination).toMatchObject({ offset: 2, total: 5 });
+        });
+
+        it("answers repeated sort or fields parameters with a 400", async () => {
+            for (const query of ["sort=bayId&sort=-bayId", "fields=bayId&fields=status"]) {
+                const { status, body } = await get(`/api/parking/all?${query}`);
+
+                expect(status).toBe(400);
+                expect(body.success).toBe(false);
+            }
+        });
+
+        it("rejects a cursor once a newer snapshot is published", async () => {
+            const first = await get("/api/parking/available?limit=1");
+            parkingScraperService.publish(records, { provenance: "live", source: "stub" });
+
+            const { status, body } = await get(
+                `/api/parking/available?limit=1&cursor=${first.body.pagination.nextCursor}`
+            );
+
+            expect(status).toBe(400);
+            expect(body).toEqual({
+                success: false,
+                error: "Cursor belongs to an earlier snapshot, request the first page again",
+                version: parkingScraperService.getSnapshot().version,
+            });
+        });
+    });
+
+    describe("GET /stream", () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it("accepts zones as a list or as repeated parameters", async () => {
+            const addClient = jest
+                .spyOn(streamService, "addClient")
+                .mockImplementation((res) => res.end());
+
+            await request(baseUrl, "GET", "/api/parking/stream?zone=7001,7002&zone=7003");
+
+            expect(addClient).toHaveBeenCalledWith(
+                expect.anything(),
+                { zones: ["7001", "7002", "7003"] },
+                null
+            );
+        });
+
+        it("rejects a zone that is not a list of values", async () => {
+            const { status, body } = await request(baseUrl, "GET", "/api/parking/stream?zone[a]=1");
+
+            expect(status).toBe(400);
+            expect(JSON.parse(body)).toEqual({
+                success: false,
+                error: "Zone must be a zone number or a list of them",
+            });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+jest.mock("../../src/services/parkingScraperService", () => ({
+    scrapeParkingData: jest.fn(),
+    lastFailure: null,
+}));
+jest.mock("../../src/services/eventFeed", () => ({ ingest: jest.fn(() => []) }));
+jest.mock("../../src/services/streamService", () => ({ broadcast: jest.fn() }));
+
+const parkingScraperService = require("../../src/services/parkingScraperService");
+const scrapingScheduler = require("../../src/jobs/scrapingScheduler");
+const {
+    SCRAPE_INTERVAL,
+    SCRAPE_FAILURE_THRESHOLD,
+    SCRAPE_BACKOFF_BASE,
+    SCRAPE_BREAKER_RESET,
+} = require("../../src/config/constants");
+
+describe("ScrapingScheduler", () => {
+    let failing;
+
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date("2025-07-20T03:00:00Z") });
+        // No jitter: the backoff spread is 1 - jitter + random * 2 * jitter
+        scrapingScheduler.breaker.random = () => 0.5;
+
+        parkingScraperService.scrapeParkingData.mockImplementation(async () => {
+            if (failing) {
+                throw new Error("Source down");
+            }
+            return { version: 1, records: [], scrapedAt: Date.now(), provenance: "live" };
+        });
+    });
+
+    afterAll(() => {
+        scrapingScheduler.stop();
+        jest.useRealTimers();
+    });
+
+    it("backs off, opens the breaker and recovers through a half-open probe", async () => {
+        failing = true;
+        scrapingScheduler.start();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(1);
+        expect(scrapingScheduler.getStatus().consecutiveFailures).toBe(1);
+
+        // Each retry waits twice as long as the previous one
+        let delay = SCRAPE_BACKOFF_BASE;
+        for (let attempt = 2; attempt <= SCRAPE_FAILURE_THRESHOLD; attempt++) {
+            await jest.advanceTimersByTimeAsync(delay - 1);
+            expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(attempt - 1);
+
+            await jest.advanceTimersByTimeAsync(1);
+            expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(attempt);
+            delay *= 2;
+        }
+
+        const status = scrapingScheduler.getStatus();
+        expect(status.circuitBreaker.state).toBe("open");
+        expect(status.consecutiveFailures).toBe(SCRAPE_FAILURE_THRESHOLD);
+        expect(status.errorCount).toBe(SCRAPE_FAILURE_THRESHOLD);
+
+        // Nothing runs while the breaker is open
+        await jest.advanceTimersByTimeAsync(SCRAPE_BREAKER_RESET - 1);
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(
+            SCRAPE_FAILURE_THRESHOLD
+        );
+
+        failing = false;
+        await jest.advanceTimersByTimeAsync(1);
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(
+            SCRAPE_FAILURE_THRESHOLD + 1
+        );
+        expect(scrapingScheduler.getStatus()).toMatchObject({
+            consecutiveFailures: 0,
+            circuitBreaker: { state: "closed" },
+        });
+
+        // Back to the regular interval
+        await jest.advanceTimersByTimeAsync(SCRAPE_INTERVAL);
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(
+            SCRAPE_FAILURE_THRESHOLD + 2
+        );
+    });
+
+    it("counts a fallback to last-known-good data as a failure", async () => {
+        parkingScraperService.scrapeParkingData.mockImplementationOnce(async () => {
+            parkingScraperService.lastFailure = {
+                reason: "Scrape returned no rows",
+                type: "EmptyScrape",
+            };
+            return { version: 2, records: [], scrapedAt: 0, provenance: "last-known-good" };
+        });
+
+        await scrapingScheduler.runNow();
+
+        expect(scrapingScheduler.getStatus()).toMatchObject({
+            consecutiveFailures: 1,
+            lastError: { message: "Scrape returned no rows" },
+            lastRun: { outcome: "failed", errorType: "EmptyScrape" },
+        });
+    });
+
+    it("joins a run already in progress instead of starting another", async () => {
+        // Clear the backoff left by the previous test
+        scrapingScheduler.breaker.recordSuccess();
+        parkingScraperService.scrapeParkingData.mockClear();
+
+        await Promise.all([scrapingScheduler.runNow(), scrapingScheduler.runNow()]);
+
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(1);
+    });
+
+    it("keeps a history of runs with their outcome", () => {
+        const [latest, previous] = scrapingScheduler.getRuns(2);
+
+        expect(latest).toMatchObject({
+            trigger: "manual",
+            outcome: "success",
+            snapshotVersion: 1,
+            records: 0,
+            error: null,
+        });
+        expect(previous).toMatchObject({
+            outcome: "failed",
+            error: "Scrape returned no rows",
+        });
+        expect(scrapingScheduler.getStatus().lastRun).toBe(latest);
+    });
+
+    it("schedules nothing while paused and runs on a cron pattern after resuming", async () => {
+        parkingScraperService.scrapeParkingData.mockClear();
+
+        scrapingScheduler.pause();
+        await jest.advanceTimersByTimeAsync(SCRAPE_INTERVAL * 3);
+
+        expect(parkingScraperService.scrapeParkingData).not.toHaveBeenCalled();
+        expect(scrapingScheduler.getStatus()).toMatchObject({ paused: true, nextRun: null });
+
+        // Every quarter hour, in local time
+        scrapingScheduler.setSchedule({ cron: "*/15 * * * *" });
+        expect(scrapingScheduler.getStatus().nextRun).toBeNull();
+
+        scrapingScheduler.resume();
+        const nextRun = new Date(scrapingScheduler.getStatus().nextRun);
+        expect(nextRun.getMinutes() % 15).toBe(0);
+        expect(nextRun.getSeconds()).toBe(0);
+
+        await jest.advanceTimersByTimeAsync(nextRun.getTime() - Date.now());
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(1);
+        expect(scrapingScheduler.getRuns(1)[0].trigger).toBe("schedule");
+    });
+
+    it("rejects intervals below the minimum and invalid cron patterns", () => {
+        expect(() => scrapingScheduler.setSchedule({ interval: 1000 })).toThrow("at least");
+        expect(() => scrapingScheduler.setSchedule({ cron: "*/15 * *" })).toThrow("5 fields");
+        expect(scrapingScheduler.getStatus().cron).toBe("*/15 * * * *");
+    });
+
+    it("waits for a monthly cron run further away than setTimeout can wait", async () => {
+        jest.setSystemTime(new Date(2026, 9, 2, 12, 0));
+        parkingScraperService.scrapeParkingData.mockClear();
+
+        scrapingScheduler.setSchedule({ cron: "0 0 1 * *" });
+        const nextRun = new Date(2026, 10, 1);
+        expect(scrapingScheduler.getStatus().nextRun).toBe(nextRun.toISOString());
+        expect(nextRun.getTime() - Date.now()).toBeGreaterThan(2 ** 31 - 1);
+
+        await jest.advanceTimersByTimeAsync(nextRun.getTime() - Date.now() - 1);
+        expect(parkingScraperService.scrapeParkingData).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        expect(parkingScraperService.scrapeParkingData).toHaveBeenCalledTimes(1);
+        expect(scrapingScheduler.getStatus().nextRun).toBe(new Date(2026, 11, 1).toISOString());
+    });
+});
@@ -0,0 +1,211 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+process.env.API_KEYS_FILE = path.join(dir, "apiKeys.json");
+process.env.ADMIN_API_KEY = "test-admin-key";
+process.env.AREAS_FILE = path.join(dir, "areas.json");
+
+const express = require("express");
+const { apiKeyAuth } = require("../../src/middleware/apiKeyAuth");
+const adminRoutes = require("../../src/routes/admin");
+const areaRoutes = require("../../src/routes/areas");
+const errorHandler = require("../../src/middleware/errorHandler");
+const apiKeyService = require("../../src/services/apiKeyService");
+
+const request = (baseUrl, method, url, { key, body } = {}) =>
+    new Promise((resolve, reject) => {
+        const req = http.request(
+            `${baseUrl}${url}`,
+            {
+                method,
+                headers: {
+                    ...(key && { "X-API-Key": key }),
+                    ...(body && { "Content-Type": "application/json" }),
+                },
+            },
+            (res) => {
+                let text = "";
+                res.on("data", (chunk) => (text += chunk));
+                res.on("end", () =>
+                    resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: text ? JSON.parse(text) : null,
+                    })
+                );
+            }
+        );
+        req.on("error", reject);
+        req.end(body && JSON.stringify(body));
+    });
+
+describe("API key authentication", () => {
+    let server;
+    let call;
+
+    beforeAll(async () => {
+        const app = express();
+        app.use(express.json());
+        app.get("/api/health", (req, res) => res.json({ status: "OK" }));
+        app.use("/api", apiKeyAuth);
+        app.get("/api/parking/stats", (req, res) => res.json({ success: true }));
+        app.get("/api/parking/stream", (req, res) => res.json({ success: true }));
+        app.use("/api/areas", areaRoutes);
+        app.use("/api/admin", adminRoutes);
+        app.use(errorHandler);
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        call = (method, url, options) => request(baseUrl, method, url, options);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await apiKeyService.flush();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps public routes open and rejects requests without a valid key", async () => {
+        expect((await call("GET", "/api/health")).status).toBe(200);
+        expect((await call("GET", "/api/parking/stats")).status).toBe(401);
+        expect((await call("GET", "/api/parking/stats", { key: "nope" })).status).toBe(401);
+    });
+
+    it("accepts a key in the query only on the event stream", async () => {
+        const query = "?apiKey=test-admin-key";
+
+        expect((await call("GET", `/api/parking/stream${query}`)).status).toBe(200);
+        expect((await call("GET", `/api/parking/stats${query}`)).status).toBe(401);
+        expect((await call("GET", `/api/admin/keys${query}`)).status).toBe(401);
+    });
+
+    it("creates keys through the admin routes and stores only their hash", async () => {
+        expect((await call("GET", "/api/admin/keys")).status).toBe(401);
+
+        const created = await call("POST", "/api/admin/keys", {
+            key: "test-admin-key",
+            body: { name: "Client", rateLimit: 1, burst: 2, dailyQuota: 100 },
+        });
+
+        expect(created.status).toBe(201);
+        expect(created.body.key).toMatch(/^mpk_/);
+        expect(created.body.data).not.toHaveProperty("hash");
+
+        const stored = fs.readFileSync(process.env.API_KEYS_FILE, "utf8");
+        expect(stored).not.toContain(created.body.key);
+
+        // Regular keys cannot manage keys
+        const forbidden = await call("GET", "/api/admin/keys", { key: created.body.key });
+        expect(forbidden.status).toBe(403);
+    });
+
+    it("lets any key read areas but only admin keys change them", async () => {
+        const { body } = await call("POST", "/api/admin/keys", {
+            key: "test-admin-key",
+            body: { name: "Reader" },
+        });
+        const area = {
+            id: "test-area",
+            name: "Test area",
+            bounds: { minLat: -37.9, maxLat: -37.89, minLon: 145.1, maxLon: 145.11 },
+        };
+
+        expect((await call("GET", "/api/areas", { key: body.key })).status).toBe(200);
+        expect((await call("POST", "/api/areas", { key: body.key, body: area })).status).toBe(403);
+        expect((await call("DELETE", "/api/areas/cbd", { key: body.key })).status).toBe(403);
+
+        const created = await call("POST", "/api/areas", { key: "test-admin-key", body: area });
+        expect(created.status).toBe(201);
+    });
+
+    it("rate limits with a token bucket and reports X-RateLimit headers", async () => {
+        jest.useFakeTimers({ now: new Date("2025-07-20T03:00:00Z"), doNotFake: ["nextTick"] });
+        const { body } = await call("POST", "/api/admin/keys", {
+            key: "test-admin-key",
+            body: { name: "Bursty", rateLimit: 0.5, burst: 2, dailyQuota: null },
+        });
+
+        const first = await call("GET", "/api/parking/stats", { key: body.key });
+        await call("GET", "/api/parking/stats", { key: body.key });
+        const limited = await call("GET", "/api/parking/stats", { key: body.key });
+
+        expect(first.headers).toMatchObject({
+            "x-ratelimit-limit": "2",
+            "x-ratelimit-remaining": "1",
+        });
+        expect(limited.status).toBe(429);
+        expect(limited.headers["retry-after"]).toBe("2");
+        expect(limited.headers["x-ratelimit-remaining"]).toBe("0");
+
+        // One token every two seconds
+        jest.setSystemTime(Date.now() + 2000);
+        expect((await call("GET", "/api/parking/stats", { key: body.key })).status).toBe(200);
+
+        expect(apiKeyService.get(body.data.id).usage).toMatchObject({ total: 3, rejected: 1 });
+    });
+
+    it("enforces the daily quota until the next UTC day", async () => {
+        jest.useFakeTimers({ now: new Date("2025-07-20T23:00:00Z"), doNotFake: ["nextTick"] });
+        const { body } = await call("POST", "/api/admin/keys", {
+            key: "test-admin-key",
+            body: { name: "Quota", rateLimit: 100, burst: 100, dailyQuota: 2 },
+        });
+
+        await call("GET", "/api/parking/stats", { key: body.key });
+        const last = await call("GET", "/api/parking/stats", { key: body.key });
+        const over = await call("GET", "/api/parking/stats", { key: body.key });
+
+        expect(last.headers["x-ratelimit-quota-remaining"]).toBe("0");
+        expect(over.status).toBe(429);
+        expect(over.body.error.message).toBe("Daily quota exceeded");
+        expect(over.headers["retry-after"]).toBe("3600");
+
+        jest.setSystemTime(new Date("2025-07-21T00:00:00Z"));
+        expect((await call("GET", "/api/parking/stats", { key: body.key })).status).toBe(200);
+    });
+
+    it("rejects a disabled key", async () => {
+        const { body } = await call("POST", "/api/admin/keys", {
+            key: "test-admin-key",
+            body: { name: "Temporary" },
+        });
+
+        const updated = await call("PUT", `/api/admin/keys/${body.data.id}`, {
+            key: "test-admin-key",
+            body: { disabled: true },
+        });
+
+        expect(updated.body.data.disabled).toBe(true);
+        expect((await call("GET", "/api/parking/stats", { key: body.key })).status).toBe(401);
+    });
+
+    it("is locked out without ADMIN_API_KEY and without an enabled key", () => {
+        const { adminKey, keys } = apiKeyService;
+
+        apiKeyService.adminKey = null;
+        expect(apiKeyService.isLockedOut()).toBe(false);
+
+        apiKeyService.keys = new Map([["disabled", { id: "disabled", disabled: true }]]);
+        expect(apiKeyService.isLockedOut()).toBe(true);
+
+        apiKeyService.adminKey = adminKey;
+        expect(apiKeyService.isLockedOut()).toBe(false);
+        apiKeyService.keys = keys;
+    });
+
+    it("moves a corrupt keys file aside and starts without keys", () => {
+        fs.writeFileSync(apiKeyService.file, "{ not json");
+        apiKeyService.load();
+
+        expect(apiKeyService.list()).toEqual([]);
+        expect(fs.readFileSync(`${apiKeyService.file}.corrupt`, "utf8")).toBe("{ not json");
+    });
+});
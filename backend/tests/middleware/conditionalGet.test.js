@@ -0,0 +1,162 @@
+const http = require("http");
+const express = require("express");
+const conditionalGet = require("../../src/middleware/conditionalGet");
+const parkingScraperService = require("../../src/services/parkingScraperService");
+const restrictionService = require("../../src/services/restrictionService");
+const sensorHealthService = require("../../src/services/sensorHealthService");
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which forces a full response
+const get = (url, headers = {}) =>
+    new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            let body = "";
+            res.on("data", (chunk) => (body += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on("error", reject);
+    });
+
+describe("conditionalGet", () => {
+    let server;
+    let baseUrl;
+    let handled;
+
+    beforeAll(async () => {
+        const app = express();
+        app.get("/spots", conditionalGet, (req, res) => {
+            handled++;
+            res.json({ version: parkingScraperService.getSnapshot().version });
+        });
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        parkingScraperService.publish([], { provenance: "live", source: "stub" });
+    });
+
+    beforeEach(() => {
+        handled = 0;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("answers a matching If-None-Match with 304 without running the handler", async () => {
+        const first = await get(`${baseUrl}/spots`);
+        const etag = first.headers.etag;
+
+        const second = await get(`${baseUrl}/spots`, { "If-None-Match": etag });
+
+        expect(etag).toMatch(/^W\/".+-1-[0-9a-z]+-json"$/);
+        expect(second.status).toBe(304);
+        expect(handled).toBe(1);
+    });
+
+    it("gives the JSON and GeoJSON representations their own ETags", async () => {
+        const json = await get(`${baseUrl}/spots`);
+        const geojson = await get(`${baseUrl}/spots`, { Accept: "application/geo+json" });
+
+        expect(geojson.headers.etag).toMatch(/^W\/".+-1-[0-9a-z]+-geojson"$/);
+        expect(json.headers.vary).toBe("Accept");
+        expect(geojson.headers.vary).toBe("Accept");
+
+        const revalidated = await get(`${baseUrl}/spots?format=geojson`, {
+            "If-None-Match": json.headers.etag,
+        });
+        expect(revalidated.status).toBe(200);
+        expect(revalidated.headers.vary).toBeUndefined();
+    });
+
+    it("answers If-Modified-Since with 304 until a new snapshot is published", async () => {
+        const first = await get(`${baseUrl}/spots`);
+        const revalidate = () =>
+            get(`${baseUrl}/spots`, { "If-Modified-Since": first.headers["last-modified"] });
+
+        expect((await revalidate()).status).toBe(304);
+
+        parkingScraperService.publish([], {
+            provenance: "live",
+            source: "stub",
+            scrapedAt: Date.now() + 1000,
+        });
+        const changed = await revalidate();
+
+        expect(changed.status).toBe(200);
+        expect(JSON.parse(changed.body)).toEqual({ version: 2 });
+    });
+
+    it("does not validate answers that depend on the time of the request", async () => {
+        const { etag } = (await get(`${baseUrl}/spots`)).headers;
+
+        for (const query of ["updatedSince=10m", "sensorHealth=healthy", "duration=60"]) {
+            const response = await get(`${baseUrl}/spots?${query}`, { "If-None-Match": etag });
+
+            expect(response.status).toBe(200);
+            expect(response.headers["last-modified"]).toBeUndefined();
+        }
+        expect(handled).toBe(4);
+
+        // A fixed date gives the same answer until the next snapshot
+        const fixed = await get(`${baseUrl}/spots?updatedSince=2025-07-20T03:00:00Z`, {
+            "If-None-Match": etag,
+        });
+        expect(fixed.status).toBe(304);
+    });
+
+    describe("with spots that change with the clock", () => {
+        const scrapedAt = Date.now();
+        let clock;
+
+        const revalidateAt = async (time) => {
+            const first = await get(`${baseUrl}/spots`);
+            clock = jest.spyOn(Date, "now").mockReturnValue(time);
+            return get(`${baseUrl}/spots`, { "If-None-Match": first.headers.etag });
+        };
+
+        afterEach(() => {
+            clock.mockRestore();
+            restrictionService.setRules([]);
+        });
+
+        it("revalidates once a sensor turns stale", async () => {
+            // The sensor turns stale a minute after the scrape
+            const lastupdated = scrapedAt - sensorHealthService.staleAfter + 60 * 1000;
+            parkingScraperService.publish(
+                [
+                    {
+                        bay_id: "1",
+                        status: "Unoccupied",
+                        lastupdated: new Date(lastupdated).toISOString(),
+                    },
+                ],
+                { provenance: "live", source: "stub", scrapedAt }
+            );
+
+            expect((await revalidateAt(scrapedAt + 30 * 1000)).status).toBe(304);
+            clock.mockRestore();
+
+            const stale = await revalidateAt(scrapedAt + 90 * 1000);
+            expect(stale.status).toBe(200);
+            expect(Date.parse(stale.headers["last-modified"])).toBeGreaterThan(scrapedAt);
+        });
+
+        it("revalidates every minute while restrictions are loaded", async () => {
+            parkingScraperService.publish([], { provenance: "live", source: "stub", scrapedAt });
+            restrictionService.setRules([
+                { zone: "7001", display: "2P", days: "Mon-Sun", start: "08:00", finish: "18:00" },
+            ]);
+
+            expect((await revalidateAt(Date.now() + 60 * 1000)).status).toBe(200);
+        });
+    });
+
+    it("leaves responses without a snapshot to the handler", async () => {
+        parkingScraperService.snapshot = null;
+
+        const response = await get(`${baseUrl}/spots`, { "If-None-Match": "*" });
+
+        expect(response.status).toBe(503);
+        expect(response.headers.etag).toBeUndefined();
+    });
+});
@@ -0,0 +1,78 @@
+const http = require("http");
+const express = require("express");
+const requestLogger = require("../../src/middleware/requestLogger");
+const { createLogger, configure } = require("../../src/utils/logger");
+
+const get = (url, headers = {}) =>
+    new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            res.resume();
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers }));
+        }).on("error", reject);
+    });
+
+describe("requestLogger", () => {
+    let server;
+    let baseUrl;
+    let lines;
+
+    beforeAll(async () => {
+        const log = createLogger("parking");
+        const app = express();
+        app.use(requestLogger);
+        app.get("/spots", async (req, res) => {
+            await new Promise((resolve) => setImmediate(resolve));
+            log.info("Handling spots");
+            res.json({ ok: true });
+        });
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    beforeEach(() => {
+        configure({ level: "info", modules: "" });
+        lines = [];
+        jest.spyOn(process.stdout, "write").mockImplementation((text) => {
+            lines.push(JSON.parse(text));
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        configure({ level: "silent", modules: "" });
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("generates a request ID and logs it on every line of the request", async () => {
+        const response = await get(`${baseUrl}/spots?apiKey=secret&area=cbd`);
+        const requestId = response.headers["x-request-id"];
+
+        expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+        expect(lines).toEqual([
+            expect.objectContaining({ module: "parking", requestId }),
+            expect.objectContaining({
+                module: "http",
+                msg: "Request completed",
+                requestId,
+                path: "/spots",
+                query: { apiKey: "[redacted]", area: "cbd" },
+                status: 200,
+            }),
+        ]);
+    });
+
+    it("propagates a valid incoming X-Request-Id and replaces an invalid one", async () => {
+        const kept = await get(`${baseUrl}/spots`, { "X-Request-Id": "edge-42.a" });
+        const replaced = await get(`${baseUrl}/spots`, { "X-Request-Id": "bad id; drop" });
+
+        expect(kept.headers["x-request-id"]).toBe("edge-42.a");
+        expect(replaced.headers["x-request-id"]).not.toBe("bad id; drop");
+        expect(replaced.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "areas-"));
+process.env.AREAS_FILE = path.join(dir, "areas.json");
+
+const areaService = require("../../src/services/areaService");
+
+const square = (minLon, minLat, size) => ({
+    type: "Polygon",
+    coordinates: [
+        [
+            [minLon, minLat],
+            [minLon + size, minLat],
+            [minLon + size, minLat + size],
+            [minLon, minLat + size],
+            [minLon, minLat],
+        ],
+    ],
+});
+
+describe("AreaService", () => {
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("seeds the default areas, which may overlap each other but not new areas", async () => {
+        expect(areaService.list().map((area) => area.id)).toEqual(
+            expect.arrayContaining(["cbd", "southbank", "docklands"])
+        );
+
+        // The CBD and Southbank share a strip along the river
+        const cbd = areaService.get("cbd");
+        const result = await areaService.update("cbd", { bounds: cbd.bounds });
+        expect(result.errors).toBeUndefined();
+        expect(result.area.bounds).toEqual(cbd.bounds);
+
+        const river = await areaService.create({
+            id: "river",
+            name: "River",
+            geometry: square(144.96, -37.822, 0.004),
+        });
+        expect(river).toEqual({
+            status: 409,
+            errors: [expect.objectContaining({ overlapping: ["cbd", "southbank"] })],
+        });
+    });
+
+    it("allows areas sharing an edge and rejects real overlaps", async () => {
+        // East of Fitzroy, sharing its edge at 144.99
+        const adjacent = await areaService.create({
+            id: "collingwood",
+            name: "Collingwood",
+            geometry: square(144.99, -37.81, 0.01),
+        });
+        expect(adjacent.errors).toBeUndefined();
+
+        const overlapping = await areaService.create({
+            id: "abbotsford",
+            name: "Abbotsford",
+            geometry: square(144.995, -37.805, 0.01),
+        });
+        expect(overlapping).toEqual({
+            status: 409,
+            errors: [expect.objectContaining({ overlapping: ["collingwood"] })],
+        });
+    });
+
+    it("ignores bounding boxes that overlap while the shapes do not", async () => {
+        // The triangle's bounding box covers Collingwood's corner, its shape stays north of it
+        const result = await areaService.create({
+            id: "triangle",
+            name: "Triangle",
+            geometry: {
+                type: "Polygon",
+                coordinates: [
+                    [
+                        [144.995, -37.79],
+                        [145.01, -37.79],
+                        [145.01, -37.805],
+                        [144.995, -37.79],
+                    ],
+                ],
+            },
+        });
+        expect(result.errors).toBeUndefined();
+    });
+
+    it("persists changes and leaves the areas unchanged when a save fails", async () => {
+        expect(JSON.parse(fs.readFileSync(areaService.file, "utf8"))).toEqual(
+            expect.arrayContaining([expect.objectContaining({ id: "collingwood" })])
+        );
+
+        jest.spyOn(fs.promises, "rename").mockRejectedValueOnce(new Error("disk full"));
+        await expect(areaService.remove("collingwood")).rejects.toThrow("disk full");
+
+        expect(areaService.get("collingwood")).not.toBeNull();
+        expect(fs.readdirSync(dir).filter((file) => file.endsWith(".tmp"))).toEqual([]);
+    });
+
+    it("runs concurrent changes one after the other", async () => {
+        const results = await Promise.all([
+            areaService.create({ id: "one", name: "One", geometry: square(145.1, -37.8, 0.01) }),
+            areaService.create({ id: "two", name: "Two", geometry: square(145.105, -37.8, 0.01) }),
+        ]);
+
+        expect(results[0].errors).toBeUndefined();
+        expect(results[1].status).toBe(409);
+        expect(
+            JSON.parse(fs.readFileSync(areaService.file, "utf8")).map((area) => area.id)
+        ).toEqual(areaService.list().map((area) => area.id));
+    });
+
+    it("moves a corrupt file aside and falls back to the default areas", () => {
+        fs.writeFileSync(areaService.file, "{ not json");
+        areaService.load();
+
+        expect(areaService.get("cbd")).not.toBeNull();
+        expect(areaService.get("collingwood")).toBeNull();
+        expect(fs.readFileSync(`${areaService.file}.corrupt`, "utf8")).toBe("{ not json");
+    });
+});
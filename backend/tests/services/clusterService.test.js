@@ -0,0 +1,83 @@
+const clusterService = require("../../src/services/clusterService");
+
+const record = (bayId, status, lat, lon) => ({
+    bay_id: bayId,
+    status,
+    lat: String(lat),
+    lon: String(lon),
+});
+
+// Two bays a few metres apart near Flinders Street, one across the CBD
+const records = [
+    record("1", "Unoccupied", -37.8183, 144.9671),
+    record("2", "Present", -37.8184, 144.9672),
+    record("3", "Present", -37.8102, 144.9553),
+    record("4", "Unoccupied", "", ""),
+];
+
+describe("ClusterService", () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("groups nearby bays with their counts, centroid and bounds", () => {
+        const clusters = clusterService.buildClusters(records, 14);
+
+        expect(clusters).toHaveLength(2);
+        expect(clusters[0]).toEqual({
+            id: expect.stringMatching(/^14:\d+:\d+$/),
+            centroid: { lat: expect.closeTo(-37.81835, 9), lon: expect.closeTo(144.96715, 9) },
+            count: 2,
+            available: 1,
+            occupied: 1,
+            occupancyRatio: 0.5,
+            bounds: { minLat: -37.8184, maxLat: -37.8183, minLon: 144.9671, maxLon: 144.9672 },
+        });
+        expect(clusters[1]).toMatchObject({ count: 1, available: 0, occupancyRatio: 1 });
+    });
+
+    it("merges more bays as the map zooms out", () => {
+        expect(clusterService.buildClusters(records, 10)).toEqual([
+            expect.objectContaining({ id: expect.stringMatching(/^10:/), count: 3 }),
+        ]);
+    });
+
+    it("builds the clusters of a snapshot and zoom once", () => {
+        const build = jest.spyOn(clusterService, "buildClusters");
+
+        const first = clusterService.getClusters(records, 12, 101);
+        expect(clusterService.getClusters(records, 12, 101)).toBe(first);
+        expect(build).toHaveBeenCalledTimes(1);
+
+        clusterService.getClusters(records, 13, 101);
+        clusterService.getClusters(records, 12, 102);
+        expect(build).toHaveBeenCalledTimes(3);
+    });
+
+    it("evicts the clusters of one snapshot", () => {
+        const build = jest.spyOn(clusterService, "buildClusters");
+
+        clusterService.getClusters(records, 12, 201);
+        clusterService.getClusters(records, 13, 201);
+        clusterService.getClusters(records, 12, 202);
+        clusterService.evict(201);
+
+        clusterService.getClusters(records, 12, 202);
+        expect(build).toHaveBeenCalledTimes(3);
+        clusterService.getClusters(records, 12, 201);
+        clusterService.getClusters(records, 13, 201);
+        expect(build).toHaveBeenCalledTimes(5);
+    });
+
+    it("keeps the clusters whose centroid is inside a bounding box", () => {
+        const clusters = clusterService.buildClusters(records, 14);
+        const bbox = { minLon: 144.96, minLat: -37.82, maxLon: 144.97, maxLat: -37.815 };
+
+        expect(clusterService.filterByBbox(clusters, bbox)).toEqual([clusters[0]]);
+    });
+
+    it("switches to individual bays from the maximum cluster zoom", () => {
+        expect(clusterService.showsIndividualBays(16)).toBe(false);
+        expect(clusterService.showsIndividualBays(17)).toBe(true);
+    });
+});
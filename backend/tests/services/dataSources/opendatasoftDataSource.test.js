@@ -0,0 +1,110 @@
+const http = require("http");
+const OpendatasoftDataSource = require("../../../src/services/dataSources/opendatasoftDataSource");
+
+const buildRecord = (i) => ({
+    lastupdated: "2025-07-20T03:15:24+00:00",
+    status_timestamp: "2025-07-20T03:10:00+00:00",
+    zone_number: 7000 + (i % 5),
+    status_description: i % 2 === 0 ? "Present" : "Unoccupied",
+    kerbsideid: 60000 + i,
+    location: { lon: 144.96 + i / 10000, lat: -37.81 - i / 10000 },
+});
+
+describe("OpendatasoftDataSource", () => {
+    let server;
+    let apiUrl;
+    let dataset;
+    let requests;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, "http://localhost");
+            requests.push(url);
+
+            if (url.pathname === "/catalog/datasets/on-street-parking-bay-sensors/exports/json") {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                return res.end(JSON.stringify(dataset));
+            }
+            if (url.pathname !== "/catalog/datasets/on-street-parking-bay-sensors/records") {
+                res.writeHead(404);
+                return res.end();
+            }
+
+            const limit = parseInt(url.searchParams.get("limit"));
+            const offset = parseInt(url.searchParams.get("offset"));
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(
+                JSON.stringify({
+                    total_count: dataset.length,
+                    results: dataset.slice(offset, offset + limit),
+                })
+            );
+        });
+
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        dataset = Array.from({ length: 25 }, (_, i) => buildRecord(i));
+    });
+
+    it("pages through the records endpoint until the dataset is exhausted", async () => {
+        const source = new OpendatasoftDataSource({ apiUrl, pageSize: 10 });
+
+        const records = await source.fetchRecords();
+
+        expect(records).toHaveLength(25);
+        expect(requests.map((url) => url.searchParams.get("offset"))).toEqual(["0", "10", "20"]);
+    });
+
+    it("downloads the export when the dataset exceeds the pagination window", async () => {
+        const source = new OpendatasoftDataSource({ apiUrl, pageSize: 10, offsetWindow: 20 });
+
+        const records = await source.fetchRecords();
+
+        expect(records).toHaveLength(25);
+        expect(records[24]).toMatchObject({ bay_id: "60024", row_number: "25" });
+        expect(requests.map((url) => url.pathname.split("/").pop())).toEqual(["records", "json"]);
+    });
+
+    it("produces the raw record shape used by the scraper", async () => {
+        const source = new OpendatasoftDataSource({ apiUrl, pageSize: 10 });
+
+        const [first] = await source.fetchRecords();
+
+        expect(first).toEqual({
+            bay_id: "60000",
+            st_marker_id: "60000",
+            status: "Present",
+            lat: "-37.81",
+            lon: "144.96",
+            lastupdated: "2025-07-20T03:15:24+00:00",
+            status_timestamp: "2025-07-20T03:10:00+00:00",
+            zone_number: "7000",
+            row_number: "1",
+        });
+    });
+
+    it("skips records without a kerbside id, status or location", async () => {
+        dataset[3].kerbsideid = null;
+        dataset[4].status_description = "";
+        dataset[5].location = null;
+        const source = new OpendatasoftDataSource({ apiUrl, pageSize: 10 });
+
+        const records = await source.fetchRecords();
+
+        expect(records).toHaveLength(22);
+    });
+
+    it("rejects responses without a results array", async () => {
+        const source = new OpendatasoftDataSource({ apiUrl, dataset: "unknown", pageSize: 10 });
+
+        await expect(source.fetchRecords()).rejects.toThrow();
+    });
+});
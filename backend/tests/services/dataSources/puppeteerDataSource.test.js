@@ -0,0 +1,207 @@
+// Runs the real scraper in a headless browser against recorded Opendatasoft pages served
+// from a local server. Record a fresh fixture with `npm run record:fixture`.
+jest.mock("../../../src/services/historyStore", () => ({ recordScrape: jest.fn() }));
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const PuppeteerDataSource = require("../../../src/services/dataSources/puppeteerDataSource");
+const parkingScraperService = require("../../../src/services/parkingScraperService");
+
+const FIXTURES_DIR = path.join(__dirname, "../../fixtures/opendatasoft");
+
+// Short waits: fixtures render immediately, only the paginated one loads rows on scroll
+const TIMEOUTS = {
+    navigation: 5000,
+    table: 1500,
+    rows: 1500,
+    settle: 50,
+    scroll: 300,
+    finalScroll: 300,
+};
+
+// Needs a browser from `npx puppeteer browsers install chrome` (or PUPPETEER_EXECUTABLE_PATH)
+const hasBrowser = (() => {
+    try {
+        return fs.existsSync(puppeteer.executablePath());
+    } catch (error) {
+        return false;
+    }
+})();
+
+const describeWithBrowser = hasBrowser ? describe : describe.skip;
+
+jest.setTimeout(30000);
+
+describeWithBrowser("PuppeteerDataSource against recorded fixtures", () => {
+    let server;
+    let baseUrl;
+    let source;
+
+    const fixtureUrl = (name) => `${baseUrl}/${name}.html`;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            // Accepts the connection and never answers, like a stalled upstream
+            if (req.url === "/hang") {
+                return;
+            }
+
+            const file = path.join(FIXTURES_DIR, path.basename(req.url));
+            if (!fs.existsSync(file)) {
+                res.writeHead(404);
+                return res.end();
+            }
+
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            fs.createReadStream(file).pipe(res);
+        });
+
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        source = new PuppeteerDataSource({ timeouts: TIMEOUTS });
+    });
+
+    afterAll(async () => {
+        await source.cleanup();
+        await parkingScraperService.dataSource.cleanup();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    describe("fetchRecords", () => {
+        it("maps every row of the table page", async () => {
+            source.url = fixtureUrl("table");
+
+            const records = await source.fetchRecords();
+
+            expect(records).toHaveLength(8);
+            expect(records[0]).toEqual({
+                bay_id: "60001",
+                st_marker_id: "60001",
+                status: "Unoccupied",
+                lat: "-37.8101",
+                lon: "144.9601",
+                lastupdated: "2025-07-20T03:01:00+00:00",
+                status_timestamp: "2025-07-20T02:01:00+00:00",
+                zone_number: "7001",
+                row_number: "1",
+            });
+            expect(source.lastReport).toMatchObject({ rows: 8, skipped: 0, unmappedColumns: [] });
+        });
+
+        it("scrolls until lazily loaded rows stop appearing", async () => {
+            source.url = fixtureUrl("paginated");
+
+            const records = await source.fetchRecords();
+
+            expect(records).toHaveLength(60);
+            expect(records[59].bay_id).toBe("60060");
+            expect(new Set(records.map((record) => record.bay_id)).size).toBe(60);
+        });
+
+        it("skips rows with missing cells and reports why", async () => {
+            source.url = fixtureUrl("missing-cells");
+
+            const records = await source.fetchRecords();
+
+            expect(records.map((record) => record.bay_id)).toEqual(["60001", "60005", "60006"]);
+            expect(source.lastReport).toMatchObject({
+                rows: 6,
+                skipped: 3,
+                reasons: {
+                    "expected 7 cells": 1,
+                    "missing bay id": 1,
+                    "missing status": 1,
+                },
+            });
+        });
+
+        it("skips rows with malformed coordinates", async () => {
+            source.url = fixtureUrl("malformed-coordinates");
+
+            const records = await source.fetchRecords();
+
+            expect(records.map((record) => record.bay_id)).toEqual(["60001", "60005"]);
+            expect(source.lastReport.reasons).toEqual({ "invalid location": 3 });
+        });
+
+        it("maps columns by header when they are reordered", async () => {
+            source.url = fixtureUrl("reordered-columns");
+
+            const records = await source.fetchRecords();
+
+            expect(records).toHaveLength(4);
+            expect(records[1]).toMatchObject({
+                bay_id: "60002",
+                status: "Present",
+                lat: "-37.8102",
+                zone_number: "7002",
+                lastupdated: "2025-07-20T03:02:00+00:00",
+            });
+        });
+
+        it("rejects a page whose location column was renamed", async () => {
+            source.url = fixtureUrl("schema-drift");
+
+            await expect(source.fetchRecords()).rejects.toMatchObject({
+                name: "SchemaDriftError",
+                missing: ["location"],
+            });
+        });
+
+        it("times out when the table has no rows", async () => {
+            source.url = fixtureUrl("empty");
+
+            await expect(source.fetchRecords()).rejects.toMatchObject({ name: "TimeoutError" });
+        });
+
+        it("times out when the page never responds", async () => {
+            source.url = `${baseUrl}/hang`;
+
+            await expect(source.fetchRecords()).rejects.toMatchObject({ name: "TimeoutError" });
+        });
+    });
+
+    describe("scrapeParkingData", () => {
+        let scraperSource;
+
+        beforeAll(async () => {
+            scraperSource = new PuppeteerDataSource({ timeouts: TIMEOUTS });
+            await parkingScraperService.setDataSource(scraperSource);
+        });
+
+        it("serves live records scraped from the page", async () => {
+            scraperSource.url = fixtureUrl("table");
+
+            const snapshot = await parkingScraperService.scrapeParkingData();
+
+            expect(snapshot.records).toHaveLength(8);
+            expect(snapshot.provenance).toBe("live");
+            expect(parkingScraperService.lastScrapeReport).toMatchObject({ records: 8 });
+        });
+
+        it("falls back to last-known-good data when the page times out", async () => {
+            scraperSource.url = `${baseUrl}/hang`;
+
+            const snapshot = await parkingScraperService.scrapeParkingData();
+
+            expect(snapshot.records).toHaveLength(8);
+            expect(snapshot.provenance).toBe("last-known-good");
+            expect(parkingScraperService.lastFailure.reason).toMatch(/^Scrape failed: /);
+        });
+
+        it("reports the data as unavailable once last-known-good is too old", async () => {
+            scraperSource.url = fixtureUrl("empty");
+            parkingScraperService.maxDataAge = -1;
+
+            await expect(parkingScraperService.scrapeParkingData()).rejects.toMatchObject({
+                name: "DataUnavailableError",
+                statusCode: 503,
+            });
+            expect(() => parkingScraperService.getSnapshot()).toThrow("too old");
+        });
+    });
+});
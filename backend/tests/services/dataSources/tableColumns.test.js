@@ -0,0 +1,141 @@
+const {
+    normalizeHeader,
+    resolveColumns,
+    parseLocation,
+    mapTableRows,
+} = require("../../../src/services/dataSources/tableColumns");
+const { SchemaDriftError } = require("../../../src/utils/errors");
+
+// The portal's table, with the columns in another order than the mapping
+const HEADERS = [
+    "Location",
+    "KerbsideID",
+    "Status_Description",
+    "Zone_Number",
+    "Status_Timestamp",
+    "Lastupdated",
+];
+
+const row = (bayId, status = "Present", location = "-37.8136, 144.9631") => [
+    location,
+    bayId,
+    status,
+    "7001",
+    "2025-07-20T02:00:00+00:00",
+    "2025-07-20T03:00:00+00:00",
+];
+
+describe("tableColumns", () => {
+    describe("resolveColumns", () => {
+        it("finds mapped columns whatever their order and spelling", () => {
+            expect(normalizeHeader("Status_Timestamp")).toBe(normalizeHeader("status timestamp"));
+
+            expect(
+                resolveColumns(["kerbside id", "STATUS DESCRIPTION", "location", "Extra"])
+            ).toEqual({ bay_id: 0, status: 1, location: 2 });
+        });
+
+        it("accepts alternative names for a field", () => {
+            const mapping = { bay_id: ["KerbsideID", "Bay ID"], status: "Status", location: "Loc" };
+
+            expect(resolveColumns(["Loc", "Status", "Bay ID"], mapping)).toEqual({
+                bay_id: 2,
+                status: 1,
+                location: 0,
+            });
+        });
+
+        it("throws a SchemaDriftError naming the missing required fields", () => {
+            const headers = ["Kerbside", "Status_Description", "Position", ""];
+
+            expect(() => resolveColumns(headers)).toThrow(SchemaDriftError);
+            expect(() => resolveColumns(headers)).toThrow(
+                expect.objectContaining({
+                    statusCode: 502,
+                    missing: ["bay_id", "location"],
+                    headers,
+                    message:
+                        "Schema drift: missing columns for bay_id, location " +
+                        "(page headers: Kerbside, Status_Description, Position)",
+                })
+            );
+        });
+    });
+
+    describe("parseLocation", () => {
+        it("splits a lat, lon cell", () => {
+            expect(parseLocation("-37.8136, 144.9631")).toEqual({
+                lat: "-37.8136",
+                lon: "144.9631",
+            });
+            expect(parseLocation("-37.8136")).toBeNull();
+            expect(parseLocation("north, 144.9631")).toBeNull();
+            expect(parseLocation(", 144.9631")).toBeNull();
+        });
+    });
+
+    describe("mapTableRows", () => {
+        it("maps cells to records and reports the rows it skipped", () => {
+            const { records, report } = mapTableRows(HEADERS, [
+                row("1"),
+                row("2", "Unoccupied"),
+                row("", "Present"),
+                row("4", ""),
+                row("5", "Present", "unknown"),
+                ["-37.8, 144.9", "6"],
+            ]);
+
+            expect(records).toEqual([
+                {
+                    bay_id: "1",
+                    st_marker_id: "1",
+                    status: "Present",
+                    lat: "-37.8136",
+                    lon: "144.9631",
+                    lastupdated: "2025-07-20T03:00:00+00:00",
+                    status_timestamp: "2025-07-20T02:00:00+00:00",
+                    zone_number: "7001",
+                    row_number: "1",
+                },
+                expect.objectContaining({ bay_id: "2", status: "Unoccupied", row_number: "2" }),
+            ]);
+            expect(report).toEqual({
+                rows: 6,
+                records: 2,
+                skipped: 4,
+                reasons: {
+                    "missing bay id": 1,
+                    "missing status": 1,
+                    "invalid location": 1,
+                    "expected 6 cells": 1,
+                },
+                unmappedColumns: [],
+            });
+        });
+
+        it("leaves optional fields empty when their column is gone", () => {
+            const { records, report } = mapTableRows(
+                ["KerbsideID", "Status_Description", "Location"],
+                [["1", "Present", "-37.8136, 144.9631"]]
+            );
+
+            expect(records[0]).toMatchObject({
+                bay_id: "1",
+                lastupdated: "",
+                status_timestamp: "",
+                zone_number: "",
+            });
+            expect(report.unmappedColumns).toEqual([
+                "lastupdated",
+                "status_timestamp",
+                "zone_number",
+            ]);
+        });
+
+        it("refuses a table without the required columns", () => {
+            expect(() => mapTableRows(["Bay", "Status"], [["1", "Present"]])).toThrow(
+                "Schema drift: missing columns for status, bay_id, location"
+            );
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const eventFeed = require("../../src/services/eventFeed");
+
+const record = (bayId, status) => ({
+    bay_id: bayId,
+    status,
+    lat: "-37.8136",
+    lon: "144.9631",
+    zone_number: "7001",
+    status_timestamp: "2025-07-20T02:00:00+00:00",
+});
+
+describe("EventFeed", () => {
+    beforeAll(() => {
+        eventFeed.bufferSize = 3;
+    });
+
+    it("sets the baseline on the first scrape and records transitions after it", () => {
+        expect(eventFeed.ingest([record("1", "Present"), record("2", "Unoccupied")], 0)).toEqual(
+            []
+        );
+
+        const events = eventFeed.ingest(
+            [record("1", "Unoccupied"), record("2", "Present"), record("3", "Present")],
+            Date.parse("2025-07-20T03:00:00Z")
+        );
+
+        expect(events).toEqual([
+            expect.objectContaining({
+                id: eventFeed.cursor(1),
+                type: "departure",
+                bayId: "1",
+                oldStatus: "Present",
+                newStatus: "Unoccupied",
+                location: { lat: -37.8136, lon: 144.9631 },
+                detectedAt: "2025-07-20T03:00:00.000Z",
+            }),
+            expect.objectContaining({ id: eventFeed.cursor(2), type: "arrival", bayId: "2" }),
+        ]);
+    });
+
+    it("ignores statuses other than present and unoccupied", () => {
+        expect(eventFeed.ingest([record("1", "Unknown"), record("2", "Present")])).toEqual([]);
+        expect(eventFeed.ingest([record("1", "Present"), record("2", "Present")])).toEqual([]);
+    });
+
+    it("pages through events with cursors carrying the feed epoch", () => {
+        expect(eventFeed.cursor(2)).toBe(`${eventFeed.epoch}-2`);
+
+        const first = eventFeed.getEventsSince(null, 1);
+        expect(first).toMatchObject({ hasMore: true, truncated: false, reset: false });
+        expect(first.events.map((event) => event.bayId)).toEqual(["1"]);
+
+        const second = eventFeed.getEventsSince(first.nextCursor, 1);
+        expect(second.events.map((event) => event.bayId)).toEqual(["2"]);
+        expect(second.hasMore).toBe(false);
+
+        // Nothing new: the cursor stays where it is
+        expect(eventFeed.getEventsSince(second.nextCursor, 10)).toMatchObject({
+            events: [],
+            nextCursor: second.nextCursor,
+            reset: false,
+        });
+    });
+
+    it("flags events evicted from the buffer as truncated", () => {
+        const cursor = eventFeed.cursor(1);
+        eventFeed.ingest([record("1", "Unoccupied"), record("2", "Unoccupied")]);
+        eventFeed.ingest([record("1", "Present"), record("2", "Present")]);
+
+        // Events 3 to 6, the buffer keeps 4 to 6
+        const result = eventFeed.getEventsSince(cursor, 10);
+        expect(result.truncated).toBe(true);
+        expect(result.events.map((event) => event.id)).toEqual(
+            [4, 5, 6].map((sequence) => eventFeed.cursor(sequence))
+        );
+    });
+
+    it("asks for a reset on cursors of an earlier run, ahead of the feed or malformed", () => {
+        ["xyz-1", "1", eventFeed.cursor(7), "not a cursor"].forEach((cursor) => {
+            expect(eventFeed.parseCursor(cursor)).toBeNull();
+            expect(eventFeed.getEventsSince(cursor, 10)).toEqual({
+                events: [],
+                nextCursor: eventFeed.cursor(6),
+                hasMore: false,
+                truncated: false,
+                reset: true,
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+process.env.HISTORY_DIR = dir;
+
+const historyStore = require("../../src/services/historyStore");
+
+const bay = (bayId, status, statusTimestamp) => ({
+    bay_id: bayId,
+    status,
+    status_timestamp: statusTimestamp,
+    zone_number: "7001",
+    lat: "-37.8136",
+    lon: "144.9631",
+});
+
+const at = (time) => new Date(`2025-07-01T${time}:00Z`);
+const dayStart = at("00:00");
+const dayEnd = at("23:59");
+const file = path.join(dir, "2025-07-01.ndjson");
+
+const scrape = (time, records) =>
+    historyStore.recordScrape({ scrapedAt: at(time), source: "stub", records });
+
+const statuses = (timeline) =>
+    timeline.map(({ scrapedAt, status }) => [scrapedAt.slice(11, 16), status]);
+
+describe("HistoryStore", () => {
+    beforeAll(async () => {
+        historyStore.retentionDays = 30;
+        historyStore.compactAfterDays = 7;
+        historyStore.compactIntervalMs = 15 * 60 * 1000;
+
+        await scrape("00:00", [bay("1", "Present", "T1"), bay("2", "Unoccupied", "T1")]);
+        await scrape("00:05", [bay("1", "Unoccupied", "T2"), bay("2", "Unoccupied", "T1")]);
+        await scrape("00:10", [bay("1", "Unoccupied", "T2"), bay("2", "Present", "T3")]);
+        await scrape("00:20", [bay("1", "Present", "T4")]);
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("stores a full entry, then only the bays that changed", () => {
+        const entries = fs
+            .readFileSync(file, "utf8")
+            .trim()
+            .split("\n")
+            .map((line) => JSON.parse(line));
+
+        expect(entries.map((entry) => entry.type)).toEqual(["full", "delta", "delta", "delta"]);
+        expect(Object.keys(entries[1].bays)).toEqual(["1"]);
+        expect(entries[3]).toMatchObject({ bays: { 1: expect.any(Array) }, removed: ["2"] });
+    });
+
+    it("replays the timelines of a bay and an area", async () => {
+        expect(statuses(await historyStore.getBayTimeline("1", dayStart, dayEnd))).toEqual([
+            ["00:00", "Present"],
+            ["00:05", "Unoccupied"],
+            ["00:20", "Present"],
+        ]);
+
+        const area = await historyStore.getAreaTimeline(() => true, dayStart, dayEnd);
+        expect(area.map(({ total, available }) => [total, available])).toEqual([
+            [2, 1],
+            [2, 2],
+            [2, 1],
+            [1, 0],
+        ]);
+    });
+
+    it("starts a range from the state stored before it", async () => {
+        expect(statuses(await historyStore.getBayTimeline("1", at("00:07"), dayEnd))).toEqual([
+            ["00:10", "Unoccupied"],
+            ["00:20", "Present"],
+        ]);
+    });
+
+    it("skips lines it cannot read", async () => {
+        // A write cut short by a crash
+        fs.appendFileSync(file, '{"scrapedAt":"2025-07-01T00:3\n');
+        await scrape("00:40", [bay("1", "Unoccupied", "T5")]);
+
+        expect(statuses(await historyStore.getBayTimeline("1", at("00:15"), dayEnd))).toEqual([
+            ["00:20", "Present"],
+            ["00:40", "Unoccupied"],
+        ]);
+    });
+
+    it("leaves a day untouched when compacting it fails", async () => {
+        const before = fs.readFileSync(file, "utf8");
+        jest.spyOn(fs.promises, "rename").mockRejectedValueOnce(new Error("disk full"));
+
+        await expect(historyStore.compactFile("2025-07-01")).rejects.toThrow("disk full");
+
+        expect(fs.readFileSync(file, "utf8")).toBe(before);
+        expect(fs.readdirSync(dir)).toEqual(["2025-07-01.ndjson"]);
+    });
+
+    it("downsamples old days and deletes days past retention on a new day", async () => {
+        fs.writeFileSync(path.join(dir, "2025-06-01.ndjson"), "");
+
+        await historyStore.recordScrape({
+            scrapedAt: new Date("2025-07-10T00:00:00Z"),
+            source: "stub",
+            records: [bay("1", "Present", "T6")],
+        });
+
+        expect(fs.readdirSync(dir).sort()).toEqual(["2025-07-01.ndjson", "2025-07-10.ndjson"]);
+
+        const entries = fs
+            .readFileSync(file, "utf8")
+            .trim()
+            .split("\n")
+            .map((line) => JSON.parse(line));
+        expect(entries.map((entry) => [entry.scrapedAt.slice(11, 16), entry.compacted])).toEqual([
+            ["00:10", true],
+            ["00:20", true],
+            ["00:40", true],
+        ]);
+
+        expect(statuses(await historyStore.getBayTimeline("1", dayStart, dayEnd))).toEqual([
+            ["00:10", "Unoccupied"],
+            ["00:20", "Present"],
+            ["00:40", "Unoccupied"],
+        ]);
+    });
+});
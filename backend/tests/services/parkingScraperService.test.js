@@ -0,0 +1,214 @@
+jest.mock("../../src/services/historyStore", () => ({ recordScrape: jest.fn() }));
+
+const parkingScraperService = require("../../src/services/parkingScraperService");
+const clusterService = require("../../src/services/clusterService");
+
+const record = (bayId, status = "Unoccupied") => ({
+    bay_id: bayId,
+    st_marker_id: bayId,
+    status,
+    lat: "-37.8136",
+    lon: "144.9631",
+    lastupdated: "2025-07-20T03:00:00+00:00",
+    status_timestamp: "2025-07-20T02:00:00+00:00",
+    zone_number: "7001",
+});
+
+describe("ParkingScraperService snapshots", () => {
+    let fetchRecords;
+    let release;
+
+    beforeAll(async () => {
+        // Each fetch waits for release(records) or release(error)
+        fetchRecords = jest.fn(
+            () =>
+                new Promise((resolve, reject) => {
+                    release = (result) =>
+                        result instanceof Error ? reject(result) : resolve(result);
+                })
+        );
+
+        await parkingScraperService.setDataSource({
+            name: "stub",
+            isInitialized: true,
+            fetchRecords,
+            cleanup: async () => {},
+        });
+    });
+
+    it("answers reads with a 503 before the first scrape", () => {
+        expect(() => parkingScraperService.getSnapshot()).toThrow(
+            expect.objectContaining({
+                name: "DataUnavailableError",
+                retryAfter: expect.any(Number),
+            })
+        );
+        expect(() => parkingScraperService.getAvailableSpots()).toThrow("no successful scrape");
+    });
+
+    it("shares one scrape between concurrent callers", async () => {
+        const first = parkingScraperService.scrapeParkingData();
+        const second = parkingScraperService.scrapeParkingData();
+        release([record("1"), record("2", "Present")]);
+
+        const [a, b] = await Promise.all([first, second]);
+
+        expect(fetchRecords).toHaveBeenCalledTimes(1);
+        expect(a).toBe(b);
+        expect(a).toMatchObject({ version: 1, provenance: "live", source: "stub" });
+    });
+
+    it("serves reads synchronously from the published snapshot", () => {
+        expect(parkingScraperService.getStatistics()).toMatchObject({
+            total: 2,
+            available: 1,
+            occupied: 1,
+        });
+        expect(parkingScraperService.getBayInfo("2")).toMatchObject({ bayId: "2" });
+    });
+
+    it("keeps the snapshot a reader holds unchanged while the next one is published", async () => {
+        const held = parkingScraperService.getSnapshot();
+
+        const next = parkingScraperService.scrapeParkingData();
+        release([record("1", "Present")]);
+        await next;
+
+        expect(Object.isFrozen(held)).toBe(true);
+        expect(Object.isFrozen(held.records[0])).toBe(true);
+        expect(held.records.map((spot) => spot.status)).toEqual(["Unoccupied", "Present"]);
+        expect(parkingScraperService.getSnapshot()).toMatchObject({ version: 2 });
+        expect(parkingScraperService.getSnapshot().records).toHaveLength(1);
+    });
+
+    it("republishes last-known-good records when a scrape fails", async () => {
+        const live = parkingScraperService.getSnapshot();
+
+        const next = parkingScraperService.scrapeParkingData();
+        release(new Error("Navigation timeout"));
+        const snapshot = await next;
+
+        expect(snapshot).toMatchObject({
+            version: 3,
+            provenance: "last-known-good",
+            scrapedAt: live.scrapedAt,
+        });
+        expect(snapshot.records).toBe(live.records);
+    });
+
+    it("reports bays added, changed and removed since an earlier version", async () => {
+        const next = parkingScraperService.scrapeParkingData();
+        release([record("1"), record("3", "Present")]);
+        const snapshot = await next;
+
+        // Version 2 held only bay 1, occupied
+        expect(parkingScraperService.getChangesSince(2)).toMatchObject({
+            version: snapshot.version,
+            sinceVersion: 2,
+            full: false,
+            added: [{ bayId: "3" }],
+            changed: [{ bayId: "1", status: "Unoccupied" }],
+            removed: [],
+        });
+        expect(parkingScraperService.getChangesSince(1).removed).toEqual(["2"]);
+        expect(parkingScraperService.getChangesSince(snapshot.version)).toMatchObject({
+            added: [],
+            changed: [],
+            removed: [],
+        });
+    });
+
+    it("returns every bay when the version is not retained", () => {
+        expect(parkingScraperService.getChangesSince(999)).toMatchObject({
+            full: true,
+            added: [{ bayId: "1" }, { bayId: "3" }],
+        });
+    });
+
+    it("evicts the clusters of the snapshot it replaces", () => {
+        const evict = jest.spyOn(clusterService, "evict");
+        const { version } = parkingScraperService.getSnapshot();
+
+        parkingScraperService.publish([record("1")], { provenance: "live", source: "stub" });
+
+        expect(evict).toHaveBeenCalledWith(version);
+        evict.mockRestore();
+    });
+});
+
+describe("ParkingScraperService fallback", () => {
+    const start = Date.parse("2025-07-20T03:00:00Z");
+    const fetchRecords = jest.fn();
+
+    const reset = ({ mockData = false } = {}) => {
+        parkingScraperService.snapshot = null;
+        parkingScraperService.provenance = null;
+        parkingScraperService.lastGood = null;
+        parkingScraperService.lastScrapeTime = null;
+        parkingScraperService.mockDataEnabled = mockData;
+    };
+
+    beforeAll(async () => {
+        jest.useFakeTimers({ now: start });
+        parkingScraperService.maxDataAge = 30 * 60 * 1000;
+        await parkingScraperService.setDataSource({
+            name: "stub",
+            isInitialized: true,
+            fetchRecords,
+            cleanup: async () => {},
+        });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    it("serves the last real scrape after an empty one, with its age", async () => {
+        reset();
+        fetchRecords.mockResolvedValueOnce([record("1")]).mockResolvedValueOnce([]);
+        await parkingScraperService.scrapeParkingData();
+
+        jest.advanceTimersByTime(10 * 60 * 1000);
+        const snapshot = await parkingScraperService.scrapeParkingData();
+
+        expect(snapshot).toMatchObject({ provenance: "last-known-good", scrapedAt: start });
+        expect(parkingScraperService.lastFailure).toMatchObject({ type: "EmptyScrape" });
+        expect(parkingScraperService.getProvenance()).toEqual({
+            dataSource: "last-known-good",
+            version: snapshot.version,
+            dataAge: 600,
+        });
+    });
+
+    it("answers 503 once the last real scrape is older than the maximum age", async () => {
+        jest.advanceTimersByTime(21 * 60 * 1000);
+
+        // The served snapshot expires even before the next scrape
+        expect(() => parkingScraperService.getSnapshot()).toThrow(
+            "the last successful scrape is too old"
+        );
+
+        fetchRecords.mockRejectedValueOnce(new Error("Navigation timeout"));
+        await expect(parkingScraperService.scrapeParkingData()).rejects.toMatchObject({
+            name: "DataUnavailableError",
+            statusCode: 503,
+            retryAfter: expect.any(Number),
+        });
+        expect(parkingScraperService.getProvenance().dataSource).toBeNull();
+        expect(parkingScraperService.lastFailure).toMatchObject({
+            reason: "Scrape failed: Navigation timeout",
+            type: "Error",
+        });
+    });
+
+    it("falls back to mock data only when it is enabled", async () => {
+        reset({ mockData: true });
+        fetchRecords.mockRejectedValueOnce(new Error("Navigation timeout"));
+
+        const snapshot = await parkingScraperService.scrapeParkingData();
+
+        expect(snapshot).toMatchObject({ provenance: "mock", source: "mock" });
+        expect(snapshot.records).toHaveLength(100);
+        expect(parkingScraperService.lastGood).toBeNull();
+    });
+});
@@ -0,0 +1,129 @@
+const restrictionService = require("../../src/services/restrictionService");
+
+// Melbourne is UTC+10, or UTC+11 under daylight saving (October to April)
+const clockAt = (iso) => restrictionService.clockAt(new Date(iso));
+
+const rule = (zone, display, days, start, finish, extra = {}) => ({
+    zone,
+    display,
+    days,
+    start,
+    finish,
+    ...extra,
+});
+
+describe("RestrictionService", () => {
+    beforeAll(() => {
+        restrictionService.setRules([
+            // A 2P ends at the No Stopping that follows it
+            rule("7001", "2P", "Mon-Fri", "08:00", "16:00"),
+            rule("7001", "No Stopping", "Mon-Fri", "16:00", "18:00"),
+            // Paid parking without a time limit, then a clearway
+            rule("7002", "Meter", "Mon-Fri", "07:30", "16:30", { paid: "yes" }),
+            rule("7002", "No Stopping", "Mon-Fri", "16:30", "18:30"),
+            // Overnight rule
+            rule("7003", "1P", "Sat", "22:00", "02:00"),
+            rule("7004", "LZ30", "Mon-Sat", "7:00 AM", "7:00 PM"),
+            // Unreadable rows are dropped
+            rule("7005", "2P", "Someday", "08:00", "16:00"),
+        ]);
+    });
+
+    describe("clockAt", () => {
+        it("reads the day and time in Melbourne", () => {
+            // Sunday 20 July 2025, 23:30 UTC is Monday 09:30 in Melbourne
+            expect(clockAt("2025-07-20T23:30:00Z")).toEqual({ day: 1, minutes: 9 * 60 + 30 });
+            expect(clockAt("2025-07-21T13:59:00Z")).toEqual({ day: 1, minutes: 23 * 60 + 59 });
+            expect(clockAt("2025-07-21T14:00:00Z")).toEqual({ day: 2, minutes: 0 });
+        });
+
+        it("follows daylight saving changes", () => {
+            // Clocks go forward from 02:00 to 03:00 on Sunday 5 October 2025
+            expect(clockAt("2025-10-04T15:59:00Z")).toEqual({ day: 0, minutes: 60 + 59 });
+            expect(clockAt("2025-10-04T16:00:00Z")).toEqual({ day: 0, minutes: 3 * 60 });
+
+            // And back from 03:00 to 02:00 on Sunday 6 April 2025: 02:30 happens twice
+            expect(clockAt("2025-04-05T15:30:00Z")).toEqual({ day: 0, minutes: 2 * 60 + 30 });
+            expect(clockAt("2025-04-05T16:30:00Z")).toEqual({ day: 0, minutes: 2 * 60 + 30 });
+        });
+    });
+
+    describe("describe", () => {
+        it("returns null for zones without data", () => {
+            expect(restrictionService.describe("9999", clockAt("2025-07-21T00:00:00Z"))).toBe(null);
+            expect(restrictionService.describe("7005", clockAt("2025-07-21T00:00:00Z"))).toBe(null);
+        });
+
+        it("describes the rule in force", () => {
+            // Monday 10:00
+            expect(restrictionService.describe("7001", clockAt("2025-07-21T00:00:00Z"))).toEqual({
+                active: true,
+                display: "2P",
+                timeLimitMinutes: 120,
+                paid: false,
+                loadingZone: false,
+                disabled: false,
+                days: "Mon-Fri",
+                hours: "08:00-16:00",
+                maxStayMinutes: 120,
+            });
+        });
+
+        it("caps the stay at the start of a stricter rule", () => {
+            // Monday 15:00, an hour before No Stopping
+            expect(restrictionService.describe("7001", clockAt("2025-07-21T05:00:00Z"))).toEqual(
+                expect.objectContaining({ display: "2P", maxStayMinutes: 60 })
+            );
+            // Monday 15:00, an unlimited paid stay until the clearway at 16:30
+            expect(restrictionService.describe("7002", clockAt("2025-07-21T05:00:00Z"))).toEqual(
+                expect.objectContaining({
+                    paid: true,
+                    timeLimitMinutes: null,
+                    maxStayMinutes: 90,
+                })
+            );
+            // Monday 17:00, during No Stopping
+            expect(restrictionService.describe("7001", clockAt("2025-07-21T07:00:00Z"))).toEqual(
+                expect.objectContaining({ display: "No Stopping", maxStayMinutes: 0 })
+            );
+        });
+
+        it("bounds the stay outside restricted hours by the next rule", () => {
+            // Monday 19:00: free until Tuesday 08:00, then two hours
+            expect(restrictionService.describe("7001", clockAt("2025-07-21T09:00:00Z"))).toEqual(
+                expect.objectContaining({ active: false, maxStayMinutes: 13 * 60 + 120 })
+            );
+            // Friday 19:00: free over the weekend until Monday 08:00
+            expect(
+                restrictionService.describe("7001", clockAt("2025-07-25T09:00:00Z")).maxStayMinutes
+            ).toBe((2 * 24 + 13) * 60 + 120);
+        });
+
+        it("applies overnight rules after midnight", () => {
+            // Sunday 01:00, under Saturday's 22:00-02:00 rule
+            expect(restrictionService.describe("7003", clockAt("2025-07-19T15:00:00Z"))).toEqual(
+                expect.objectContaining({ active: true, hours: "22:00-02:00", maxStayMinutes: 60 })
+            );
+        });
+
+        it("gives loading zones no stay for the general public", () => {
+            expect(restrictionService.describe("7004", clockAt("2025-07-21T00:00:00Z"))).toEqual(
+                expect.objectContaining({
+                    loadingZone: true,
+                    timeLimitMinutes: 30,
+                    maxStayMinutes: 0,
+                })
+            );
+        });
+    });
+
+    describe("canStay", () => {
+        it("checks the whole stay against the restrictions", () => {
+            const monday3pm = clockAt("2025-07-21T05:00:00Z");
+
+            expect(restrictionService.canStay("7001", 60, monday3pm)).toBe(true);
+            expect(restrictionService.canStay("7001", 61, monday3pm)).toBe(false);
+            expect(restrictionService.canStay("9999", 1, monday3pm)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const sensorHealthService = require("../../src/services/sensorHealthService");
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse("2025-07-20T12:00:00Z");
+const hoursAgo = (hours) => new Date(now - hours * HOUR).toISOString();
+
+const record = (bayId, status, extra = {}) => ({
+    bay_id: bayId,
+    zone_number: "7001",
+    status,
+    lastupdated: hoursAgo(0.1),
+    status_timestamp: hoursAgo(1),
+    ...extra,
+});
+
+describe("SensorHealthService", () => {
+    beforeEach(() => {
+        sensorHealthService.staleAfter = 6 * HOUR;
+        sensorHealthService.stuckAfter = 48 * HOUR;
+        sensorHealthService.flapTransitions = 4;
+        sensorHealthService.ingest([]);
+    });
+
+    it("classifies sensors from their timestamps", () => {
+        expect(sensorHealthService.classify(record("1", "Present"), now)).toBe("healthy");
+        expect(
+            sensorHealthService.classify(record("1", "Present", { lastupdated: hoursAgo(7) }), now)
+        ).toBe("stale");
+        expect(
+            sensorHealthService.classify(
+                record("1", "Present", { status_timestamp: hoursAgo(49) }),
+                now
+            )
+        ).toBe("stuck");
+        // Missing timestamps do not make a sensor unhealthy
+        expect(
+            sensorHealthService.classify(
+                record("1", "Present", { lastupdated: null, status_timestamp: "" }),
+                now
+            )
+        ).toBe("healthy");
+    });
+
+    it("counts transitions between scrapes, including flips back and forth", () => {
+        const scrape = (minutesBefore, status, statusTimestamp) =>
+            sensorHealthService.ingest(
+                [record("1", status, { status_timestamp: statusTimestamp })],
+                now - minutesBefore * 60 * 1000
+            );
+
+        scrape(50, "Present", "a");
+        scrape(40, "Unoccupied", "b");
+        // Same status with a new timestamp: it flipped and flipped back
+        scrape(30, "Unoccupied", "c");
+        expect(sensorHealthService.transitionsInLastHour("1", now)).toBe(3);
+        expect(sensorHealthService.classify(record("1", "Unoccupied"), now)).toBe("healthy");
+
+        scrape(20, "Present", "d");
+        expect(sensorHealthService.classify(record("1", "Present"), now)).toBe("flapping");
+
+        // Transitions older than an hour no longer count
+        expect(sensorHealthService.transitionsInLastHour("1", now + 25 * 60 * 1000)).toBe(3);
+    });
+
+    it("forgets bays missing from a scrape", () => {
+        sensorHealthService.ingest([record("1", "Present")], now - 2000);
+        sensorHealthService.ingest([record("1", "Unoccupied")], now - 1000);
+        expect(sensorHealthService.transitionsInLastHour("1", now)).toBe(1);
+
+        sensorHealthService.ingest([record("2", "Present")], now);
+        expect(sensorHealthService.transitionsInLastHour("1", now)).toBe(0);
+    });
+
+    it("reports health counts per zone", () => {
+        const report = sensorHealthService.getReport(
+            [
+                record("1", "Present"),
+                record("2", "Present", { lastupdated: hoursAgo(12) }),
+                record("3", "Present", { zone_number: "7002", status_timestamp: hoursAgo(72) }),
+                record("4", "Present", { zone_number: null }),
+            ],
+            now
+        );
+
+        expect(report.thresholds).toEqual({
+            staleHours: 6,
+            stuckHours: 48,
+            flapTransitionsPerHour: 4,
+        });
+        expect(report.summary).toEqual({
+            total: 4,
+            healthy: 2,
+            stale: 1,
+            stuck: 1,
+            flapping: 0,
+            healthyRatio: 0.5,
+        });
+        expect(
+            report.zones.map(({ zoneNumber, total, healthy }) => [zoneNumber, total, healthy])
+        ).toEqual([
+            ["7001", 2, 1],
+            ["7002", 1, 0],
+            [null, 1, 1],
+        ]);
+    });
+});
@@ -0,0 +1,100 @@
+const { SpatialIndex, haversine } = require("../../src/services/spatialIndex");
+
+// Deterministic pseudo-random bays scattered around the CBD
+const createRecords = (count) => {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2 ** 31;
+        return seed / 2 ** 31;
+    };
+
+    return Array.from({ length: count }, (_, i) => ({
+        bay_id: String(i),
+        status: i % 3 === 0 ? "Unoccupied" : "Present",
+        lat: String(-37.83 + random() * 0.04),
+        lon: String(144.94 + random() * 0.05),
+    }));
+};
+
+const bruteForce = (records, lat, lon) =>
+    records
+        .map((record) => ({
+            record,
+            distance: haversine(lat, lon, parseFloat(record.lat), parseFloat(record.lon)),
+        }))
+        .sort((a, b) => a.distance - b.distance);
+
+const ids = (results) => results.map((result) => (result.record || result).bay_id);
+
+describe("SpatialIndex", () => {
+    const records = createRecords(500);
+    const index = new SpatialIndex(0.005);
+    const center = { lat: -37.8136, lon: 144.9631 };
+
+    beforeAll(() => {
+        index.rebuild([...records, { bay_id: "no-location", lat: "", lon: "" }]);
+    });
+
+    it("skips records without a location", () => {
+        expect(index.size).toBe(records.length);
+    });
+
+    it("finds the bays within a radius, closest first", () => {
+        const expected = bruteForce(records, center.lat, center.lon).filter(
+            (result) => result.distance <= 800
+        );
+
+        expect(expected.length).toBeGreaterThan(10);
+        expect(ids(index.withinRadius(center.lat, center.lon, 800))).toEqual(ids(expected));
+    });
+
+    it("finds the k nearest bays, with a filter and a radius", () => {
+        const all = bruteForce(records, center.lat, center.lon);
+        expect(ids(index.nearest(center.lat, center.lon, 7))).toEqual(ids(all.slice(0, 7)));
+
+        const available = (record) => record.status === "Unoccupied";
+        expect(ids(index.nearest(center.lat, center.lon, 5, { filter: available }))).toEqual(
+            ids(all.filter((result) => available(result.record)).slice(0, 5))
+        );
+
+        const nearby = all.filter((result) => result.distance <= 150);
+        expect(ids(index.nearest(center.lat, center.lon, 50, { radius: 150 }))).toEqual(
+            ids(nearby)
+        );
+    });
+
+    it("searches from points outside the indexed area", () => {
+        const lat = -37.9;
+        const lon = 145.1;
+        expect(ids(index.nearest(lat, lon, 3))).toEqual(
+            ids(bruteForce(records, lat, lon).slice(0, 3))
+        );
+    });
+
+    it("finds the bays strictly inside a bounding box", () => {
+        const bounds = { minLat: -37.82, maxLat: -37.81, minLon: 144.95, maxLon: 144.97 };
+        const expected = records.filter((record) => {
+            const lat = parseFloat(record.lat);
+            const lon = parseFloat(record.lon);
+            return (
+                lat > bounds.minLat &&
+                lat < bounds.maxLat &&
+                lon > bounds.minLon &&
+                lon < bounds.maxLon
+            );
+        });
+
+        expect(ids(index.withinBounds(bounds)).sort()).toEqual(ids(expected).sort());
+    });
+
+    it("answers every query on an empty index", () => {
+        const empty = new SpatialIndex();
+        empty.rebuild([]);
+
+        expect(empty.withinRadius(center.lat, center.lon, 1000)).toEqual([]);
+        expect(empty.nearest(center.lat, center.lon, 5)).toEqual([]);
+        expect(empty.withinBounds({ minLat: -38, maxLat: -37, minLon: 144, maxLon: 145 })).toEqual(
+            []
+        );
+    });
+});
@@ -0,0 +1,110 @@
+jest.mock("../../src/services/parkingScraperService", () => ({
+    getSnapshot: jest.fn(),
+    transformSpotData: (records) =>
+        records.map((record) => ({
+            bayId: record.bay_id,
+            zoneNumber: record.zone_number,
+            location: { lat: -37.8136, lon: 144.9631 },
+        })),
+}));
+jest.mock("../../src/services/areaService", () => ({ contains: jest.fn() }));
+
+const parkingScraperService = require("../../src/services/parkingScraperService");
+const eventFeed = require("../../src/services/eventFeed");
+const streamService = require("../../src/services/streamService");
+const { DataUnavailableError } = require("../../src/utils/errors");
+
+const record = (bayId, status, zone = "7001") => ({
+    bay_id: bayId,
+    status,
+    lat: "-37.8136",
+    lon: "144.9631",
+    zone_number: zone,
+});
+
+/**
+ * Minimal response collecting the SSE messages written to it
+ */
+const createResponse = () => ({
+    messages: [],
+    writeHead: jest.fn(),
+    on: jest.fn(),
+    end: jest.fn(),
+    write(chunk) {
+        const [, id, event, data] = chunk.match(/^id: (.*)\nevent: (.*)\ndata: (.*)\n\n$/) || [];
+        if (event) {
+            this.messages.push({ id, event, data: JSON.parse(data) });
+        }
+    },
+});
+
+describe("StreamService resume", () => {
+    const scrapedAt = Date.parse("2025-07-20T03:00:00Z");
+
+    beforeAll(() => {
+        eventFeed.ingest([record("1", "Present"), record("2", "Present", "7002")]);
+        eventFeed.ingest([record("1", "Unoccupied"), record("2", "Unoccupied", "7002")]);
+
+        parkingScraperService.getSnapshot.mockReturnValue({
+            version: 4,
+            scrapedAt,
+            records: [record("1", "Unoccupied"), record("2", "Unoccupied", "7002")],
+        });
+    });
+
+    afterAll(() => {
+        streamService.closeAll();
+    });
+
+    it("replays the events after a known id", () => {
+        const res = createResponse();
+        streamService.addClient(res, { zones: ["7002"] }, eventFeed.cursor(0));
+
+        expect(res.messages).toEqual([
+            {
+                id: eventFeed.cursor(2),
+                event: "changes",
+                data: expect.objectContaining({
+                    replayed: true,
+                    count: 1,
+                    changes: [expect.objectContaining({ bayId: "2" })],
+                }),
+            },
+        ]);
+    });
+
+    it("sends a reset with the current bays for an id from before a restart", () => {
+        const res = createResponse();
+        streamService.addClient(res, { zones: ["7001"] }, "0-2");
+
+        expect(res.messages).toEqual([
+            {
+                id: eventFeed.cursor(),
+                event: "reset",
+                data: {
+                    reason: expect.stringContaining("restarted"),
+                    version: 4,
+                    scrapedAt: "2025-07-20T03:00:00.000Z",
+                    count: 1,
+                    spots: [expect.objectContaining({ bayId: "1" })],
+                },
+            },
+        ]);
+    });
+
+    it("sends a reset without bays while no data is available", () => {
+        parkingScraperService.getSnapshot.mockImplementationOnce(() => {
+            throw new DataUnavailableError("No data");
+        });
+        const res = createResponse();
+        streamService.addClient(res, {}, eventFeed.cursor(99));
+
+        expect(res.messages).toEqual([
+            {
+                id: eventFeed.cursor(),
+                event: "reset",
+                data: expect.objectContaining({ version: null, count: 0, spots: null }),
+            },
+        ]);
+    });
+});
@@ -0,0 +1,116 @@
+const { CircuitBreaker, BREAKER_STATES } = require("../../src/utils/circuitBreaker");
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe("CircuitBreaker", () => {
+    let transitions;
+    let breaker;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date("2025-07-20T03:00:00Z") });
+        transitions = [];
+        breaker = new CircuitBreaker({
+            failureThreshold: 3,
+            resetTimeout: 5 * MINUTE,
+            baseDelay: 10 * SECOND,
+            maxDelay: MINUTE,
+            jitter: 0,
+            onStateChange: (from, to) => transitions.push(`${from}->${to}`),
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it("backs off exponentially between consecutive failures", () => {
+        breaker.recordFailure();
+        expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+        expect(breaker.delayUntilNextAttempt()).toBe(10 * SECOND);
+        expect(breaker.canAttempt()).toBe(false);
+
+        jest.advanceTimersByTime(10 * SECOND);
+        expect(breaker.canAttempt()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.delayUntilNextAttempt()).toBe(20 * SECOND);
+        expect(breaker.consecutiveFailures).toBe(2);
+    });
+
+    it("caps the backoff and keeps jitter within bounds", () => {
+        const jittered = new CircuitBreaker({
+            baseDelay: 10 * SECOND,
+            maxDelay: MINUTE,
+            jitter: 0.5,
+            random: () => 0,
+        });
+
+        expect(jittered.backoffDelay(1)).toBe(5 * SECOND);
+        expect(jittered.backoffDelay(10)).toBe(30 * SECOND);
+
+        jittered.random = () => 0.999999;
+        expect(jittered.backoffDelay(1)).toBeLessThanOrEqual(15 * SECOND);
+        expect(jittered.backoffDelay(10)).toBe(MINUTE);
+    });
+
+    it("resets the failure count on success", () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordSuccess();
+
+        expect(breaker.consecutiveFailures).toBe(0);
+        expect(breaker.canAttempt()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+    });
+
+    it("opens after the failure threshold and half-opens after the reset timeout", () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+        expect(breaker.canAttempt()).toBe(false);
+        expect(breaker.delayUntilNextAttempt()).toBe(5 * MINUTE);
+
+        jest.advanceTimersByTime(5 * MINUTE - 1);
+        expect(breaker.canAttempt()).toBe(false);
+
+        jest.advanceTimersByTime(1);
+        expect(breaker.canAttempt()).toBe(true);
+        expect(breaker.state).toBe(BREAKER_STATES.HALF_OPEN);
+        expect(transitions).toEqual(["closed->open", "open->half-open"]);
+    });
+
+    it("closes when the half-open probe succeeds", () => {
+        [1, 2, 3].forEach(() => breaker.recordFailure());
+        jest.advanceTimersByTime(5 * MINUTE);
+        breaker.canAttempt();
+
+        breaker.recordSuccess();
+
+        expect(breaker.state).toBe(BREAKER_STATES.CLOSED);
+        expect(breaker.getState()).toMatchObject({
+            state: "closed",
+            consecutiveFailures: 0,
+            openedAt: null,
+            lastSuccessAt: "2025-07-20T03:05:00.000Z",
+        });
+        expect(transitions).toEqual(["closed->open", "open->half-open", "half-open->closed"]);
+    });
+
+    it("reopens for a full reset timeout when the probe fails", () => {
+        [1, 2, 3].forEach(() => breaker.recordFailure());
+        jest.advanceTimersByTime(5 * MINUTE);
+        breaker.canAttempt();
+
+        breaker.recordFailure();
+
+        expect(breaker.state).toBe(BREAKER_STATES.OPEN);
+        expect(breaker.getState().openedAt).toBe("2025-07-20T03:05:00.000Z");
+        expect(breaker.delayUntilNextAttempt()).toBe(5 * MINUTE);
+        expect(transitions).toEqual(["closed->open", "open->half-open", "half-open->open"]);
+    });
+});
@@ -0,0 +1,98 @@
+const { EventEmitter } = require("events");
+const {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    exportFilename,
+    streamExport,
+} = require("../../src/utils/export");
+
+const spot = (bayId, extra = {}) => ({
+    bayId,
+    status: "Unoccupied",
+    isAvailable: true,
+    location: { lat: -37.8136, lon: 144.9631 },
+    lastUpdated: "2025-07-20T03:00:00.000Z",
+    streetMarker: "C1234",
+    zoneNumber: "7001",
+    statusTimestamp: "2025-07-20T02:00:00+00:00",
+    restriction: null,
+    sensorHealth: "healthy",
+    ...extra,
+});
+
+/**
+ * Response whose buffer fills on the given write, asking the writer to wait for "drain"
+ */
+const createResponse = (fullOnWrite) => {
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.destroyed = false;
+    res.write = (chunk) => {
+        res.chunks.push(chunk);
+        return res.chunks.length !== fullOnWrite;
+    };
+    res.end = jest.fn();
+    return res;
+};
+
+describe("export", () => {
+    it("writes a CSV header and one escaped row per spot", () => {
+        const { header, row } = EXPORT_FORMATS.csv;
+
+        expect(header()).toBe(EXPORT_COLUMNS.map((column) => column.header).join(",") + "\n");
+        expect(row(spot("1", { streetMarker: 'Lt "A", rear' }))).toBe(
+            "1,Unoccupied,true,-37.8136,144.9631,2025-07-20T03:00:00.000Z," +
+                '"Lt ""A"", rear",7001,2025-07-20T02:00:00+00:00,' +
+                // The restriction columns stay empty without restriction data
+                ",,,,,,healthy\n"
+        );
+    });
+
+    it("writes one JSON document per line for NDJSON", () => {
+        const { header, row } = EXPORT_FORMATS.ndjson;
+
+        expect(header()).toBe("");
+        expect(JSON.parse(row(spot("1")))).toEqual(spot("1"));
+        expect(row(spot("1")).endsWith("}\n")).toBe(true);
+    });
+
+    it("names the file after the scrape time", () => {
+        expect(exportFilename("ndjson", Date.parse("2025-07-20T03:00:00.123Z"))).toBe(
+            "melbourne-parking-2025-07-20T03-00-00-123Z.ndjson"
+        );
+    });
+
+    it("waits for the response to drain before writing more", async () => {
+        const res = createResponse(2);
+        const done = streamExport(res, ["1", "2", "3"], (bayId) => spot(bayId), "ndjson");
+
+        // The header and first row filled the buffer
+        await new Promise(setImmediate);
+        expect(res.chunks).toHaveLength(2);
+        expect(res.end).not.toHaveBeenCalled();
+
+        res.emit("drain");
+        await done;
+
+        expect(res.chunks.slice(1).map((chunk) => JSON.parse(chunk).bayId)).toEqual([
+            "1",
+            "2",
+            "3",
+        ]);
+        expect(res.end).toHaveBeenCalledTimes(1);
+        expect(res.listenerCount("drain")).toBe(0);
+    });
+
+    it("stops when the client goes away", async () => {
+        const res = createResponse(2);
+        const done = streamExport(res, ["1", "2", "3"], (bayId) => spot(bayId), "csv");
+
+        await new Promise(setImmediate);
+        res.destroyed = true;
+        res.emit("close");
+        await done;
+
+        expect(res.chunks).toHaveLength(2);
+        expect(res.end).not.toHaveBeenCalled();
+    });
+});
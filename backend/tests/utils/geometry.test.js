@@ -0,0 +1,137 @@
+const {
+    validatePolygonGeometry,
+    geometryBounds,
+    pointInGeometry,
+    boundsToGeometry,
+    geometriesOverlap,
+} = require("../../src/utils/geometry");
+
+const ring = (minLon, minLat, maxLon, maxLat) =>
+    boundsToGeometry({ minLat, maxLat, minLon, maxLon }).coordinates[0];
+
+const polygon = (...rings) => ({ type: "Polygon", coordinates: rings });
+
+// A 2x2 square with a 1x1 hole in the middle
+const donut = polygon(ring(0, 0, 2, 2), ring(0.5, 0.5, 1.5, 1.5));
+
+describe("geometry", () => {
+    describe("validatePolygonGeometry", () => {
+        it("accepts polygons and multipolygons", () => {
+            expect(validatePolygonGeometry(donut)).toBeNull();
+            expect(
+                validatePolygonGeometry({
+                    type: "MultiPolygon",
+                    coordinates: [[ring(0, 0, 1, 1)], [ring(2, 2, 3, 3)]],
+                })
+            ).toBeNull();
+        });
+
+        it("explains what is wrong with a geometry", () => {
+            expect(validatePolygonGeometry({ type: "Point", coordinates: [0, 0] })).toMatch(
+                "Polygon or MultiPolygon"
+            );
+            expect(validatePolygonGeometry(polygon())).toMatch("at least one ring");
+            expect(
+                validatePolygonGeometry(
+                    polygon([
+                        [0, 0],
+                        [1, 0],
+                        [0, 0],
+                    ])
+                )
+            ).toMatch("at least 4 positions");
+            expect(
+                validatePolygonGeometry(
+                    polygon([
+                        [0, 0],
+                        [1, 0],
+                        [1, 1],
+                        [0, 1],
+                    ])
+                )
+            ).toMatch("closed");
+            expect(validatePolygonGeometry(polygon(ring(0, 0, 200, 1)))).toMatch("valid ranges");
+            expect(validatePolygonGeometry({ type: "MultiPolygon", coordinates: [] })).toMatch(
+                "at least one polygon"
+            );
+        });
+    });
+
+    describe("geometryBounds", () => {
+        it("spans the outer rings of every polygon", () => {
+            expect(
+                geometryBounds({
+                    type: "MultiPolygon",
+                    coordinates: [[ring(0, 0, 1, 1)], [ring(2, -1, 3, 0.5)]],
+                })
+            ).toEqual({ minLat: -1, maxLat: 1, minLon: 0, maxLon: 3 });
+        });
+    });
+
+    describe("pointInGeometry", () => {
+        it("excludes points in holes", () => {
+            expect(pointInGeometry(0.25, 0.25, donut)).toBe(true);
+            expect(pointInGeometry(1, 1, donut)).toBe(false);
+            expect(pointInGeometry(3, 1, donut)).toBe(false);
+        });
+
+        it("tests concave shapes and every polygon of a multipolygon", () => {
+            // An L: the square's top right quarter is missing
+            const shape = polygon([
+                [0, 0],
+                [2, 0],
+                [2, 1],
+                [1, 1],
+                [1, 2],
+                [0, 2],
+                [0, 0],
+            ]);
+            expect(pointInGeometry(0.5, 1.5, shape)).toBe(true);
+            expect(pointInGeometry(1.5, 1.5, shape)).toBe(false);
+
+            const multi = {
+                type: "MultiPolygon",
+                coordinates: [[ring(0, 0, 1, 1)], [ring(2, 2, 3, 3)]],
+            };
+            expect(pointInGeometry(2.5, 2.5, multi)).toBe(true);
+            expect(pointInGeometry(1.5, 1.5, multi)).toBe(false);
+        });
+    });
+
+    describe("geometriesOverlap", () => {
+        const square = polygon(ring(0, 0, 1, 1));
+
+        it("detects crossing, nested and identical shapes", () => {
+            expect(geometriesOverlap(square, polygon(ring(0.5, 0.5, 1.5, 1.5)))).toBe(true);
+            expect(geometriesOverlap(square, polygon(ring(0.25, 0.25, 0.75, 0.75)))).toBe(true);
+            expect(geometriesOverlap(polygon(ring(0.25, 0.25, 0.75, 0.75)), square)).toBe(true);
+            expect(geometriesOverlap(square, polygon(ring(0, 0, 1, 1)))).toBe(true);
+            // A cross: neither contains a corner of the other
+            expect(
+                geometriesOverlap(polygon(ring(0, 0.4, 1, 0.6)), polygon(ring(0.4, 0, 0.6, 1)))
+            ).toBe(true);
+        });
+
+        it("lets shapes share edges and corners", () => {
+            expect(geometriesOverlap(square, polygon(ring(1, 0, 2, 1)))).toBe(false);
+            expect(geometriesOverlap(square, polygon(ring(1, 0.5, 2, 1.5)))).toBe(false);
+            expect(geometriesOverlap(square, polygon(ring(1, 1, 2, 2)))).toBe(false);
+            expect(geometriesOverlap(square, polygon(ring(3, 3, 4, 4)))).toBe(false);
+        });
+
+        it("lets a shape fill the hole of another", () => {
+            expect(geometriesOverlap(donut, polygon(ring(0.5, 0.5, 1.5, 1.5)))).toBe(false);
+            expect(geometriesOverlap(donut, polygon(ring(0.75, 0.75, 1.25, 1.25)))).toBe(false);
+            expect(geometriesOverlap(donut, polygon(ring(0.25, 0.75, 1.25, 1.25)))).toBe(true);
+        });
+
+        it("checks every polygon of a multipolygon", () => {
+            const multi = {
+                type: "MultiPolygon",
+                coordinates: [[ring(5, 5, 6, 6)], [ring(0, 0, 1, 1)]],
+            };
+            expect(geometriesOverlap(multi, polygon(ring(0.5, 0.5, 2, 2)))).toBe(true);
+            expect(geometriesOverlap(multi, polygon(ring(2, 2, 3, 3)))).toBe(false);
+        });
+    });
+});
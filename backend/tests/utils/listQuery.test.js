@@ -0,0 +1,186 @@
+const {
+    parseFields,
+    parseListQuery,
+    sortSpots,
+    projectSpot,
+    isStaleCursor,
+    paginate,
+} = require("../../src/utils/listQuery");
+
+const req = {
+    query: { limit: "2", sort: "bayId" },
+    protocol: "http",
+    baseUrl: "/api/parking",
+    path: "/all",
+    get: () => "localhost:3000",
+};
+
+const spot = (bayId, extra = {}) => ({ bayId, zoneNumber: "7001", ...extra });
+
+const cursorFor = (offset, version) =>
+    Buffer.from(JSON.stringify({ o: offset, v: version })).toString("base64url");
+
+describe("listQuery", () => {
+    describe("parseListQuery", () => {
+        it("returns everything unless a limit or cursor asks for pages", () => {
+            expect(parseListQuery({})).toEqual({
+                limit: null,
+                offset: 0,
+                version: null,
+                sort: null,
+                fields: null,
+            });
+            expect(parseListQuery({ limit: "10" })).toMatchObject({ limit: 10, offset: 0 });
+            expect(parseListQuery({ cursor: cursorFor(50, 3) })).toMatchObject({
+                limit: 50,
+                offset: 50,
+                version: 3,
+            });
+        });
+
+        it("rejects bad limits and cursors", () => {
+            ["0", "5001", "many"].forEach((limit) => {
+                expect(parseListQuery({ limit })).toEqual({
+                    error: "Limit must be between 1 and 5000",
+                });
+            });
+
+            const withoutVersion = Buffer.from(JSON.stringify({ o: 10 })).toString("base64url");
+            [withoutVersion, cursorFor(-1, 1), "not-a-cursor"].forEach((cursor) => {
+                expect(parseListQuery({ cursor })).toEqual({ error: "Invalid cursor" });
+            });
+        });
+
+        it("allows sorting by distance only where results have one", () => {
+            expect(parseListQuery({ sort: "-lastUpdated" }).sort).toEqual({
+                field: "lastUpdated",
+                descending: true,
+            });
+            expect(parseListQuery({ sort: "distance" }).error).toBe(
+                "Sort must be one of: bayId, zoneNumber, lastUpdated (prefix - for descending)"
+            );
+            expect(parseListQuery({ sort: "distance" }, { allowDistance: true }).sort).toEqual({
+                field: "distance",
+                descending: false,
+            });
+        });
+
+        it("rejects repeated sort and fields parameters", () => {
+            expect(parseListQuery({ sort: ["bayId", "zoneNumber"] }).error).toMatch(
+                "Sort must be one of"
+            );
+            expect(parseListQuery({ fields: ["bayId", "status"] })).toEqual({
+                error: "Fields must be given once, as a comma separated list",
+            });
+        });
+    });
+
+    describe("parseFields", () => {
+        it("parses a projection and names unknown fields", () => {
+            expect(parseFields(" bayId, location ,isAvailable")).toEqual({
+                fields: ["bayId", "location", "isAvailable"],
+            });
+            expect(parseFields("bayId,colour,size")).toEqual({
+                error: "Unknown fields: colour, size",
+            });
+        });
+    });
+
+    describe("sortSpots", () => {
+        it("sorts numerically and breaks ties by bay id", () => {
+            const spots = [
+                spot("10", { zoneNumber: "7002" }),
+                spot("9", { zoneNumber: "7002" }),
+                spot("2", { zoneNumber: "7001" }),
+            ];
+
+            expect(sortSpots(spots, { field: "bayId" }).map((s) => s.bayId)).toEqual([
+                "2",
+                "9",
+                "10",
+            ]);
+            expect(
+                sortSpots(spots, { field: "zoneNumber", descending: true }).map((s) => s.bayId)
+            ).toEqual(["9", "10", "2"]);
+        });
+
+        it("puts spots without a valid date first", () => {
+            const spots = [
+                spot("1", { lastUpdated: "2025-07-20T03:00:00Z" }),
+                spot("2", { lastUpdated: null }),
+                spot("3", { lastUpdated: "2025-07-20T02:00:00Z" }),
+            ];
+
+            expect(sortSpots(spots, { field: "lastUpdated" }).map((s) => s.bayId)).toEqual([
+                "2",
+                "3",
+                "1",
+            ]);
+        });
+    });
+
+    describe("projectSpot", () => {
+        it("keeps the requested fields and those the caller needs", () => {
+            const full = spot("1", { location: { lat: 1, lon: 2 }, status: "Present" });
+
+            expect(projectSpot(full, null)).toBe(full);
+            expect(projectSpot(full, ["status"], ["bayId", "location"])).toEqual({
+                bayId: "1",
+                location: { lat: 1, lon: 2 },
+                status: "Present",
+            });
+        });
+    });
+
+    describe("paginate", () => {
+        const spots = ["1", "2", "3", "4", "5"].map((bayId) => spot(bayId));
+
+        it("links to the next page with a cursor for the same snapshot", () => {
+            const first = paginate(spots, parseListQuery(req.query), req, { version: 7 });
+
+            expect(first.items.map((s) => s.bayId)).toEqual(["1", "2"]);
+            expect(first.pagination).toEqual({
+                limit: 2,
+                offset: 0,
+                returned: 2,
+                total: 5,
+                nextCursor: cursorFor(2, 7),
+                next: `http://localhost:3000/api/parking/all?limit=2&sort=bayId&cursor=${cursorFor(2, 7)}`,
+            });
+
+            const last = paginate(
+                spots,
+                parseListQuery({ ...req.query, cursor: cursorFor(4, 7) }),
+                req,
+                { version: 7 }
+            );
+            expect(last.items.map((s) => s.bayId)).toEqual(["5"]);
+            expect(last.pagination).toMatchObject({ offset: 4, nextCursor: null, next: null });
+        });
+
+        it("returns every spot without a limit", () => {
+            const { items, pagination } = paginate(spots, parseListQuery({}), req, {
+                version: 7,
+            });
+
+            expect(items).toHaveLength(5);
+            expect(pagination).toMatchObject({ limit: null, returned: 5, nextCursor: null });
+        });
+
+        it("reports a total only when the caller knows it", () => {
+            const list = parseListQuery({ limit: "2" });
+
+            expect(paginate(spots, list, req, { version: 7, total: null }).pagination.total).toBe(
+                null
+            );
+        });
+    });
+
+    describe("isStaleCursor", () => {
+        it("flags cursors of another snapshot", () => {
+            expect(isStaleCursor(parseListQuery({}), 8)).toBe(false);
+            expect(isStaleCursor(parseListQuery({ cursor: cursorFor(2, 8) }), 8)).toBe(false);
+            expect(isStaleCursor(parseListQuery({ cursor: cursorFor(2, 7) }), 8)).toBe(true);
+        });
+    });
+});
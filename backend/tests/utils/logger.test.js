@@ -0,0 +1,71 @@
+const { createLogger, runWithContext, configure } = require("../../src/utils/logger");
+
+describe("logger", () => {
+    let lines;
+
+    beforeEach(() => {
+        lines = [];
+        jest.spyOn(process.stdout, "write").mockImplementation((text) => {
+            lines.push(JSON.parse(text));
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        configure({ level: "silent", modules: "" });
+    });
+
+    it("writes one JSON object per line with the module, fields and errors", () => {
+        configure({ level: "info", modules: "" });
+
+        createLogger("scheduler").error("Scrape failed", {
+            consecutiveFailures: 2,
+            error: new TypeError("boom"),
+        });
+
+        expect(lines).toEqual([
+            expect.objectContaining({
+                level: "error",
+                module: "scheduler",
+                msg: "Scrape failed",
+                consecutiveFailures: 2,
+                error: expect.objectContaining({ name: "TypeError", message: "boom" }),
+            }),
+        ]);
+        expect(Date.parse(lines[0].time)).not.toBeNaN();
+    });
+
+    it("applies per-module levels to the module and its sub-modules", () => {
+        configure({ level: "warn", modules: "scraper=debug,http=silent" });
+
+        createLogger("scraper.puppeteer").debug("Scroll attempt");
+        createLogger("scheduler").info("Paused");
+        createLogger("scheduler").warn("Circuit breaker state changed");
+        createLogger("http").error("Request failed");
+
+        expect(lines.map((line) => line.msg)).toEqual([
+            "Scroll attempt",
+            "Circuit breaker state changed",
+        ]);
+    });
+
+    it("adds the context to lines logged in async work started within it", async () => {
+        configure({ level: "info", modules: "" });
+        const log = createLogger("scraper");
+
+        await runWithContext({ scrapeId: "run-1" }, async () => {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            log.info("Scraped parking records");
+        });
+        log.info("Outside");
+
+        expect(lines[0]).toMatchObject({ scrapeId: "run-1", msg: "Scraped parking records" });
+        expect(lines[1].scrapeId).toBeUndefined();
+    });
+
+    it("rejects unknown levels", () => {
+        expect(() => configure({ level: "verbose" })).toThrow("Invalid log level");
+        expect(() => configure({ modules: "scraper=loud" })).toThrow("Invalid LOG_LEVELS");
+    });
+});
@@ -0,0 +1,54 @@
+const { Counter, Gauge, Histogram, Registry } = require("../../src/utils/metrics");
+
+describe("metrics", () => {
+    it("renders counters and gauges with their labels", () => {
+        const registry = new Registry();
+        const requests = registry.register(
+            new Counter("requests_total", "Requests", ["route", "status"])
+        );
+        const bays = registry.register(new Gauge("bays", "Bays"));
+
+        requests.inc({ status: 200, route: "/api/parking/all" });
+        requests.inc({ route: "/api/parking/all", status: 200 }, 2);
+        requests.inc({ route: 'say "hi"\\', status: 404 });
+        bays.set({}, 42);
+
+        expect(registry.render()).toBe(
+            [
+                "# HELP requests_total Requests",
+                "# TYPE requests_total counter",
+                'requests_total{route="/api/parking/all",status="200"} 3',
+                'requests_total{route="say \\"hi\\"\\\\",status="404"} 1',
+                "# HELP bays Bays",
+                "# TYPE bays gauge",
+                "bays 42",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("renders cumulative histogram buckets with sum and count", () => {
+        const duration = new Histogram("duration_seconds", "Duration", ["outcome"], [1, 5]);
+
+        [0.5, 2, 2, 10].forEach((value) => duration.observe({ outcome: "success" }, value));
+
+        expect(duration.render().slice(2)).toEqual([
+            'duration_seconds_bucket{outcome="success",le="1"} 1',
+            'duration_seconds_bucket{outcome="success",le="5"} 3',
+            'duration_seconds_bucket{outcome="success",le="+Inf"} 4',
+            'duration_seconds_sum{outcome="success"} 14.5',
+            'duration_seconds_count{outcome="success"} 4',
+        ]);
+    });
+
+    it("drops every series on reset", () => {
+        const gauge = new Gauge("area_bays", "Bays per area", ["area"]);
+        gauge.set({ area: "cbd" }, 10);
+        gauge.reset();
+
+        expect(gauge.render()).toEqual([
+            "# HELP area_bays Bays per area",
+            "# TYPE area_bays gauge",
+        ]);
+    });
+});
@@ -0,0 +1,145 @@
+const restrictionService = require("../../src/services/restrictionService");
+const { parseSpotFilter, filterDependsOnTime, parseBbox } = require("../../src/utils/spotFilter");
+const { ValidationError } = require("../../src/utils/errors");
+
+// Monday 21 July 2025, 10:00 in Melbourne
+const now = Date.parse("2025-07-21T00:00:00Z");
+const minutesAgo = (minutes) => new Date(now - minutes * 60 * 1000).toISOString();
+
+const record = (bayId, zone, status, extra = {}) => ({
+    bay_id: bayId,
+    zone_number: zone,
+    status,
+    lat: "-37.8136",
+    lon: "144.9631",
+    lastupdated: minutesAgo(5),
+    status_timestamp: minutesAgo(30),
+    ...extra,
+});
+
+const records = [
+    record("1", "7001", "Unoccupied"),
+    record("2", "7002", "Present", { lastupdated: minutesAgo(90) }),
+    record("3", "7004", "Unoccupied", { lat: "-37.82", lon: "144.95" }),
+    // Silent for a day
+    record("4", "9999", "Present", { lastupdated: minutesAgo(24 * 60) }),
+];
+
+const matching = (query) => {
+    const filter = parseSpotFilter(query, now);
+    return records.filter(filter).map((spot) => spot.bay_id);
+};
+
+const errorsOf = (query) => {
+    try {
+        parseSpotFilter(query, now);
+    } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        return error.errors;
+    }
+    throw new Error("Expected a ValidationError");
+};
+
+describe("spotFilter", () => {
+    describe("parseSpotFilter", () => {
+        it("returns no filter without filter parameters", () => {
+            expect(parseSpotFilter({ limit: "10", sort: "bayId" }, now)).toBeNull();
+        });
+
+        it("filters by status and zones", () => {
+            expect(matching({ status: "Available" })).toEqual(["1", "3"]);
+            expect(matching({ zone: "7002, 9999" })).toEqual(["2", "4"]);
+            expect(matching({ status: "occupied", zone: "7002" })).toEqual(["2"]);
+        });
+
+        it("filters by update time, as a date or a duration ago", () => {
+            expect(matching({ updatedSince: "1h" })).toEqual(["1", "3"]);
+            expect(matching({ updatedBefore: "1h" })).toEqual(["2", "4"]);
+            expect(matching({ updatedSince: minutesAgo(120), updatedBefore: "1h" })).toEqual(["2"]);
+        });
+
+        it("reports every invalid parameter at once", () => {
+            expect(
+                errorsOf({
+                    status: "free",
+                    zone: ",",
+                    updatedSince: "yesterday",
+                    bbox: "1,2,3",
+                    sensorHealth: "healthy,broken",
+                }).map((error) => error.field)
+            ).toEqual(["status", "zone", "updatedSince", "sensorHealth", "bbox"]);
+        });
+
+        it("refuses restriction filters until restrictions are loaded", () => {
+            restrictionService.setRules([]);
+
+            expect(errorsOf({ paid: "true" })).toEqual([
+                {
+                    field: "restriction",
+                    message: "Restriction data is not loaded, restriction filters are unavailable",
+                },
+            ]);
+        });
+
+        it("filters by the restriction in force, leaving out zones without one", () => {
+            restrictionService.setRules([
+                { zone: "7001", display: "2P", days: "Mon-Fri", start: "08:00", finish: "16:00" },
+                {
+                    zone: "7002",
+                    display: "Meter",
+                    days: "Mon-Fri",
+                    start: "07:30",
+                    finish: "16:30",
+                    paid: "yes",
+                },
+                { zone: "7004", display: "LZ30", days: "Mon-Sat", start: "07:00", finish: "19:00" },
+            ]);
+
+            expect(matching({ paid: "true" })).toEqual(["2"]);
+            expect(matching({ loadingZone: "false" })).toEqual(["1", "2"]);
+            // The meter has no time limit, which satisfies any minimum
+            expect(matching({ minTimeLimit: "60" })).toEqual(["1", "2"]);
+            expect(errorsOf({ paid: "yes", minTimeLimit: "0" }).map((e) => e.field)).toEqual([
+                "paid",
+                "minTimeLimit",
+            ]);
+        });
+
+        it("filters by sensor health and bounding box", () => {
+            expect(matching({ sensorHealth: "healthy" })).toEqual(["1", "2", "3"]);
+            expect(matching({ sensorHealth: "stale,stuck" })).toEqual(["4"]);
+            expect(matching({ bbox: "144.95,-37.82,144.955,-37.8" })).toEqual(["3"]);
+        });
+    });
+
+    describe("filterDependsOnTime", () => {
+        it("flags filters evaluated against the current time", () => {
+            ["updatedSince=10m", "updatedBefore=2h", "sensorHealth=stale", "paid=true"].forEach(
+                (param) => {
+                    const query = Object.fromEntries(new URLSearchParams(param));
+                    expect(filterDependsOnTime(query)).toBe(true);
+                }
+            );
+            expect(filterDependsOnTime({})).toBe(false);
+            expect(filterDependsOnTime({ status: "available", zone: "7001" })).toBe(false);
+            expect(filterDependsOnTime({ updatedSince: "2025-07-20T03:00:00Z" })).toBe(false);
+        });
+    });
+
+    describe("parseBbox", () => {
+        it("parses minLon,minLat,maxLon,maxLat", () => {
+            expect(parseBbox("144.9,-37.9,145,-37.8")).toEqual({
+                minLon: 144.9,
+                minLat: -37.9,
+                maxLon: 145,
+                maxLat: -37.8,
+            });
+        });
+
+        it("rejects incomplete or inverted boxes", () => {
+            expect(parseBbox("144.9,-37.9,145")).toBeNull();
+            expect(parseBbox("145,-37.9,144.9,-37.8")).toBeNull();
+            expect(parseBbox("a,b,c,d")).toBeNull();
+        });
+    });
+});